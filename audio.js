@@ -0,0 +1,237 @@
+// MODULE INDEX (audio.js)
+// Procedural sound: every effect and the music layer are synthesized with WebAudio
+// oscillators/noise, no sample files. Without an AudioContext (Node, headless tests,
+// old browsers) every call is a silent no-op.
+// MODULE 1: Settings (volume / mute, persisted)
+// MODULE 2: Engine (lazy AudioContext, master gain, voice helpers)
+// MODULE 3: Effects (catch, armor hit, blink, decoy, wave clear, cap increase, pickup, low HP, game over)
+// MODULE 4: Adaptive music (intensity follows target count and HP)
+// MODULE 5: Sim binding + exports
+//
+// Node:    const CubeAudio = require('./audio.js');   // silent
+// Browser: <script src="./audio.js"></script> → window.CubeAudio
+
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory(root);
+  else root.CubeAudio = factory(root);
+})(this, function(root){
+
+  // ---------------------------
+  // MODULE 1: Settings
+  // ---------------------------
+  const SETTINGS_KEY = 'cubeCollector.audio';
+  const DEFAULTS = { volume: 0.6, muted: false };
+
+  const MUSIC = {
+    BPM_CALM: 96,        // tempo at intensity 0…
+    BPM_HOT: 148,        // …and at intensity 1
+    HATS_AT: 0.3,        // intensity where the hi-hat layer comes in
+    ARP_AT: 0.6,         // …and the arpeggio layer
+    LEVEL: 0.22,         // music bus gain relative to the master volume
+    LOOKAHEAD: 0.12,     // seconds of notes scheduled ahead of the clock
+    ROOT_HZ: 110,        // A2
+  };
+  const HEARTBEAT_SEC = 0.9; // low-HP warning repeat while below the threshold
+
+  function loadSettings(storage){
+    try {
+      const raw = storage && storage.getItem(SETTINGS_KEY);
+      const s = raw ? JSON.parse(raw) : {};
+      return {
+        volume: Number.isFinite(s.volume) ? Math.max(0, Math.min(1, s.volume)) : DEFAULTS.volume,
+        muted: typeof s.muted === 'boolean' ? s.muted : DEFAULTS.muted,
+      };
+    } catch (e){
+      return Object.assign({}, DEFAULTS);
+    }
+  }
+
+  // opts.storage  getItem/setItem store for volume/mute (default: localStorage if present)
+  function createAudio(opts){
+    opts = opts || {};
+    const storage = opts.storage !== undefined ? opts.storage
+      : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const AC = root && (root.AudioContext || root.webkitAudioContext);
+    const settings = loadSettings(storage);
+
+    function saveSettings(){
+      try { if (storage) storage.setItem(SETTINGS_KEY, JSON.stringify(settings)); }
+      catch (e){ /* not fatal */ }
+    }
+
+    // ---------------------------
+    // MODULE 2: Engine
+    // ---------------------------
+    // Browsers only allow audio after a user gesture, so the context is created by
+    // unlock() (call it from a key/click handler) rather than up front.
+    let ac = null, master = null, sfxBus = null, musicBus = null, noiseBuf = null;
+
+    function unlock(){
+      if (!AC) return;
+      if (!ac){
+        ac = new AC();
+        master = ac.createGain();
+        master.connect(ac.destination);
+        sfxBus = ac.createGain(); sfxBus.connect(master);
+        musicBus = ac.createGain(); musicBus.gain.value = MUSIC.LEVEL; musicBus.connect(master);
+        noiseBuf = ac.createBuffer(1, ac.sampleRate * 0.5, ac.sampleRate);
+        const d = noiseBuf.getChannelData(0);
+        for (let i = 0; i < d.length; i++) d[i] = Math.random() * 2 - 1; // cosmetic noise, not sim randomness
+        applyVolume();
+      }
+      if (ac.state === 'suspended') ac.resume();
+    }
+
+    function applyVolume(){
+      if (master) master.gain.setTargetAtTime(settings.muted ? 0 : settings.volume, ac.currentTime, 0.02);
+    }
+
+    function ready(){ return ac !== null && !settings.muted && settings.volume > 0; }
+
+    // One enveloped oscillator note. freq may be [from, to] for a glide.
+    function tone(bus, type, freq, at, dur, gain){
+      const o = ac.createOscillator(), g = ac.createGain();
+      o.type = type;
+      const f = Array.isArray(freq) ? freq : [freq, freq];
+      o.frequency.setValueAtTime(f[0], at);
+      if (f[1] !== f[0]) o.frequency.exponentialRampToValueAtTime(f[1], at + dur);
+      g.gain.setValueAtTime(0.0001, at);
+      g.gain.exponentialRampToValueAtTime(gain, at + 0.01);
+      g.gain.exponentialRampToValueAtTime(0.0001, at + dur);
+      o.connect(g); g.connect(bus);
+      o.start(at); o.stop(at + dur + 0.02);
+    }
+
+    function noise(bus, at, dur, gain, highpass){
+      const src = ac.createBufferSource(), f = ac.createBiquadFilter(), g = ac.createGain();
+      src.buffer = noiseBuf;
+      f.type = 'highpass'; f.frequency.value = highpass;
+      g.gain.setValueAtTime(gain, at);
+      g.gain.exponentialRampToValueAtTime(0.0001, at + dur);
+      src.connect(f); f.connect(g); g.connect(bus);
+      src.start(at); src.stop(at + dur + 0.02);
+    }
+
+    // ---------------------------
+    // MODULE 3: Effects
+    // ---------------------------
+    const SFX = {
+      catch(at){
+        tone(sfxBus, 'square', [660, 990], at, 0.09, 0.18);
+      },
+      hit(at){ // armor plate knocked off
+        noise(sfxBus, at, 0.08, 0.25, 2500);
+        tone(sfxBus, 'square', [330, 250], at, 0.08, 0.12);
+      },
+      blink(at){
+        tone(sfxBus, 'sine', [1400, 500], at, 0.1, 0.1);
+      },
+      decoy(at){ // caught the wrong one
+        tone(sfxBus, 'sawtooth', [300, 150], at, 0.25, 0.18);
+      },
+      waveClear(at){ // rising major triad = "healed"
+        [523.25, 659.25, 783.99, 1046.5].forEach((f, i) => tone(sfxBus, 'sine', f, at + i*0.07, 0.22, 0.2));
+      },
+      capIncrease(at){ // low-high warning: one more cube from now on
+        tone(sfxBus, 'triangle', 220, at, 0.16, 0.22);
+        tone(sfxBus, 'triangle', 330, at + 0.14, 0.24, 0.22);
+      },
+      pickup(at){
+        [880, 1320, 1760].forEach((f, i) => tone(sfxBus, 'sine', f, at + i*0.04, 0.12, 0.12));
+      },
+      lowHealth(at){ // heartbeat
+        tone(sfxBus, 'sine', [90, 60], at, 0.12, 0.35);
+        tone(sfxBus, 'sine', [80, 55], at + 0.18, 0.12, 0.25);
+      },
+      gameOver(at){
+        tone(sfxBus, 'sawtooth', [440, 110], at, 0.9, 0.2);
+        tone(sfxBus, 'sine', [220, 55], at + 0.1, 1.0, 0.25);
+      },
+    };
+
+    function play(name){
+      if (!ready() || !SFX[name]) return;
+      SFX[name](ac.currentTime + 0.005);
+    }
+
+    // ---------------------------
+    // MODULE 4: Adaptive music
+    // ---------------------------
+    // A 16-step loop scheduled a little ahead of the audio clock. Intensity (0..1)
+    // sets the tempo and how many layers play: bass always, hats from HATS_AT,
+    // arpeggio from ARP_AT. Low HP pushes intensity up and detunes the bass down.
+    const music = { active: false, step: 0, nextAt: 0, intensity: 0, lowHp: false };
+    const ARP = [0, 3, 7, 10, 12, 10, 7, 3]; // minor-7 semitones
+    const semi = n => Math.pow(2, n / 12);
+    let heartbeat = 0;
+
+    function scheduleStep(at){
+      const i = music.step % 16;
+      const root = MUSIC.ROOT_HZ * (music.lowHp ? semi(-2) : 1);
+      if (i % 4 === 0) tone(musicBus, 'triangle', root * (i === 8 ? semi(5) : 1), at, 0.28, 0.5);
+      if (music.intensity >= MUSIC.HATS_AT && i % 2 === 1) noise(musicBus, at, 0.04, 0.12, 6000);
+      if (music.intensity >= MUSIC.ARP_AT) tone(musicBus, 'square', root * 4 * semi(ARP[i % ARP.length]), at, 0.08, 0.07);
+      music.step++;
+    }
+
+    function pumpMusic(){
+      const bpm = MUSIC.BPM_CALM + (MUSIC.BPM_HOT - MUSIC.BPM_CALM) * music.intensity;
+      const stepSec = 60 / bpm / 4; // 16th notes
+      if (music.nextAt < ac.currentTime) music.nextAt = ac.currentTime + 0.02;
+      while (music.nextAt < ac.currentTime + MUSIC.LOOKAHEAD){
+        scheduleStep(music.nextAt);
+        music.nextAt += stepSec;
+      }
+    }
+
+    // Call once per animation frame.
+    //   state.playing  is a run in progress (music + heartbeat only then)
+    //   state.targets  live target count, state.hpPct 0..1, state.lowPct threshold
+    function update(dt, state){
+      music.active = !!state.playing;
+      if (!ready() || !music.active){ heartbeat = 0; return; }
+      const crowd = state.targets / (state.targets + 4);       // 1 cube ≈ 0.2, 12 cubes ≈ 0.75
+      const danger = 1 - Math.min(1, state.hpPct / 0.6);       // ramps in below 60% HP
+      music.intensity = Math.min(1, 0.65 * crowd + 0.45 * danger);
+      music.lowHp = state.hpPct < state.lowPct;
+      pumpMusic();
+
+      if (music.lowHp){
+        heartbeat -= dt;
+        if (heartbeat <= 0){ play('lowHealth'); heartbeat = HEARTBEAT_SEC; }
+      } else {
+        heartbeat = 0;
+      }
+    }
+
+    // ---------------------------
+    // MODULE 5: Sim binding
+    // ---------------------------
+    // Subscribes effects to a sim's events. Returns an unsubscribe function.
+    function attach(sim){
+      const offs = [
+        sim.on('catch',       () => play('catch')),
+        sim.on('hit',         () => play('hit')),
+        sim.on('blink',       () => play('blink')),
+        sim.on('decoy',       () => play('decoy')),
+        sim.on('waveClear',   e => { if (e.refill > 0) play('waveClear'); }), // the "healed" triad; no-health modes heal nothing
+        sim.on('capIncrease', () => play('capIncrease')),
+        sim.on('pickup',      () => play('pickup')),
+        sim.on('lowHealth',   () => { play('lowHealth'); heartbeat = HEARTBEAT_SEC; }),
+        sim.on('death',       () => play('gameOver')),
+      ];
+      return () => offs.forEach(off => off());
+    }
+
+    return {
+      unlock, play, update, attach,
+      get volume(){ return settings.volume; },
+      set volume(v){ settings.volume = Math.max(0, Math.min(1, Number(v) || 0)); applyVolume(); saveSettings(); },
+      get muted(){ return settings.muted; },
+      set muted(v){ settings.muted = !!v; applyVolume(); saveSettings(); },
+      get available(){ return !!AC; },
+    };
+  }
+
+  return { SETTINGS_KEY, MUSIC, createAudio };
+});
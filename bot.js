@@ -0,0 +1,381 @@
+// MODULE INDEX (bot.js)
+// Autopilot chasers, and a headless benchmark that plays them against the cube AI.
+// A bot is an input source like input.js's (has() + axis()), so it drives its player
+// through readInput exactly as a person does, and its runs record and replay like any
+// other. It decides once per sim tick (on the 'tick' event) and holds that heading for
+// the next one, so the recorder and the sim always read the same input.
+// The benchmark plays many seeded games per AI profile × strategy and reports the
+// time-to-catch distribution, survival time and how often cubes got cornered. Every
+// profile plays the same seeds, so a difference comes from the profile, not the dice.
+// MODULE 1: Config + strategies (greedy, intercept, herd)
+// MODULE 2: Bot (input source: pick a cube, aim, keep off decoys, get unstuck)
+// MODULE 3: Benchmark (games × profiles × strategies → result rows)
+// MODULE 4: Report (text table)
+// MODULE 5: CLI
+// MODULE 6: Exports
+//
+//   node bot.js --games 1000 --difficulty normal,hard
+//   node bot.js --tuning juke-a.json --tuning juke-b.json --strategy herd --json
+// Browser: <script src="./bot.js"></script> after sim.js and stats.js → window.CubeBot
+//          (index.html?bot=intercept hands P1 to one)
+
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./sim.js'), require('./stats.js'));
+  else root.CubeBot = factory(root.CubeSim, root.CubeStats);
+})(this, function(CubeSim, CubeStats){
+
+  // ---------------------------
+  // MODULE 1: Config + strategies
+  // ---------------------------
+  const BOT = {
+    SWITCH_RATIO: 0.7,   // only drop the cube we're after for one this much nearer
+    DECOY_RADIUS: 70,    // steer off decoys (centre to centre) inside this…
+    DECOY_PUSH: 1.6,     // …this hard right on top of one
+    LEAD_MAX: 1.5,       // intercept: lead a cube by at most this many s
+    HERD_BEHIND: 70,     // herd: aim this far past the cube, on the side away from its corner…
+    HERD_COMMIT: 90,     // …and go straight in once it's this near its corner or us
+    STUCK_SEC: 0.3,      // under STUCK_SPEED of full speed for this long while trying to move…
+    STUCK_SPEED: 0.25,
+    SLIDE_SEC: 0.5,      // …slides sideways this long (alternating sides each time)
+    QUANT: 100,          // headings rounded to 1/QUANT, like input.js, so replays stay exact
+  };
+
+  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+  // aim(c) → the point to run at. c: { me: {x, y} centre, speed, t: the cube, tc: its centre, arena }
+  const STRATEGIES = {
+    greedy: {
+      name: 'Greedy',
+      blurb: 'Straight at the nearest cube.',
+      aim: c => c.tc,
+    },
+    intercept: {
+      name: 'Intercept',
+      blurb: 'Runs to where the nearest cube will be, from its velocity.',
+      // earliest τ with |tc + v·τ − me| = speed·τ; if it can't be caught head-on, lead by the straight-line time
+      aim(c){
+        const rx = c.tc.x - c.me.x, ry = c.tc.y - c.me.y, vx = c.t.vx, vy = c.t.vy;
+        const a = vx*vx + vy*vy - c.speed*c.speed, b = 2 * (rx*vx + ry*vy), k = rx*rx + ry*ry;
+        let tau = null;
+        if (Math.abs(a) < 1e-6){ if (b < 0) tau = -k / b; }
+        else {
+          const disc = b*b - 4*a*k;
+          if (disc >= 0){
+            const sq = Math.sqrt(disc);
+            for (const r of [(-b - sq) / (2*a), (-b + sq) / (2*a)]) if (r > 0 && (tau === null || r < tau)) tau = r;
+          }
+        }
+        if (tau === null) tau = Math.sqrt(k) / c.speed;
+        tau = Math.min(tau, BOT.LEAD_MAX);
+        return { x: clamp(c.tc.x + vx * tau, 0, c.arena.width), y: clamp(c.tc.y + vy * tau, 0, c.arena.height) };
+      },
+    },
+    herd: {
+      name: 'Herd',
+      blurb: 'Comes at the nearest cube from the open side, driving it into its corner.',
+      aim(c){
+        const { tc, me, arena } = c;
+        const kx = tc.x - (tc.x < arena.width / 2 ? 0 : arena.width);
+        const ky = tc.y - (tc.y < arena.height / 2 ? 0 : arena.height);
+        const kl = Math.hypot(kx, ky) || 1;
+        if (kl < BOT.HERD_COMMIT || Math.hypot(tc.x - me.x, tc.y - me.y) < BOT.HERD_COMMIT) return tc;
+        return { x: clamp(tc.x + kx / kl * BOT.HERD_BEHIND, 0, arena.width),
+                 y: clamp(tc.y + ky / kl * BOT.HERD_BEHIND, 0, arena.height) };
+      },
+    },
+  };
+  const DEFAULT_STRATEGY = 'intercept';
+
+  const isDecoy = t => !!CubeSim.ARCHETYPES[t.kind].hpCost;
+  const quantize = v => Math.round(v * BOT.QUANT) / BOT.QUANT;
+
+  // ---------------------------
+  // MODULE 2: Bot
+  // ---------------------------
+  // opts.strategy  id from STRATEGIES (default 'intercept')
+  // opts.player    index of the player it drives (default 0; pass it as input2 for P2)
+  // Hand it to createSim as the input, then attach(sim) before the run's restart():
+  //   const bot = CubeBot.createBot({ strategy: 'herd' });
+  //   const sim = CubeSim.createSim({ input: bot }); bot.attach(sim); sim.restart();
+  // Deterministic: the same seed and strategy always play the same game.
+  function createBot(opts){
+    opts = opts || {};
+    const strategy = opts.strategy || DEFAULT_STRATEGY;
+    const def = STRATEGIES[strategy];
+    if (!def) throw new Error(`Unknown bot strategy "${strategy}"`);
+    const index = opts.player || 0;
+
+    let sim = null, offs = [];
+    const dir = { dx: 0, dy: 0 };   // the heading the sim reads until the next decision
+    let chase = null;               // id of the cube being chased
+    let stuck = 0, slide = 0, side = 1, lastX = null, lastY = null;
+
+    function reset(){
+      dir.dx = dir.dy = 0;
+      chase = null;
+      stuck = slide = 0; side = 1; lastX = lastY = null;
+    }
+
+    // Nearest real cube, but stay on the current one unless another is clearly nearer.
+    function pick(mx, my){
+      let best = null, bd = Infinity, cur = null, cd = Infinity;
+      for (const o of sim.targets){
+        if (isDecoy(o)) continue;
+        const d = Math.hypot(o.x + o.w/2 - mx, o.y + o.h/2 - my);
+        if (d < bd){ bd = d; best = o; }
+        if (o.id === chase){ cur = o; cd = d; }
+      }
+      const t = cur && bd >= cd * BOT.SWITCH_RATIO ? cur : best;
+      chase = t ? t.id : null;
+      return t;
+    }
+
+    // dt = 0 for a decision mid-tick (a new wave landed); only ticks count toward "stuck".
+    function think(dt){
+      const me = sim.players[index];
+      if (!me || me.out || !sim.alive){ dir.dx = dir.dy = 0; return; }
+      const mx = me.x + me.w/2, my = me.y + me.h/2;
+      if (dt > 0){
+        if (lastX !== null && (dir.dx || dir.dy)){
+          stuck = Math.hypot(me.x - lastX, me.y - lastY) < me.speed * dt * BOT.STUCK_SPEED ? stuck + dt : 0;
+        }
+        lastX = me.x; lastY = me.y;
+      }
+
+      let ax = 0, ay = 0;
+      const t = pick(mx, my);
+      if (t){
+        const aim = def.aim({ me: { x: mx, y: my }, speed: me.speed, t, tc: { x: t.x + t.w/2, y: t.y + t.h/2 }, arena: sim.arena });
+        const l = Math.hypot(aim.x - mx, aim.y - my);
+        if (l > 1e-6){ ax = (aim.x - mx) / l; ay = (aim.y - my) / l; }
+      }
+
+      for (const o of sim.targets){
+        if (!isDecoy(o)) continue;
+        const dx = mx - (o.x + o.w/2), dy = my - (o.y + o.h/2), d = Math.hypot(dx, dy);
+        if (d <= 0 || d >= BOT.DECOY_RADIUS) continue;
+        const k = (BOT.DECOY_RADIUS - d) / BOT.DECOY_RADIUS * BOT.DECOY_PUSH;
+        ax += dx/d * k; ay += dy/d * k;
+      }
+
+      // pinned against a wall or an obstacle: slide along it for a bit
+      if (slide > 0) slide -= dt;
+      else if (stuck >= BOT.STUCK_SEC){ slide = BOT.SLIDE_SEC; side = -side; stuck = 0; }
+      if (slide > 0){ const x = ax; ax = -ay * side; ay = x * side; }
+
+      const l = Math.hypot(ax, ay);
+      dir.dx = l > 1e-6 ? quantize(ax / l) : 0;
+      dir.dy = l > 1e-6 ? quantize(ay / l) : 0;
+    }
+
+    function attach(s){
+      detach();
+      sim = s;
+      offs = [
+        s.on('restart', reset),
+        s.on('wave', () => think(0)),   // the first wave lands after 'restart'
+        s.on('tick', e => think(e.dt)),
+      ];
+      reset();
+      think(0);
+    }
+
+    function detach(){
+      offs.forEach(off => off());
+      offs = [];
+    }
+
+    return {
+      has: () => false,
+      axis: () => ({ dx: dir.dx, dy: dir.dy }),
+      attach, detach,
+      get strategy(){ return strategy; },
+      get chasing(){ return chase; },
+    };
+  }
+
+  // ---------------------------
+  // MODULE 3: Benchmark
+  // ---------------------------
+  // One game: a bot-driven sim from restart to death (or maxSec), measured by stats.js.
+  //   opts: { strategy, seed, maxSec, difficulty, layout, script, mode, config }
+  //   config goes through sim.configure() like a tuning preset, so it's layered last
+  // → the run's stats (CubeStats format) plus timedOut (still alive at maxSec)
+  function playGame(opts){
+    const bot = createBot({ strategy: opts.strategy });
+    const sim = CubeSim.createSim({
+      input: bot, seed: opts.seed,
+      difficulty: opts.difficulty, layout: opts.layout, script: opts.script, mode: opts.mode,
+    });
+    if (opts.config) sim.configure(opts.config);
+    bot.attach(sim);
+    sim.restart(opts.seed);
+    const stats = CubeStats.createStats();
+    stats.begin(sim);
+    const ticks = Math.round((opts.maxSec || 300) / CubeSim.TICK_DT);
+    for (let i = 0; i < ticks && sim.alive; i++){
+      sim.update(CubeSim.TICK_DT);
+      stats.sample(CubeSim.TICK_DT);
+    }
+    const out = stats.finish();
+    out.timedOut = sim.alive;
+    bot.detach();
+    return out;
+  }
+
+  // opts.profiles    [{ name, difficulty, config }] (default: the default difficulty, untuned)
+  // opts.strategies  ids from STRATEGIES (default: all)
+  // opts.games       games per profile × strategy (default 200); game g plays seed opts.seed + g
+  // opts.seed        first seed (default 1)
+  // opts.maxSec      games still going at this much sim time stop there (default 300)
+  // opts.layout, opts.script, opts.mode   as createSim
+  // opts.onRow       called with each row as it's done (progress)
+  // → { games, seed, maxSec, rows }, a row per profile × strategy:
+  //   { profile, strategy, games, ttc: {count, mean, p50, p90, max} (s, real cubes caught),
+  //     survival: {…} (s per game), timedOut, score (mean), cubes (spawned),
+  //     cornered (share of cubes pinned at least once), pins, jukes (per cube) }
+  function evaluate(opts){
+    opts = opts || {};
+    const profiles = opts.profiles || [{ name: CubeSim.DEFAULT_DIFFICULTY, difficulty: CubeSim.DEFAULT_DIFFICULTY }];
+    const strategies = opts.strategies || Object.keys(STRATEGIES);
+    const games = opts.games || 200, seed = opts.seed !== undefined ? opts.seed : 1, maxSec = opts.maxSec || 300;
+    for (const s of strategies) if (!STRATEGIES[s]) throw new Error(`Unknown bot strategy "${s}"`);
+    for (const p of profiles) if (p.difficulty && !CubeSim.DIFFICULTIES[p.difficulty]) throw new Error(`Unknown difficulty "${p.difficulty}"`);
+
+    const rows = [];
+    for (const p of profiles){
+      for (const strategy of strategies){
+        const ttc = [], survival = [];
+        let timedOut = 0, score = 0, cubes = 0, cornered = 0, pins = 0, jukes = 0;
+        for (let g = 0; g < games; g++){
+          const st = playGame({
+            strategy, seed: (seed + g) >>> 0, maxSec, difficulty: p.difficulty, config: p.config,
+            layout: opts.layout, script: opts.script, mode: opts.mode,
+          });
+          survival.push(st.elapsed);
+          if (st.timedOut) timedOut++;
+          score += st.score;
+          for (const r of st.targets){
+            if (isDecoy(r)) continue;
+            cubes++;
+            if (r.caught !== null) ttc.push(r.caught - r.born);
+            if (r.corners > 0) cornered++;
+            pins += r.corners; jukes += r.jukes;
+          }
+        }
+        const per = v => cubes ? +(v / cubes).toFixed(3) : null;
+        const row = {
+          profile: p.name, strategy, games,
+          ttc: CubeStats.spread(ttc), survival: CubeStats.spread(survival), timedOut,
+          score: +(score / games).toFixed(1), cubes,
+          cornered: per(cornered), pins: per(pins), jukes: per(jukes),
+        };
+        rows.push(row);
+        if (opts.onRow) opts.onRow(row);
+      }
+    }
+    return { games, seed, maxSec, rows };
+  }
+
+  // ---------------------------
+  // MODULE 4: Report
+  // ---------------------------
+  const REPORT_COLUMNS = [
+    ['Profile',    r => r.profile],
+    ['Strategy',   r => r.strategy],
+    ['Catch p50',  r => r.ttc.p50],
+    ['p90',        r => r.ttc.p90],
+    ['mean',       r => r.ttc.mean],
+    ['Survive',    r => r.survival.mean],
+    ['p50',        r => r.survival.p50],
+    ['Timed out',  r => `${r.timedOut}/${r.games}`],
+    ['Score',      r => r.score],
+    ['Cornered',   r => r.cornered === null ? null : `${Math.round(r.cornered * 100)}%`],
+    ['Pins/cube',  r => r.pins],
+    ['Jukes/cube', r => r.jukes],
+  ];
+
+  function formatReport(report){
+    const cells = report.rows.map(r => REPORT_COLUMNS.map(([, get]) => { const v = get(r); return v === null ? '—' : String(v); }));
+    const widths = REPORT_COLUMNS.map(([h], i) => Math.max(h.length, ...cells.map(c => c[i].length)));
+    const line = c => c.map((v, i) => i < 2 ? v.padEnd(widths[i]) : v.padStart(widths[i])).join('  ');
+    return [
+      `${report.games} games per row (seeds ${report.seed}–${report.seed + report.games - 1}, at most ${report.maxSec} s each)`,
+      'Catch: s from spawn to catch · Survive: s per game · Cornered: cubes pinned at least once',
+      '',
+      line(REPORT_COLUMNS.map(([h]) => h)),
+      ...cells.map(line),
+    ].join('\n');
+  }
+
+  // ---------------------------
+  // MODULE 5: CLI
+  // ---------------------------
+  //   --games N          per profile × strategy (default 200)
+  //   --difficulty a,b   a profile per difficulty preset
+  //   --tuning file      a profile per cube-tuning preset (Tuning → Export), on the first
+  //                      --difficulty; repeatable. Without --difficulty the untuned preset
+  //                      plays too, as the baseline
+  //   --strategy a,b     greedy, intercept, herd or all (default all)
+  //   --seed N, --max-sec N, --layout id, --waves id, --mode id, --json
+  const USAGE = 'usage: node bot.js [--games 200] [--difficulty normal,hard] [--tuning preset.json]… '
+    + '[--strategy all|greedy,intercept,herd] [--seed 1] [--max-sec 300] [--layout id] [--waves id] [--mode id] [--json]';
+
+  function cli(args){
+    const fs = require('fs');
+    const CubeTuning = require('./tuning.js');
+    const all = name => {
+      const out = [];
+      args.forEach((a, i) => { if (a === `--${name}` && args[i + 1] !== undefined) out.push(...args[i + 1].split(',')); });
+      return out.map(s => s.trim()).filter(Boolean);
+    };
+    const one = name => { const v = all(name); return v.length ? v[v.length - 1] : undefined; };
+    const num = (name, def) => {
+      const v = one(name);
+      if (v === undefined) return def;
+      const n = Number(v);
+      if (!Number.isFinite(n) || n < 0) throw new Error(`--${name} wants a number, not "${v}"`);
+      return n;
+    };
+
+    if (args.includes('--help')){ console.log(USAGE); return 0; }
+    try {
+      const difficulties = all('difficulty'), tunings = all('tuning');
+      const base = difficulties[0] || CubeSim.DEFAULT_DIFFICULTY;
+      const profiles = (difficulties.length ? difficulties : [base]).map(d => ({ name: d, difficulty: d }));
+      for (const file of tunings){
+        const preset = CubeTuning.parse(fs.readFileSync(file, 'utf8'));
+        profiles.push({ name: preset.name, difficulty: base, config: preset.config });
+      }
+      const picked = all('strategy');
+      const strategies = !picked.length || picked.includes('all') ? Object.keys(STRATEGIES) : picked;
+      const layout = one('layout'), script = one('waves'), mode = one('mode');
+      if (layout && !CubeSim.LAYOUTS[layout]) throw new Error(`Unknown layout "${layout}"`);
+      if (script && !CubeSim.WAVE_SCRIPTS[script]) throw new Error(`Unknown wave script "${script}"`);
+      if (mode && !CubeSim.MODES[mode]) throw new Error(`Unknown mode "${mode}"`);
+
+      const started = Date.now();
+      const report = evaluate({
+        profiles, strategies, layout, script, mode,
+        games: Math.max(1, Math.round(num('games', 200))), seed: Math.round(num('seed', 1)), maxSec: num('max-sec', 300) || 300,
+        onRow: r => console.error(`${r.profile} × ${r.strategy}: ${r.games} games (${((Date.now() - started) / 1000).toFixed(1)} s so far)`),
+      });
+      console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : formatReport(report));
+      return 0;
+    } catch (err){
+      console.error(err.message);
+      console.error(USAGE);
+      return 1;
+    }
+  }
+
+  // ---------------------------
+  // MODULE 6: Exports
+  // ---------------------------
+  return {
+    BOT, STRATEGIES, DEFAULT_STRATEGY,
+    createBot, playGame, evaluate, formatReport, cli,
+  };
+});
+
+if (typeof module === 'object' && module.exports && require.main === module) process.exitCode = module.exports.cli(process.argv.slice(2));
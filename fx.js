@@ -0,0 +1,258 @@
+// MODULE INDEX (fx.js)
+// Cosmetic feedback on top of the world: particle bursts on catches, a heal pulse when
+// a wave clear refills HP, motion trails behind juking cubes, and camera shake as HP
+// crosses thresholds. Purely visual: it listens to sim events, reads the view it's
+// given and never touches sim state (Math.random here, not the sim's seeded RNG).
+// With reduced motion on there's no shake and no trails, and bursts fade in place.
+// MODULE 1: Settings (reduced motion: the OS preference unless overridden, persisted)
+// MODULE 2: Particles (bursts, rings, screen flash)
+// MODULE 3: Trails (ghost copies behind juking cubes)
+// MODULE 4: Shake (trauma from HP thresholds, decoys, knock-outs)
+// MODULE 5: Sim binding + exports
+//
+// Node:    const CubeFx = require('./fx.js');   // runs headless; draw() wants a 2D context
+// Browser: <script src="./fx.js"></script> → window.CubeFx
+
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory(root);
+  else root.CubeFx = factory(root);
+})(this, function(root){
+
+  // ---------------------------
+  // MODULE 1: Settings
+  // ---------------------------
+  const SETTINGS_KEY = 'cubeCollector.fx';
+  const REDUCED_QUERY = '(prefers-reduced-motion: reduce)';
+
+  const FX = {
+    BURST_COUNT: 12,       // particles per catch
+    BURST_SPEED: 150,      // arena units/s at launch…
+    BURST_DRAG: 4,         // …slowing by this factor per second
+    BURST_SEC: 0.55,
+    BURST_SIZE: 4,
+    HEAL_RINGS: 2,         // expanding rings around each player on a refill
+    HEAL_RADIUS: 70,
+    HEAL_SEC: 0.7,
+    FLASH_SEC: 0.45,       // whole-arena tint on death
+    FLASH_ALPHA: 0.35,     // (reduced motion: a third of this)
+    TRAIL_EVERY: 0.03,     // s between ghost stamps behind a juking cube
+    TRAIL_SEC: 0.22,
+    TRAIL_ALPHA: 0.45,
+    SHAKE_MAX: 9,          // arena units of offset at full trauma
+    SHAKE_DECAY: 1.8,      // trauma lost per second
+    HP_STEPS: [0.5, 0.25, 0.1], // fractions of HEALTH_MAX; falling through one shakes, harder each step
+    MAX_PARTICLES: 800,    // oldest go first past this (stress runs)
+  };
+
+  // → true / false when the player picked one, null to follow the OS
+  function loadSettings(storage){
+    try {
+      const raw = storage && storage.getItem(SETTINGS_KEY);
+      const s = raw ? JSON.parse(raw) : {};
+      return { reducedMotion: typeof s.reducedMotion === 'boolean' ? s.reducedMotion : null };
+    } catch (e){
+      return { reducedMotion: null };
+    }
+  }
+
+  // opts.colors   { target: {kind: css}, armor, heal, danger } — the shell's palette
+  // opts.storage  getItem/setItem store for the reduced-motion choice (default: localStorage if present)
+  function createFx(opts){
+    opts = opts || {};
+    const storage = opts.storage !== undefined ? opts.storage
+      : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const colors = Object.assign({ target: {}, armor: '#e6eef7', heal: '#86efac', danger: '#f87171' }, opts.colors);
+    const settings = loadSettings(storage);
+    const query = root && root.matchMedia ? root.matchMedia(REDUCED_QUERY) : null;
+
+    function saveSettings(){
+      try { if (storage) storage.setItem(SETTINGS_KEY, JSON.stringify(settings)); }
+      catch (e){ /* not fatal */ }
+    }
+
+    function reduced(){ return settings.reducedMotion !== null ? settings.reducedMotion : !!(query && query.matches); }
+
+    // ---------------------------
+    // MODULE 2: Particles
+    // ---------------------------
+    // { type: 'dot' | 'ring' | 'flash', x, y, vx, vy, size, color, age, life }
+    const particles = [];
+    let view = null; // last view update() saw: events carry no player positions
+
+    function add(p){
+      particles.push(Object.assign({ vx: 0, vy: 0, size: FX.BURST_SIZE, age: 0 }, p));
+      if (particles.length > FX.MAX_PARTICLES) particles.splice(0, particles.length - FX.MAX_PARTICLES);
+    }
+
+    // Flying specks; with reduced motion, one square that fades where it is.
+    function burst(x, y, color, scale){
+      scale = scale || 1;
+      if (reduced()){ add({ type: 'dot', x, y, size: FX.BURST_SIZE * 3 * scale, color, life: FX.BURST_SEC }); return; }
+      const n = Math.round(FX.BURST_COUNT * scale);
+      for (let i = 0; i < n; i++){
+        const ang = (i / n) * Math.PI * 2 + Math.random() * 0.5;
+        const v = FX.BURST_SPEED * scale * (0.5 + Math.random() * 0.5);
+        add({ type: 'dot', x, y, vx: Math.cos(ang) * v, vy: Math.sin(ang) * v, color,
+              life: FX.BURST_SEC * (0.7 + Math.random() * 0.3) });
+      }
+    }
+
+    function ring(x, y, color, delay){
+      add({ type: 'ring', x, y, size: FX.HEAL_RADIUS, color, age: -delay, life: FX.HEAL_SEC });
+    }
+
+    function flash(color){
+      add({ type: 'flash', x: 0, y: 0, color, life: FX.FLASH_SEC });
+    }
+
+    function centre(p){ return { x: p.x + p.w/2, y: p.y + p.h/2 }; }
+
+    function ageParticles(dt){
+      const drag = Math.max(0, 1 - FX.BURST_DRAG * dt);
+      for (const p of particles){
+        p.age += dt;
+        p.x += p.vx * dt; p.y += p.vy * dt;
+        p.vx *= drag; p.vy *= drag;
+      }
+      for (let i = particles.length - 1; i >= 0; i--) if (particles[i].age >= particles[i].life) particles.splice(i, 1);
+    }
+
+    // ---------------------------
+    // MODULE 3: Trails
+    // ---------------------------
+    // Every TRAIL_EVERY s each juking cube leaves a ghost of itself that fades out.
+    // Online views flag it as t.juking; a local sim's cubes carry their AI state.
+    const ghosts = []; // { x, y, w, h, color, age }
+    let trailClock = 0;
+
+    function juking(t){ return t.juking || (t._ai && t._ai.jukeTime > 0); }
+
+    function stampTrails(dt, targets){
+      for (const g of ghosts) g.age += dt;
+      while (ghosts.length && ghosts[0].age >= FX.TRAIL_SEC) ghosts.shift();
+      trailClock -= dt;
+      if (trailClock > 0) return;
+      trailClock = FX.TRAIL_EVERY;
+      for (const t of targets){
+        if (juking(t)) ghosts.push({ x: t.x, y: t.y, w: t.w, h: t.h, color: colors.target[t.kind] || colors.armor, age: 0 });
+      }
+    }
+
+    // ---------------------------
+    // MODULE 4: Shake
+    // ---------------------------
+    // Trauma (0..1) is added by hits and bleeds off over time; the offset grows with
+    // its square, so small knocks barely move and big ones really land.
+    let trauma = 0;
+    const offset = { x: 0, y: 0 };
+    let hpSeen = []; // per HP pool: fraction of HEALTH_MAX on the last update
+
+    function shake(amount){ trauma = Math.min(1, trauma + amount); }
+
+    // Falling through each of HP_STEPS shakes once (a refill re-arms it).
+    function watchThresholds(v){
+      const pools = [...new Set(v.players.map(p => p.pool))];
+      pools.forEach((pool, i) => {
+        const pct = pool.hp / v.CFG.HEALTH_MAX, was = hpSeen[i];
+        if (was !== undefined){
+          FX.HP_STEPS.forEach((step, k) => { if (was >= step && pct < step) shake(0.25 + 0.15 * k); });
+        }
+        hpSeen[i] = pct;
+      });
+    }
+
+    // Call once per animation frame while a run is on screen (not while paused).
+    function update(dt, v){
+      view = v;
+      ageParticles(dt);
+      stampTrails(dt, v.alive && !reduced() ? v.targets : []);
+      if (v.alive) watchThresholds(v);
+      trauma = Math.max(0, trauma - FX.SHAKE_DECAY * dt);
+      const k = reduced() ? 0 : trauma * trauma * FX.SHAKE_MAX;
+      offset.x = (Math.random() * 2 - 1) * k;
+      offset.y = (Math.random() * 2 - 1) * k;
+    }
+
+    // Ghosts go under the targets, so the cube itself stays crisp.
+    function drawTrails(ctx){
+      for (const g of ghosts){
+        ctx.globalAlpha = FX.TRAIL_ALPHA * (1 - g.age / FX.TRAIL_SEC);
+        ctx.fillStyle = g.color;
+        ctx.fillRect(g.x, g.y, g.w, g.h);
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // Particles over the world, in arena units; the flash covers the arena.
+    function draw(ctx, v){
+      const still = reduced();
+      for (const p of particles){
+        if (p.age < 0) continue;
+        const k = p.age / p.life;
+        ctx.fillStyle = ctx.strokeStyle = p.color;
+        if (p.type === 'flash'){
+          ctx.globalAlpha = FX.FLASH_ALPHA * (still ? 1/3 : 1) * (1 - k);
+          ctx.fillRect(0, 0, v.arena.width, v.arena.height);
+        } else if (p.type === 'ring'){
+          ctx.globalAlpha = 1 - k;
+          ctx.lineWidth = 2;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, still ? p.size * 0.6 : p.size * k, 0, Math.PI*2);
+          ctx.stroke();
+        } else {
+          ctx.globalAlpha = 1 - k;
+          const s = still ? p.size : p.size * (1 - k * 0.5);
+          ctx.fillRect(p.x - s/2, p.y - s/2, s, s);
+        }
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // Everything gone (new run, replay, leaving the lobby).
+    function clear(){
+      particles.length = 0; ghosts.length = 0;
+      trauma = 0; offset.x = offset.y = 0;
+      hpSeen = [];
+    }
+
+    // ---------------------------
+    // MODULE 5: Sim binding
+    // ---------------------------
+    // Subscribes effects to a sim's events (or an online client's forwarded ones, which
+    // carry the same plain fields). Returns an unsubscribe function.
+    function attach(sim){
+      const playerAt = i => view && view.players[i] ? centre(view.players[i]) : null;
+      const offs = [
+        sim.on('catch', e => burst(e.x, e.y, colors.target[e.kind] || colors.armor)),
+        sim.on('hit', e => burst(e.x, e.y, colors.armor, 0.5)),
+        sim.on('decoy', e => { burst(e.x, e.y, colors.danger); shake(0.45); }),
+        sim.on('waveClear', e => {
+          if (!(e.refill > 0) || !view) return;
+          for (const p of view.players){
+            if (p.out) continue;
+            const c = centre(p);
+            for (let r = 0; r < FX.HEAL_RINGS; r++) ring(c.x, c.y, colors.heal, r * FX.HEAL_SEC / 3);
+          }
+        }),
+        sim.on('out', e => {
+          const at = playerAt(e.player);
+          if (at) burst(at.x, at.y, colors.danger, 1.5);
+          shake(0.6);
+        }),
+        sim.on('death', () => { flash(colors.danger); shake(1); }),
+        sim.on('restart', clear),
+      ];
+      return () => offs.forEach(off => off());
+    }
+
+    return {
+      attach, update, draw, drawTrails, clear,
+      get offset(){ return offset; },
+      get reducedMotion(){ return reduced(); },
+      // true / false pins it; null goes back to following the OS setting
+      set reducedMotion(v){ settings.reducedMotion = v === null ? null : !!v; saveSettings(); },
+    };
+  }
+
+  return { SETTINGS_KEY, FX, createFx };
+});
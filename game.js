@@ -1,755 +1,1718 @@
 // MODULE INDEX (game.js)
-// MODULE 1: Config
+// Thin browser shell on top of sim.js (simulation lives there).
 // MODULE 2: Style
-// MODULE 3: State
-// MODULE 4: Input
-// MODULE 5: Helpers
-// MODULE 6: Spawning & Cap (time-based)
-// MODULE 7: AI (evasion)
-// MODULE 8: Update (drain, catch-all regen, time cap)
-// MODULE 9: Render (score, HP, targets info, game over)
+// MODULE 3: Shell state (canvas + sim)
+// MODULE 4: Input (keyboard / gamepad / touch via input.js, key rebinding screen)
+// MODULE 4.1: Replay (record every run, playback controls, file export/import)
+// MODULE 4.2: Scores (local leaderboard, name entry, JSON export/import)
+// MODULE 4.3: Sound (WebAudio effects + adaptive music, volume/mute)
+// MODULE 4.4: Debug (F3 AI overlay, fps / frame-time HUD)
+// MODULE 4.5: Tuning (live CFG / AI_CFG / AI_PROFILE panel, presets)
+// MODULE 4.6: Online (lobby, rooms, runs on server.js via net.js)
+// MODULE 4.7: Popups (floating "+N" at catches, clear-speed bonus)
+// MODULE 4.8: Effects (particles, juke trails, camera shake via fx.js; reduced motion)
+// MODULE 4.9: Stats (per-run telemetry via stats.js, charts screen, JSON/CSV export)
+// MODULE 4.10: Plugins (window.CubeCollector: events, AI layers, render passes, config)
+// MODULE 5: Flow (title → playing ⇄ paused → game over → name entry → results; controls)
+// MODULE 9: Render (world, HUD, per-state overlays)
 // MODULE 10: Loop/Boot
 
 (function(){
   const canvas = document.getElementById('game');
   const ctx = canvas.getContext('2d');
 
-  // ---------------------------
-  // MODULE 1: Config
-  // ---------------------------
-  const CFG = {
-    PLAYER_SIZE: 24,
-    PLAYER_SPEED: 240,
-
-    TARGET_SIZE: 24,
-    TARGET_MAX_SPEED: 220,
-    TARGET_MAX_ACCEL: 600,
-    JUKE_STRENGTH: 0.8,
-    JITTER: 0.35,
-
-    HEALTH_MAX: 100,
-    HEALTH_DECAY_PER_SEC: 8,
-    HEALTH_REFILL_ON_CLEAR: 100, // full heal on clearing all current cubes
-
-    TIME_STEP_SEC: 30 // every 30s, cap += 1 (1→2→3…)
-  };
-
   // ---------------------------
   // MODULE 2: Style
   // ---------------------------
   const STYLE = {
     PLAYER: '#fbbf24',
-    TARGET: '#60a5fa',
+    PLAYER2: '#a78bfa',              // P2 in 2-player parties
+    PLAYER_OUT_ALPHA: 0.3,           // a player whose HP ran out stays on the board, faded
+    TARGET: {                        // one colour per sim ARCHETYPES id
+      cube:     '#60a5fa',
+      runner:   '#34d399',
+      armored:  '#3b82f6',
+      splitter: '#fb923c',
+      shard:    '#fdba74',
+      blinker:  '#e879f9',
+      decoy:    '#f87171',
+    },
+    TARGET_ARMOR: '#e6eef7',         // outline while an armored cube still has a plate
     BORDER: '#e6eef7',
     TEXT:   '#e6eef7',
     SCORE_FONT: '16px system-ui, -apple-system, Segoe UI, Roboto, Inter, Arial',
+    TITLE_FONT: '24px system-ui, -apple-system, Segoe UI, Roboto, Inter, Arial',
     HP_BG:  '#273646',
     HP_OK:  '#86efac',
     HP_LOW: '#fca5a5',
-    HP_BORDER: '#1e2a36'
+    HP_BORDER: '#1e2a36',
+    CLOCK:  '#93c5fd',               // time attack's countdown bar, where the health bar would be
+    OBSTACLE: '#1b2838',
+    OBSTACLE_EDGE: '#3b4d63',
+    WAVE_TIME_WARN: 5,                 // s left on a timed wave when the HUD turns red
+    WAVE_FLASH_SEC: 1.5,               // "Wave n" fade-out as a wave lands
+    MUTED:  '#96a3b3',
+    DIM:    'rgba(0,0,0,0.55)',
+    TARGET_FROZEN: '#bfdbfe',
+    PICKUP: {
+      boost:  { color: '#f472b6', glyph: '»', label: 'Boost'  },
+      heal:   { color: '#86efac', glyph: '+', label: 'Heal'   },
+      magnet: { color: '#c084fc', glyph: 'U', label: 'Magnet' },
+      freeze: { color: '#67e8f9', glyph: '*', label: 'Freeze' },
+    },
+    COMBO: '#fde047',                // multiplier + its decay bar
+    POPUP: '#e6eef7',
+    POPUP_BONUS: '#f97316',          // juke / low-HP catches
+    POPUP_SEC: 0.9,                  // how long a "+N" floats…
+    POPUP_RISE: 36,                  // …and how far up it drifts
+    PICKUP_FONT: 'bold 14px system-ui, -apple-system, Segoe UI, Roboto, Inter, Arial',
+    EFFECT_FONT: '12px system-ui, -apple-system, Segoe UI, Roboto, Inter, Arial',
+    STICK_BASE: 'rgba(230,238,247,0.12)',
+    STICK_KNOB: 'rgba(230,238,247,0.45)',
+    DEBUG_HEAT: [255, 99, 71],           // rgb; alpha follows cell heat
+    DEBUG_RING: 'rgba(150,163,179,0.35)',
+    DEBUG_ANCHOR: '#a3e635',
+    DEBUG_FINAL: '#e6eef7',
+    DEBUG_LAYER: {
+      base: '#fbbf24', separation: '#f472b6', obstacle: '#94a3b8', heatmap: '#fb7185', dispersion: '#38bdf8',
+      sector: '#a3e635', cover: '#facc15', squad: '#60a5fa', pickup: '#c084fc', juke: '#f97316',
+      cornerPop: '#e879f9', patrol: '#2dd4bf',
+    },
+    DEBUG_EXTRA: '#d9f99d',              // plugin layers (sim.js 7.18)
+    DEBUG_ARROW_SCALE: 28                // px per unit of steering
   };
 
   // ---------------------------
-  // MODULE 3: State
+  // MODULE 3: Shell state
   // ---------------------------
-  const player = { x: 120, y: 120, w: CFG.PLAYER_SIZE, h: CFG.PLAYER_SIZE, speed: CFG.PLAYER_SPEED };
-  const keys = new Set();
-  let score = 0;
-  let hp = CFG.HEALTH_MAX;
-  let alive = true;
+  // Keyboard + gamepad + touch joystick, one input source for the sim (has() + axis()).
+  // Gamepad A arrives as Enter and Start/B as Escape, so menus work without a keyboard.
+  const input = CubeInput.createInput({
+    canvas,
+    onButton: code => onFlowKey({ code, key: '', repeat: false, preventDefault(){} }),
+  });
+  const params = new URLSearchParams(location.search);
+  // ?seed=123 pins every run to one seed (bug reports, daily challenges); otherwise each restart rolls a new one
+  const seedParam = params.get('seed');
+  // ?difficulty=hard preselects a preset; the title menu can still change it
+  const DIFFICULTY_IDS = Object.keys(CubeSim.DIFFICULTIES);
+  const difficultyParam = (params.get('difficulty') || '').toLowerCase();
+  // ?layout=pillars likewise preselects an arena layout (L on the title cycles them)
+  const LAYOUT_IDS = Object.keys(CubeSim.LAYOUTS);
+  const layoutParam = (params.get('layout') || '').toLowerCase();
+  // ?waves=gauntlet picks a wave script (↑/↓ on the title)
+  const SCRIPT_IDS = Object.keys(CubeSim.WAVE_SCRIPTS);
+  const scriptParam = (params.get('waves') || '').toLowerCase();
+  // ?party=versus picks solo or a 2-player party (T on the title); P1 plays WASD, P2 the arrows
+  const PARTY_IDS = Object.keys(CubeSim.PARTIES);
+  const partyParam = (params.get('party') || '').toLowerCase();
+  // ?mode=timeattack picks the rules (G on the title): classic, timeattack, zen or daily
+  const MODE_IDS = Object.keys(CubeSim.MODES);
+  const modeParam = (params.get('mode') || '').toLowerCase();
+  // ?server=ws://host:8080 points the online lobby (O on the title) at a server.js; when the page
+  // is served by server.js itself, that's the default
+  const serverParam = params.get('server');
+  const SERVER_URL = serverParam || (/^https?:$/.test(location.protocol) ? `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}` : null);
+  // ?plugins=catch-marks,flock loads plugins/<id>.js once the game is up (MODULE 4.10)
+  const PLUGIN_IDS = (params.get('plugins') || '').split(',').map(s => s.trim()).filter(id => /^[\w-]+$/.test(id));
+  // ?stress=500 is a benchmark run: one wave of that many targets, no health drain, never ranked
+  const STRESS = Math.min(5000, Math.max(0, parseInt(params.get('stress'), 10) || 0));
+  // ?bot=intercept hands P1 to an autopilot (bot.js: greedy, intercept or herd); it feeds the sim
+  // through the same has()/axis() interface as the keyboard, so its runs replay like any other
+  const botParam = (params.get('bot') || '').toLowerCase();
+  const bot = CubeBot.STRATEGIES[botParam] ? CubeBot.createBot({ strategy: botParam }) : null;
+  // The arena is in logical units: always ARENA_HEIGHT tall, and as wide as the
+  // canvas's shape allows (between ASPECT_MIN and ASPECT_MAX; beyond that it's
+  // letterboxed). render() scales those units onto the devicePixelRatio-sized
+  // backing store, so gameplay and AI distances don't depend on the window size.
+  const ARENA_HEIGHT = 480;
+  const ASPECT_MIN = 4/3, ASPECT_MAX = 2;
+  const stage = { width: ARENA_HEIGHT * ASPECT_MIN, height: ARENA_HEIGHT, scale: 1, x: 0, y: 0, dpr: 1 };
+  const sim = CubeSim.createSim({
+    width: stage.width, height: stage.height, input: bot || input, input2: input.p2,
+    party: PARTY_IDS.includes(partyParam) ? partyParam : CubeSim.DEFAULT_PARTY,
+    mode: MODE_IDS.includes(modeParam) ? modeParam : CubeSim.DEFAULT_MODE,
+    seed: seedParam !== null && seedParam !== '' ? Number(seedParam) >>> 0 : undefined,
+    difficulty: DIFFICULTY_IDS.includes(difficultyParam) ? difficultyParam : CubeSim.DEFAULT_DIFFICULTY,
+    layout: LAYOUT_IDS.includes(layoutParam) ? layoutParam : CubeSim.DEFAULT_LAYOUT,
+    script: STRESS ? CubeSim.stressScript(STRESS)
+      : SCRIPT_IDS.includes(scriptParam) ? scriptParam : CubeSim.DEFAULT_SCRIPT,
+  });
+  // as live tuning, so it lands in the replay and keeps the run off the leaderboard
+  if (STRESS) sim.configure({ CFG: { HEALTH_DECAY_PER_SEC: 0 } });
+  if (bot) bot.attach(sim);
+  input.split = CubeSim.PARTIES[sim.party].players > 1;
+
+  // Sizes the backing store to the canvas's CSS box × devicePixelRatio and gives the
+  // live sim an arena of the matching shape (a mid-run resize rescales it in place,
+  // and the replay records it). Called from the loop, at most once per frame.
+  let resizePending = true;
+  let aspect = ASPECT_MIN; // the window's, clamped; updated by fitCanvas()
+  window.addEventListener('resize', () => { resizePending = true; });
+
+  function fitCanvas(){
+    resizePending = false;
+    const r = canvas.getBoundingClientRect();
+    if (!r.width || !r.height) return;
+    stage.dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(r.width * stage.dpr);
+    canvas.height = Math.round(r.height * stage.dpr);
+    aspect = Math.min(ASPECT_MAX, Math.max(ASPECT_MIN, r.width / r.height));
+    fitArena();
+  }
+
+  // A mode with a fixed arena (the daily challenge) keeps it whatever the window does,
+  // so everyone's run of it plays out the same; render() letterboxes it.
+  function fitArena(){
+    const fixed = modeOf(sim).arena;
+    if (fixed) sim.resize(fixed.width, fixed.height);
+    else sim.resize(ARENA_HEIGHT * aspect, ARENA_HEIGHT);
+  }
 
-  let elapsed = 0;       // seconds since run start
-  let targets = [];      // active cubes
+  function difficultyName(id){ return CubeSim.DIFFICULTIES[id || CubeSim.DEFAULT_DIFFICULTY].name; }
+  // replays can carry a custom layout object instead of an id
+  function layoutName(l){ return typeof l === 'string' ? CubeSim.LAYOUTS[l].name : (l && l.name) || 'Custom'; }
+  function scriptName(s){ return typeof s === 'string' ? CubeSim.WAVE_SCRIPTS[s].name : (s && s.name) || 'Custom'; }
+  function partyName(id){ return CubeSim.PARTIES[id || CubeSim.DEFAULT_PARTY].name; }
+  // replays from before modes existed (and online views from older servers) have none
+  function modeOf(view){ return CubeSim.MODES[view.mode || CubeSim.DEFAULT_MODE]; }
+  function playerColor(p){ return p.index ? STYLE.PLAYER2 : STYLE.PLAYER; }
 
   // ---------------------------
   // MODULE 4: Input
   // ---------------------------
-  function mapKey(code){
-    switch(code){
-      case 'KeyW': case 'ArrowUp':    return 'up';
-      case 'KeyS': case 'ArrowDown':  return 'down';
-      case 'KeyA': case 'ArrowLeft':  return 'left';
-      case 'KeyD': case 'ArrowRight': return 'right';
-      case 'Space':                   return 'space';
-      default: return null;
+  // Direction keys are rebindable on the controls screen (C from the title): ↑/↓ pick
+  // an action, ←/→ the primary or secondary slot, Enter then the new key, R resets.
+  // Menu keys (Space, Enter, Esc, P, M, -/=) are fixed and can't be taken.
+  const controls = { row: 0, slot: 0, waiting: false, message: '' };
+
+  function keyLabel(code){
+    if (!code) return '—';
+    const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    if (arrows[code]) return arrows[code];
+    return code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num ');
+  }
+
+  function onControlsKey(e){
+    const n = CubeInput.ACTIONS.length;
+    switch(e.code){
+      case 'ArrowUp':    controls.row = (controls.row + n - 1) % n; break;
+      case 'ArrowDown':  controls.row = (controls.row + 1) % n; break;
+      case 'ArrowLeft': case 'ArrowRight': controls.slot = 1 - controls.slot; break;
+      case 'KeyR':       input.resetBindings(); controls.message = 'Bindings reset to defaults'; break;
+      case 'Escape':     setState(STATE.TITLE); break;
+      case 'Enter': case 'Space': {
+        const action = CubeInput.ACTIONS[controls.row], slot = controls.slot;
+        controls.waiting = true;
+        controls.message = '';
+        input.captureNext(code => {
+          controls.waiting = false;
+          if (code === 'Escape') return;
+          if (!input.rebind(action, slot, code)) controls.message = `${keyLabel(code)} is reserved for menus`;
+        });
+        break;
+      }
+      default: return;
+    }
+    e.preventDefault();
+  }
+
+  // A tap on the canvas does what Space does on the menus, so touch-only devices can play.
+  canvas.addEventListener('pointerdown', e => {
+    if (e.pointerType !== 'touch') return;
+    if (state === STATE.TITLE || state === STATE.RESULTS || state === STATE.PAUSED){
+      onFlowKey({ code: state === STATE.PAUSED ? 'Escape' : 'Space', key: '', repeat: false, preventDefault(){} });
+    }
+  });
+
+  // ---------------------------
+  // MODULE 4.1: Replay
+  // ---------------------------
+  // Every run is recorded (seed + per-tick input). On the results screen R watches it back.
+  // During playback: Space pause, 1–4 speed, ←/→ scrub 5s, Esc back to where you were.
+  const recorder = CubeReplay.createRecorder();
+  let lastReplay = null;  // most recent finished (or imported) run
+  let playback = null;    // CubeReplay player while in STATE.REPLAY, else null
+
+  const ui = {
+    watch:  document.getElementById('replay-watch'),
+    pause:  document.getElementById('replay-pause'),
+    speed:  document.getElementById('replay-speed'),
+    scrub:  document.getElementById('replay-scrub'),
+    export: document.getElementById('replay-export'),
+    import: document.getElementById('replay-import'),
+    status: document.getElementById('replay-status'),
+  };
+
+  function syncReplayUi(){
+    ui.watch.disabled = !lastReplay || state === STATE.PLAYING;
+    ui.export.disabled = !lastReplay;
+    ui.watch.textContent = playback ? 'Exit replay' : 'Watch replay';
+    ui.pause.disabled = !playback;
+    ui.scrub.disabled = !playback;
+    ui.pause.textContent = (playback && playback.paused) ? 'Play' : 'Pause';
+    if (playback) ui.scrub.value = String(playback.tick);
+    if (lastReplay && !playback){
+      ui.status.textContent = `Last run: ${lastReplay.result.score} pts on ${difficultyName(lastReplay.difficulty)}, seed ${lastReplay.seed}`;
     }
   }
-  document.addEventListener('keydown', e => { const k = mapKey(e.code); if (k){ keys.add(k); e.preventDefault(); }});
-  document.addEventListener('keyup',   e => { const k = mapKey(e.code); if (k){ keys.delete(k); e.preventDefault(); }});
 
-  function readInput(){
-    let dx=0, dy=0;
-    if (keys.has('up')) dy -= 1;
-    if (keys.has('down')) dy += 1;
-    if (keys.has('left')) dx -= 1;
-    if (keys.has('right')) dx += 1;
-    if (dx || dy){ const l = Math.hypot(dx,dy) || 1; dx/=l; dy/=l; }
-    return {dx, dy};
+  function onReplayKey(e){
+    switch(e.code){
+      case 'Escape':     exitReplay(); break;
+      case 'Space':      playback.paused = !playback.paused; break;
+      case 'Digit1': case 'Digit2': case 'Digit3': case 'Digit4':
+        playback.speed = CubeReplay.SPEEDS[Number(e.code.slice(5)) - 1];
+        ui.speed.value = String(playback.speed);
+        break;
+      case 'ArrowLeft':  playback.seek(playback.tick - Math.round(5 / CubeSim.TICK_DT)); break;
+      case 'ArrowRight': playback.seek(playback.tick + Math.round(5 / CubeSim.TICK_DT)); break;
+      default: return;
+    }
+    e.preventDefault();
+    if (playback) syncReplayUi();
   }
 
+  ui.watch.addEventListener('click', () => { if (playback) exitReplay(); else if (lastReplay) enterReplay(lastReplay); ui.watch.blur(); });
+  ui.pause.addEventListener('click', () => { if (playback){ playback.paused = !playback.paused; syncReplayUi(); } ui.pause.blur(); });
+  ui.speed.addEventListener('change', () => { if (playback) playback.speed = Number(ui.speed.value); ui.speed.blur(); });
+  ui.scrub.addEventListener('input', () => { if (playback){ playback.seek(Number(ui.scrub.value)); syncReplayUi(); } });
+  ui.export.addEventListener('click', () => {
+    if (!lastReplay) return;
+    const blob = new Blob([CubeReplay.serialize(lastReplay)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `cube-replay-${lastReplay.seed}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    ui.export.blur();
+  });
+  ui.import.addEventListener('change', () => {
+    const file = ui.import.files && ui.import.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      try { lastReplay = CubeReplay.parse(text); }
+      catch (err){ ui.status.textContent = err.message; return; }
+      enterReplay(lastReplay);
+    });
+    ui.import.value = '';
+  });
+
   // ---------------------------
-  // MODULE 5: Helpers
+  // MODULE 4.2: Scores
   // ---------------------------
-  function clamp(v,min,max){return Math.max(min,Math.min(max,v));}
-  function rectsOverlap(a,b){
-    return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+  // Top 10 per mode/difficulty in localStorage. A run that makes its board asks for a
+  // name (typed on the canvas, Enter to save, Esc to skip); the results screen then
+  // shows the board with that row highlighted. Boards are keyed by the game mode; co-op
+  // parties rank on boards of their own ('classic-coop' etc.) and every day's challenge gets
+  // a fresh board ('daily-2026-01-31'). Versus runs are about beating each other, and zen
+  // has nothing to beat, so neither is ranked.
+  const NAME_KEY = 'cubeCollector.playerName';
+  const board = CubeLeaderboard.createLeaderboard();
+  let nameBuffer = '';
+  let highlightRank = -1;     // row to highlight on the results board, -1 for none
+
+  const scoresUi = {
+    export: document.getElementById('scores-export'),
+    import: document.getElementById('scores-import'),
+    status: document.getElementById('scores-status'),
+  };
+
+  function currentBoardId(view){
+    const id = v => (typeof v === 'string' ? v : 'custom');
+    let mode = view.mode || CubeSim.DEFAULT_MODE;
+    if (modeOf(view).daily) mode += `-${daily.key}`;
+    if (view.party !== CubeSim.DEFAULT_PARTY) mode += `-${view.party}`;
+    // the date already pins a daily run's arena and script
+    if (modeOf(view).daily) return CubeLeaderboard.boardId(mode, view.difficulty);
+    return CubeLeaderboard.boardId(mode, view.difficulty, id(view.layout), id(view.script));
+  }
+
+  function ranked(view){ return !CubeSim.PARTIES[view.party].versus && modeOf(view).ranked !== false; }
+
+  function loadName(){
+    try { return localStorage.getItem(NAME_KEY) || ''; } catch (e){ return ''; }
+  }
+
+  function submitScore(){
+    const name = nameBuffer.trim() || 'Player';
+    try { localStorage.setItem(NAME_KEY, name); } catch (e){ /* not fatal */ }
+    highlightRank = board.submit(currentBoardId(sim), {
+      name, score: sim.score, time: sim.elapsed, peakCap: sim.peakCap, seed: sim.seed,
+    });
   }
-  function len(x,y){return Math.hypot(x,y)||1;}
-  function norm(x,y){const l=len(x,y); return {x:x/l,y:y/l};}
+
+  function onNameKey(e){
+    if (e.code === 'Enter'){ submitScore(); setState(STATE.RESULTS); }
+    else if (e.code === 'Escape'){ setState(STATE.RESULTS); }
+    else if (e.code === 'Backspace'){ nameBuffer = nameBuffer.slice(0, -1); }
+    else if (e.key && e.key.length === 1 && nameBuffer.length < CubeLeaderboard.NAME_MAX){ nameBuffer += e.key; }
+    else return;
+    e.preventDefault();
+  }
+
+  scoresUi.export.addEventListener('click', () => {
+    const blob = new Blob([board.exportJSON()], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'cube-scores.json';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    scoresUi.export.blur();
+  });
+  scoresUi.import.addEventListener('change', () => {
+    const file = scoresUi.import.files && scoresUi.import.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        const added = board.importJSON(text);
+        scoresUi.status.textContent = `Merged ${added} new score${added === 1 ? '' : 's'}`;
+        highlightRank = -1; // ranks may have shifted
+      } catch (err){ scoresUi.status.textContent = err.message; }
+    });
+    scoresUi.import.value = '';
+  });
 
   // ---------------------------
-  // MODULE 6: Spawning & Cap (time-based)
+  // MODULE 4.3: Sound
   // ---------------------------
-  function makeTarget(){
-    const w=CFG.TARGET_SIZE, h=CFG.TARGET_SIZE;
-    return {
-      x: Math.random() * (canvas.width  - w),
-      y: Math.random() * (canvas.height - h),
-      w, h,
-      vx:0, vy:0
-    };
+  // Effects follow the live sim's events; replays stay silent. M mutes, -/= volume.
+  // The AudioContext can only start after a user gesture, hence unlock() on input.
+  const audio = CubeAudio.createAudio();
+  audio.attach(sim);
+
+  const audioUi = {
+    mute:   document.getElementById('audio-mute'),
+    volume: document.getElementById('audio-volume'),
+  };
+
+  function syncAudioUi(){
+    audioUi.mute.textContent = audio.muted ? 'Unmute' : 'Mute';
+    audioUi.volume.value = String(Math.round(audio.volume * 100));
   }
 
-  function spawnAvoidingPlayer(){
-    const w=CFG.TARGET_SIZE, h=CFG.TARGET_SIZE;
-    for(let i=0;i<20;i++){
-      const t = makeTarget();
-      if (!rectsOverlap(player, t)) return t;
-    }
-    // fallback
-    return { x: canvas.width-w-10, y: canvas.height-h-10, w, h, vx:0, vy:0 };
+  function onAudioKey(e){
+    if (state === STATE.ENTRY) return; // typing a name
+    if (e.code === 'KeyM') audio.muted = !audio.muted;
+    else if (e.code === 'Minus') audio.volume = audio.volume - 0.1;
+    else if (e.code === 'Equal') audio.volume = audio.volume + 0.1;
+    else return;
+    syncAudioUi();
+  }
+
+  document.addEventListener('keydown', e => { audio.unlock(); onAudioKey(e); });
+  document.addEventListener('pointerdown', () => audio.unlock());
+  audioUi.mute.addEventListener('click', () => { audio.muted = !audio.muted; syncAudioUi(); audioUi.mute.blur(); });
+  audioUi.volume.addEventListener('input', () => { audio.volume = Number(audioUi.volume.value) / 100; syncAudioUi(); });
+  syncAudioUi();
+
+  // ---------------------------
+  // MODULE 4.4: Debug
+  // ---------------------------
+  // F3 toggles the AI overlay (heatmap, sector ring + anchors, per-layer steering
+  // arrows, juke/patrol timers). The sim only records per-layer steering while it's on.
+  // #hud shows fps and frame times (average / worst over the last half second), plus
+  // sim ms per tick while the overlay is on or in a ?stress= run.
+  const hudEl = document.getElementById('hud');
+  const HUD_REFRESH_SEC = 0.5;
+  let debugOverlay = false;
+  const frameStats = { frames: 0, time: 0, worst: 0, simMs: 0, ticks: 0 };
+
+  function sampleFrame(frameMs, simMs, ticks){
+    frameStats.frames++;
+    frameStats.time += frameMs;
+    frameStats.worst = Math.max(frameStats.worst, frameMs);
+    frameStats.simMs += simMs;
+    frameStats.ticks += ticks;
+    if (frameStats.time < HUD_REFRESH_SEC * 1000) return;
+    const n = frameStats.frames;
+    const fps = n * 1000 / frameStats.time;
+    const perTick = frameStats.ticks ? `${(frameStats.simMs / frameStats.ticks).toFixed(2)} ms/tick` : 'idle';
+    hudEl.textContent = `fps: ${fps.toFixed(0)} · frame ${(frameStats.time / n).toFixed(1)} ms (max ${frameStats.worst.toFixed(1)})`
+      + (debugOverlay || STRESS ? ` · sim ${perTick}` : '')
+      + (STRESS ? ` · ${sim.targets.length} targets` : '');
+    frameStats.frames = 0; frameStats.time = 0; frameStats.worst = 0; frameStats.simMs = 0; frameStats.ticks = 0;
   }
 
-  function targetCap(){
-    return 1 + Math.floor(elapsed / CFG.TIME_STEP_SEC);
+  document.addEventListener('keydown', e => {
+    if (e.code !== 'F3') return;
+    debugOverlay = !debugOverlay;
+    e.preventDefault(); // F3 is "find next" in most browsers
+  });
+
+  // ---------------------------
+  // MODULE 4.5: Tuning
+  // ---------------------------
+  // Dev panel under the canvas (tuning.js). Changes apply to the live sim at once and
+  // are recorded in the replay; a run that was tuned at any point doesn't go on the
+  // leaderboard. Focus moving into the panel doesn't auto-pause, so you can watch the
+  // cubes react while dragging a slider.
+  const tuningEl = document.getElementById('tuning');
+  const tuning = CubeTuning.createPanel({ sim, root: document.getElementById('tuning-body') });
+  let runTuned = false;
+  sim.on('configure', () => { if (state === STATE.PLAYING || state === STATE.PAUSED) runTuned = true; });
+  sim.on('wave', () => tuning.refresh()); // a wave's overrides move the defaults
+
+  // ---------------------------
+  // MODULE 4.6: Online
+  // ---------------------------
+  // O on the title opens the lobby: ↑/↓ pick a room, Enter joins, N opens a new one with
+  // the title's settings (a solo party becomes co-op). In a room the host starts once
+  // every seat is taken. The server runs the sim; this page sends input, predicts its
+  // own cube and draws the snapshots (net.js). Esc leaves. A dropped connection rejoins
+  // on its own (the token survives a reload too). When a run ends the server's replay
+  // becomes the last replay, so R in the lobby watches it. Online runs aren't ranked.
+  const online = SERVER_URL ? CubeNet.createClient({
+    url: SERVER_URL, name: loadName() || 'Player',
+    storage: (() => { try { return window.sessionStorage; } catch (e){ return null; } })(),
+  }) : null;
+  const lobby = { row: 0, message: '' };
+
+  if (online){
+    audio.attach(online); // the server forwards the sim's events
+    online.on('start', () => { if (state === STATE.LOBBY || state === STATE.ONLINE){ lobby.message = ''; setState(STATE.ONLINE); } });
+    online.on('end', ({ replay }) => {
+      const view = online.view;
+      lastReplay = replay;
+      lobby.message = `${view ? endTitle(view) + ' · ' + scoreLine(view) : 'Run over'} · R to watch the replay`;
+      if (state === STATE.ONLINE) setState(STATE.LOBBY);
+    });
+    online.on('error', ({ message }) => { lobby.message = message; });
+    online.on('room', () => { if (state === STATE.ONLINE && !online.running) setState(STATE.LOBBY); });
+    online.on('status', ({ status }) => {
+      if (status === 'offline' && state === STATE.ONLINE) setState(STATE.LOBBY);
+    });
   }
 
-  function ensureCap(){
-    const cap = targetCap();
-    while (targets.length < cap){
-      targets.push(spawnAvoidingPlayer());
+  function onLobbyKey(e){
+    const room = online.room, rooms = online.rooms;
+    switch(e.code){
+      case 'Escape':
+        if (room) online.leave();
+        else { online.close(); setState(STATE.TITLE); }
+        break;
+      case 'ArrowUp':   lobby.row = Math.max(0, lobby.row - 1); break;
+      case 'ArrowDown': lobby.row = Math.min(Math.max(0, rooms.length - 1), lobby.row + 1); break;
+      case 'Enter': case 'Space':
+        lobby.message = '';
+        if (room) online.start();
+        else if (rooms[lobby.row]) online.join(rooms[lobby.row].id);
+        break;
+      case 'KeyN':
+        if (room) return;
+        lobby.message = '';
+        online.create({
+          party: CubeSim.PARTIES[sim.party].players > 1 ? sim.party : 'coop', mode: sim.mode,
+          difficulty: sim.difficulty, layout: sim.layout, script: sim.script,
+        });
+        break;
+      case 'KeyR':
+        if (lastReplay) enterReplay(lastReplay);
+        break;
+      case 'KeyO':
+        online.connect(); // retry after giving up
+        break;
+      default: return;
     }
+    e.preventDefault();
   }
 
-// MODULE 7.1: AI_CFG — knobs & switches (small, safe to tweak)
-const AI_CFG = {
-  SEP_RADIUS: 90,
-  SEP_FORCE: 0.9,
-
-  ORBIT_DIST: 260,
-  ORBIT_FORCE: 0.85,
-
-  WALL_REPEL_MARGIN: 60,
-  SLIDE_FORCE: 1.15,
-
-  // Jukes
-  JUKE_CLOSE_DIST: 190,   // start thinking about juking here
-  JUKE_TRIGGER_ANGLE: 0.85, // cos(theta). ~> player heading mostly at target
-  JUKE_COOLDOWN: 1.1,
-  JUKE_DURATION: 0.14,
-  JUKE_PUSH: 1.65,
-
-  // Anti-corner patrol
-  CORNER_NEAR_EDGE: 12,
-  PATROL_COOLDOWN: 1.6,
-  PATROL_TIME: 0.5,
-  PATROL_PUSH: 0.9,
-  SAFE_BAND: 120, // “aim toward this band away from edges when idle”
-
-  // Wander
-  WANDER_T: 0.9,
-  WANDER_MAG_FAR: 0.8,
-  WANDER_MAG_NEAR: 0.35,
-
-  // Misc
-  PANIC_SPEED_UP: 1.12,
-  JITTER: 0.28,
-  SMOOTH: 0.6,
-  LEAD: 0.22, // seconds predict player
-};
+  function openLobby(){
+    if (!online) return;
+    lobby.message = '';
+    online.connect();
+    setState(STATE.LOBBY);
+  }
 
+  // ---------------------------
+  // MODULE 4.7: Popups
+  // ---------------------------
+  // "+N" where a cube was caught (orange when a risk bonus paid), "Clear +N" mid-arena
+  // for the clear-speed bonus. Fed by the live sim's events or the online run's; they
+  // age with the run, so pausing freezes them.
+  const popups = []; // { x, y, text, color, age }
+
+  function watchScoring(source){
+    source.on('catch', e => {
+      const tags = [e.mult > 1 ? `×${e.mult}` : '', e.juke ? 'juke!' : '', e.lowHp ? 'close call!' : ''].filter(Boolean);
+      popups.push({ x: e.x, y: e.y, text: `+${e.points}${tags.length ? ' ' + tags.join(' ') : ''}`,
+                    color: e.juke || e.lowHp ? STYLE.POPUP_BONUS : STYLE.POPUP, age: 0 });
+    });
+    source.on('waveClear', e => {
+      if (e.bonus > 0) popups.push({ x: null, y: null, text: `Clear +${e.bonus}`, color: STYLE.COMBO, age: 0 });
+    });
+  }
+  watchScoring(sim);
+  sim.on('restart', () => { popups.length = 0; });
+  if (online){
+    watchScoring(online);
+    online.on('start', () => { popups.length = 0; });
+  }
+
+  function agePopups(dt){
+    for (const p of popups) p.age += dt;
+    while (popups.length && popups[0].age >= STYLE.POPUP_SEC) popups.shift();
+  }
 
-// MODULE 7.2: AI_STATE — per-target lazy init + helpers
-function aiInit(t){
-  if (t._ai) return;
-  t._ai = {
-    wanderTimer: Math.random()*AI_CFG.WANDER_T,
-    wanderPhase: Math.random()*Math.PI*2,
-    lastSteerX: 0, lastSteerY: 0,
+  // ---------------------------
+  // MODULE 4.8: Effects
+  // ---------------------------
+  // Catch bursts, the heal pulse, juke trails and shake (fx.js) follow the live sim and
+  // the online run, like the sound; replays show none. Shake moves the world, never the
+  // HUD. "Reduce motion" follows the OS setting until the checkbox says otherwise, and
+  // also keeps popups from drifting.
+  const fx = CubeFx.createFx({
+    colors: { target: STYLE.TARGET, armor: STYLE.TARGET_ARMOR, heal: STYLE.HP_OK, danger: STYLE.TARGET.decoy },
+  });
+  fx.attach(sim);
+  if (online){
+    fx.attach(online);
+    online.on('start', () => fx.clear());
+  }
 
-    // Juke
-    jukeTime: 0,
-    jukeCool: 0,
-    jukeDirX: 0, jukeDirY: 0,
+  const motionUi = document.getElementById('reduce-motion');
+  motionUi.checked = fx.reducedMotion;
+  motionUi.addEventListener('change', () => { fx.reducedMotion = motionUi.checked; motionUi.blur(); });
 
-    // Patrol
-    patrolTime: 0,
-    patrolCool: 0,
-    patrolDirX: 0, patrolDirY: 0,
+  // ---------------------------
+  // MODULE 4.9: Stats
+  // ---------------------------
+  // Every local run is measured (stats.js): S on the results screen opens the charts
+  // (time-to-catch, HP and score over time, where the catches happened, per-kind table),
+  // Esc or S goes back. The buttons save the last run's stats as JSON or as CSV (a row
+  // per cube). Online runs have no local sim to measure.
+  const runStats = CubeStats.createStats();
+  let lastStats = null;
+
+  const statsUi = {
+    json: document.getElementById('stats-json'),
+    csv:  document.getElementById('stats-csv'),
   };
-}
 
-function aiPredictPlayer() {
-  let dx=0, dy=0;
-  if (typeof readInput === 'function'){
-    const di = readInput(); dx = di.dx; dy = di.dy;
+  function syncStatsUi(){ statsUi.json.disabled = statsUi.csv.disabled = !lastStats; }
+
+  function saveFile(name, text, type){
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type }));
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
   }
-  const px = (player.x + player.w/2) + dx * player.speed * AI_CFG.LEAD;
-  const py = (player.y + player.h/2) + dy * player.speed * AI_CFG.LEAD;
-  const hv = Math.hypot(dx,dy); // player heading magnitude (0..1)
-  return {px, py, hx:dx, hy:dy, hv};
-}
 
-function aiNearEdges(t){
-  const L = t.x < AI_CFG.CORNER_NEAR_EDGE;
-  const R = t.x > canvas.width - t.w - AI_CFG.CORNER_NEAR_EDGE;
-  const T = t.y < AI_CFG.CORNER_NEAR_EDGE;
-  const B = t.y > canvas.height - t.h - AI_CFG.CORNER_NEAR_EDGE;
-  return {L,R,T,B, inCorner: (L||R)&&(T||B)};
-}
+  statsUi.json.addEventListener('click', () => {
+    if (lastStats) saveFile(`cube-stats-${lastStats.seed}.json`, CubeStats.toJSON(lastStats), 'application/json');
+    statsUi.json.blur();
+  });
+  statsUi.csv.addEventListener('click', () => {
+    if (lastStats) saveFile(`cube-stats-${lastStats.seed}.csv`, CubeStats.toCSV(lastStats), 'text/csv');
+    statsUi.csv.blur();
+  });
+  syncStatsUi();
 
+  // ---------------------------
+  // MODULE 4.10: Plugins
+  // ---------------------------
+  // window.CubeCollector lets a script extend the game without editing this file. Plugin
+  // scripts load after game.js (their own <script> tag, or ?plugins=id,… for files in
+  // plugins/) and call CubeCollector.register(name, api => { … }). api:
+  //   on(event, fn)            the live run's sim events (EVENTS; payloads as in sim.js 3.1).
+  //                            Online runs pass on what the server forwards. → off()
+  //   addAiLayer(layer)        extra steering after the built-in layers (sim.js 7.18). Runs in
+  //                            the local sim and in replays watched here, not on a server. → remove()
+  //   addRenderPass(when, fn)  'before' (under the whole frame) or 'after' (over the overlays);
+  //                            fn(ctx, view, { state, width, height, shake }) in arena units. → remove()
+  //   config(), defaults()     copies of CFG / AI_CFG / AI_PROFILE: live, and without tuning
+  //   configure(patch), resetConfig()  live tuning, checked key by key (a bad patch throws and
+  //                            changes nothing), recorded in the replay, shown in the panel
+  //   state, view              the flow state ('title', 'playing'…) and what's on screen; read-only
+  // A run with extra AI layers or tuning isn't ranked. A plugin callback that throws is
+  // logged (once) and skipped, so it can't stop the loop or a sim tick halfway.
+  const PLUGIN_API_VERSION = 1;
+  const PLUGIN_EVENTS = ['restart', 'spawn', 'catch', 'hit', 'split', 'blink', 'decoy', 'damage', 'capIncrease',
+                         'wave', 'waveClear', 'waveTimeout', 'complete', 'pickup', 'lowHealth', 'out', 'death',
+                         'tick', 'configure', 'resize'];
+  const plugins = [];                             // names, in the order they registered
+  const renderPasses = { before: [], after: [] };
+  const aiLayers = [];                            // on the live sim, and on each replay player's
+  let replayLayers = new Map();                   // layer → remove() for the replay being watched
+
+  function guarded(fn, what){
+    let logged = false;
+    return function(){
+      try { return fn.apply(this, arguments); }
+      catch (err){
+        if (!logged){ logged = true; console.error(`CubeCollector: ${what} threw`, err); }
+      }
+    };
+  }
 
-// MODULE 7.3: AI_STEER_BASE — flee/orbit + separation + walls
-function aiSteerBase(t, pred){
-  const {px, py} = pred;
-  const cx = t.x + t.w/2, cy = t.y + t.h/2;
-  const toX = px - cx, toY = py - cy;
-  const d   = Math.hypot(toX, toY) || 1;
+  function onEvent(name, fn){
+    if (!PLUGIN_EVENTS.includes(name)) throw new Error(`Unknown event "${name}"`);
+    const g = guarded(fn, `"${name}" listener`);
+    const offs = [sim.on(name, g)];
+    if (online && CubeNet.FORWARD_EVENTS.includes(name)) offs.push(online.on(name, g));
+    if (online && name === 'restart') offs.push(online.on('start', g)); // an online run starting
+    return () => offs.forEach(off => off());
+  }
 
-  const awayX = -toX/d, awayY = -toY/d;
-  const tangX = -awayY,  tangY =  awayX;
+  function addAiLayer(layer){
+    const entry = layer && typeof layer.steer === 'function'
+      ? Object.assign({}, layer, { steer: guarded(layer.steer, `AI layer "${layer.name}"`) })
+      : layer;
+    const remove = sim.addAiLayer(entry); // throws on a bad layer, before anything else changes
+    aiLayers.push(entry);
+    if (playback) replayLayers.set(entry, playback.sim.addAiLayer(entry));
+    if (state === STATE.PLAYING || state === STATE.PAUSED) runTuned = true;
+    return () => {
+      const i = aiLayers.indexOf(entry);
+      if (i < 0) return;
+      aiLayers.splice(i, 1);
+      remove();
+      const off = replayLayers.get(entry);
+      if (off){ off(); replayLayers.delete(entry); }
+    };
+  }
 
-  const near = Math.min(1, Math.max(0, (AI_CFG.ORBIT_DIST - d)/AI_CFG.ORBIT_DIST));
-  let sx = awayX * (0.75 + 0.25*near) + tangX * (AI_CFG.ORBIT_FORCE * near);
-  let sy = awayY * (0.75 + 0.25*near) + tangY * (AI_CFG.ORBIT_FORCE * near);
+  function addRenderPass(when, fn){
+    const list = renderPasses[when];
+    if (!list) throw new Error(`Render pass goes 'before' or 'after', not "${when}"`);
+    const pass = guarded(fn, `'${when}' render pass`);
+    list.push(pass);
+    return () => { const i = list.indexOf(pass); if (i >= 0) list.splice(i, 1); };
+  }
 
-  // Separation
-  let sepX=0, sepY=0;
-  for (let i=0;i<targets.length;i++){
-    const o = targets[i]; if (o===t) continue;
-    const ox = o.x + o.w/2, oy = o.y + o.h/2;
-    const dx = cx - ox, dy = cy - oy, dist = Math.hypot(dx,dy);
-    if (dist>0 && dist<AI_CFG.SEP_RADIUS){
-      const s = (AI_CFG.SEP_RADIUS - dist)/AI_CFG.SEP_RADIUS;
-      sepX += (dx/dist)*s; sepY += (dy/dist)*s;
+  // Each pass gets the arena transform and a clean slate; whatever it changes is undone.
+  function runRenderPasses(when, view){
+    const list = renderPasses[when];
+    if (!list.length) return;
+    const info = { state, width: stage.width, height: stage.height,
+                   shake: state !== STATE.REPLAY ? { x: fx.offset.x, y: fx.offset.y } : { x: 0, y: 0 } };
+    for (const pass of list){
+      ctx.save();
+      pass(ctx, view, info);
+      ctx.restore();
     }
   }
-  if (sepX||sepY){
-    const sl = Math.hypot(sepX,sepY)||1;
-    sx += (sepX/sl)*AI_CFG.SEP_FORCE;
-    sy += (sepY/sl)*AI_CFG.SEP_FORCE;
-  }
-
-  // Wall repel + slide
-  const m = AI_CFG.WALL_REPEL_MARGIN;
-  if (t.x < m)                                   sx += (cx > px ? 0.4 : 0.2);
-  if (t.x > canvas.width - t.w - m)              sx += (cx < px ? -0.4 : -0.2);
-  if (t.y < m)                                   sy += (cy > py ? 0.4 : 0.2);
-  if (t.y > canvas.height - t.h - m)             sy += (cy < py ? -0.4 : -0.2);
-  const edge = aiNearEdges(t);
-  if (edge.L || edge.R) sy += (cy > py ? 1 : -1) * AI_CFG.SLIDE_FORCE;
-  if (edge.T || edge.B) sx += (cx > px ? 1 : -1) * AI_CFG.SLIDE_FORCE;
-
-  return {sx, sy, d, cx, cy};
-}
-
-
-// MODULE 7.4: AI_JUKE — timed lateral bursts when player bears down
-function aiApplyJuke(t, base, pred, dt){
-  const s = t._ai;
-  // cooldown timers
-  s.jukeCool = Math.max(0, s.jukeCool - dt);
-  s.jukeTime = Math.max(0, s.jukeTime - dt);
-
-  const {px, py, hx, hy, hv} = pred;
-  const {cx, cy, d} = base;
-
-  // If already juking, apply ongoing push
-  if (s.jukeTime > 0){
-    base.sx += s.jukeDirX * AI_CFG.JUKE_PUSH;
-    base.sy += s.jukeDirY * AI_CFG.JUKE_PUSH;
-    return base;
-  }
-
-  // Consider starting a juke if close and player heading largely toward target
-  if (d < AI_CFG.JUKE_CLOSE_DIST && s.jukeCool === 0 && hv > 0.3){
-    const toTX = cx - (player.x + player.w/2);
-    const toTY = cy - (player.y + player.h/2);
-    const toTL = Math.hypot(toTX,toTY)||1;
-    const nhx = hx/(Math.hypot(hx,hy)||1), nhy = hy/(Math.hypot(hx,hy)||1);
-    const dot = ( (toTX/toTL)*nhx + (toTY/toTL)*nhy ); // cos(theta)
-
-    if (dot > AI_CFG.JUKE_TRIGGER_ANGLE){
-      // Choose lateral dir perpendicular to away vector
-      const awayX = (cx - px) / (Math.hypot(cx-px, cy-py)||1);
-      const awayY = (cy - py) / (Math.hypot(cx-px, cy-py)||1);
-      // Two options: left/right
-      const lx = -awayY, ly =  awayX;
-      const rx =  awayY, ry = -awayX;
-
-      // Pick the one that increases distance from predicted player point
-      const sL = (cx + lx*40 - px)**2 + (cy + ly*40 - py)**2;
-      const sR = (cx + rx*40 - px)**2 + (cy + ry*40 - py)**2;
-      if (sL > sR){ s.jukeDirX = lx; s.jukeDirY = ly; }
-      else        { s.jukeDirX = rx; s.jukeDirY = ry; }
-
-      s.jukeTime = AI_CFG.JUKE_DURATION;
-      s.jukeCool = AI_CFG.JUKE_COOLDOWN + Math.random()*0.4;
+
+  const configCopy = c => ({ CFG: Object.assign({}, c.CFG), AI_CFG: Object.assign({}, c.AI_CFG),
+                             AI_PROFILE: Object.assign({}, c.AI_PROFILE) });
+
+  const pluginApi = Object.freeze({
+    version: PLUGIN_API_VERSION,
+    EVENTS: PLUGIN_EVENTS.slice(),
+    register, on: onEvent, addAiLayer, addRenderPass,
+    config: () => configCopy(sim),
+    defaults: () => configCopy(sim.defaults()),
+    configure(patch){ sim.configure(patch); tuning.refresh(); },
+    resetConfig(){ sim.resetConfig(); tuning.refresh(); },
+    get state(){ return state; },
+    get view(){ return activeView(); },
+    get plugins(){ return plugins.slice(); },
+  });
+
+  // → false (and a warning) if that name is taken, e.g. the same script loaded twice
+  function register(name, setup){
+    if (plugins.includes(name)){ console.warn(`CubeCollector: plugin "${name}" is already registered`); return false; }
+    plugins.push(name);
+    guarded(setup, `plugin "${name}"`)(pluginApi);
+    return true;
+  }
+
+  window.CubeCollector = pluginApi;
+
+  // ---------------------------
+  // MODULE 5: Flow
+  // ---------------------------
+  // The sim only advances in PLAYING. Everything else (including PAUSED) leaves it
+  // untouched, so elapsed, health drain and every AI timer freeze with it.
+  //
+  //   TITLE ──Space──▶ PLAYING ──Esc/P/blur──▶ PAUSED ──Esc/P──▶ PLAYING
+  //                      │                        └──Q──▶ TITLE
+  //                      └─hp 0─▶ GAMEOVER ─(hold)─▶ [ENTRY] ─▶ RESULTS ──Space──▶ PLAYING
+  //                                                                 ├──R──▶ REPLAY ──Esc──▶ RESULTS
+  //                                                                 ├──S──▶ STATS ──Esc/S──▶ RESULTS
+  //                                                                 └──Esc──▶ TITLE
+  //   TITLE ──O──▶ LOBBY ──host starts──▶ ONLINE ──run over / Esc──▶ LOBBY ──Esc──▶ TITLE
+  // ENTRY (name for the leaderboard) only happens when the run made its board.
+  // On the title, ←/→ picks the difficulty for the next run, ↑/↓ the wave script, L the layout,
+  // T the party (solo / co-op / versus), G the mode and C opens CONTROLS (Esc back).
+  // Finishing a script's last wave ends the run like a death.
+  const STATE = {
+    TITLE: 'title', PLAYING: 'playing', PAUSED: 'paused',
+    GAMEOVER: 'gameover', ENTRY: 'entry', RESULTS: 'results', REPLAY: 'replay',
+    CONTROLS: 'controls', LOBBY: 'lobby', ONLINE: 'online', STATS: 'stats',
+  };
+  const GAMEOVER_HOLD_SEC = 1.2; // ignore input briefly so a held key can't skip the results
+  let state = STATE.TITLE;
+  let stateTime = 0;             // real seconds spent in the current state
+  let replayReturn = STATE.TITLE;
+
+  function setState(next){
+    state = next; stateTime = 0;
+    input.enabled = state !== STATE.REPLAY; // the replay drives its own sim; live input is ignored
+    // one player per machine online; the local party decides otherwise
+    input.split = state !== STATE.ONLINE && CubeSim.PARTIES[sim.party].players > 1;
+    if (state !== STATE.CONTROLS){ input.cancelCapture(); controls.waiting = false; controls.message = ''; }
+    syncReplayUi();
+  }
+
+  function startRun(){
+    highlightRank = -1;
+    runTuned = sim.isTuned || aiLayers.length > 0; // plugin AI changes the game as much as tuning does
+    if (modeOf(sim).daily) applyDaily(); // the date may have rolled over on the title
+    fitArena();
+    sim.restart(daily ? daily.seed : undefined);
+    recorder.begin(sim);
+    runStats.begin(sim);
+    acc = 0;
+    setState(STATE.PLAYING);
+  }
+
+  function pause(){ if (state === STATE.PLAYING) setState(STATE.PAUSED); }
+  function resume(){ if (state === STATE.PAUSED){ acc = 0; setState(STATE.PLAYING); } }
+
+  function endRun(){
+    lastReplay = recorder.finish(sim);
+    lastStats = runStats.finish();
+    syncStatsUi();
+    setState(STATE.GAMEOVER);
+  }
+
+  function afterGameOver(){
+    if (!runTuned && !STRESS && !bot && ranked(sim) && sim.score > 0 && board.qualifies(currentBoardId(sim), sim.score, sim.elapsed)){
+      nameBuffer = loadName();
+      setState(STATE.ENTRY);
+    } else {
+      setState(STATE.RESULTS);
     }
   }
-  return base;
-}
 
+  function enterReplay(replay){
+    if (state === STATE.PLAYING || state === STATE.PAUSED || state === STATE.ONLINE) return; // never clobber a live run
+    try { playback = CubeReplay.createPlayer(replay); }
+    catch (err){ ui.status.textContent = err.message; return; }
+    // plugin AI isn't in the recording; with the same layers a run recorded here replays true
+    replayLayers = new Map(aiLayers.map(l => [l, playback.sim.addAiLayer(l)]));
+    if (state !== STATE.REPLAY) replayReturn = (state === STATE.GAMEOVER || state === STATE.ENTRY) ? STATE.RESULTS : state;
+    input.clear();
+    playback.speed = Number(ui.speed.value) || 1;
+    ui.scrub.max = String(playback.replay.ticks);
+    setState(STATE.REPLAY);
+  }
 
-  // MODULE 7.5: AI_PATROL — proactive anti-corner if player not near
-  function aiApplyPatrol(t, base, pred, dt){
-    const s = t._ai;
-    s.patrolCool = Math.max(0, s.patrolCool - dt);
-    s.patrolTime = Math.max(0, s.patrolTime - dt);
+  function exitReplay(){
+    playback = null;
+    replayLayers = new Map();
+    input.clear();
+    setState(replayReturn);
+    canvas.focus();
+  }
 
-    const {cx, cy, d} = base;
-    const edge = aiNearEdges(t);
+  // Restarting on the title is harmless (nothing ticks there) and shows the new obstacles.
+  function cycleLayout(){
+    if (daily) return; // the date picks the arena
+    const i = LAYOUT_IDS.indexOf(sim.layout);
+    sim.setLayout(LAYOUT_IDS[(i + 1) % LAYOUT_IDS.length]);
+    sim.restart();
+  }
+
+  function cycleScript(step){
+    if (STRESS || daily) return; // the stress wave is the point of the run; the date picks the daily's
+    const i = SCRIPT_IDS.indexOf(sim.script);
+    sim.setScript(SCRIPT_IDS[(i + step + SCRIPT_IDS.length) % SCRIPT_IDS.length]);
+    sim.restart();
+  }
+
+  // 2-player parties split the keyboard: P1 keeps the primary keys (and gamepad/touch),
+  // P2 gets the secondary ones.
+  function cycleParty(){
+    const i = PARTY_IDS.indexOf(sim.party);
+    sim.setParty(PARTY_IDS[(i + 1) % PARTY_IDS.length]);
+    input.split = CubeSim.PARTIES[sim.party].players > 1;
+    sim.restart(daily ? daily.seed : undefined);
+  }
+
+  function cycleDifficulty(step){
+    if (daily) return;
+    const i = DIFFICULTY_IDS.indexOf(sim.difficulty);
+    sim.setDifficulty(DIFFICULTY_IDS[(i + step + DIFFICULTY_IDS.length) % DIFFICULTY_IDS.length]);
+    tuning.refresh(); // defaults shown in the panel follow the preset
+  }
+
+  // The daily challenge takes its seed, arena, difficulty and script from the date, so
+  // those are locked on the title while it's picked; another mode gets the old ones back.
+  let daily = null;        // CubeSim.dailyChallenge() of the daily run being set up or played
+  let beforeDaily = null;  // { difficulty, layout, script } from before
+
+  function applyDaily(){
+    daily = CubeSim.dailyChallenge();
+    sim.setDifficulty(daily.difficulty); sim.setScript(daily.script); sim.setLayout(daily.layout);
+  }
 
-    // If already patrolling, keep nudging off edges
-    if (s.patrolTime > 0){
-      base.sx += s.patrolDirX * AI_CFG.PATROL_PUSH;
-      base.sy += s.patrolDirY * AI_CFG.PATROL_PUSH;
-      return base;
+  function setMode(id){
+    if (daily && !CubeSim.MODES[id].daily){
+      sim.setDifficulty(beforeDaily.difficulty); sim.setScript(beforeDaily.script); sim.setLayout(beforeDaily.layout);
+      daily = beforeDaily = null;
+    }
+    sim.setMode(id);
+    if (!daily && CubeSim.MODES[id].daily){
+      beforeDaily = { difficulty: sim.difficulty, layout: sim.layout, script: sim.script };
+      applyDaily();
     }
+    tuning.refresh(); // a mode's overrides move the defaults
+    fitArena();       // into or out of a fixed arena
+    sim.restart(daily ? daily.seed : undefined);
+  }
 
-    // Only start patrol if player is NOT close and we are hugging a wall/corner
-    const playerFar = d > AI_CFG.ORBIT_DIST * 0.9;
-    const onEdge = edge.inCorner || edge.L || edge.R || edge.T || edge.B;
-
-    if (playerFar && onEdge && s.patrolCool === 0){
-      // Choose a “safer band” inside the arena
-      const targetX = Math.min(
-        canvas.width - AI_CFG.SAFE_BAND,
-        Math.max(AI_CFG.SAFE_BAND, cx)
-      );
-      const targetY = Math.min(
-        canvas.height - AI_CFG.SAFE_BAND,
-        Math.max(AI_CFG.SAFE_BAND, cy)
-      );
-
-      // Bias away from the closer wall
-      let dirX = Math.sign(targetX - cx);
-      let dirY = Math.sign(targetY - cy);
-
-      // Small tangential component so they don’t drift straight into you
-      const tangX = -(pred.py - cy); // rotate by 90°
-      const tangY =  (pred.px - cx);
-      const tL = Math.hypot(tangX, tangY) || 1;
-      dirX = 0.75*dirX + 0.25*(tangX/tL);
-      dirY = 0.75*dirY + 0.25*(tangY/tL);
-      const n = Math.hypot(dirX,dirY)||1;
-
-      s.patrolDirX = dirX/n;
-      s.patrolDirY = dirY/n;
-      s.patrolTime = AI_CFG.PATROL_TIME;
-      s.patrolCool = AI_CFG.PATROL_COOLDOWN + Math.random()*0.5;
+  function cycleMode(){
+    if (STRESS) return; // benchmark runs keep the rules they started with
+    setMode(MODE_IDS[(MODE_IDS.indexOf(sim.mode) + 1) % MODE_IDS.length]);
+  }
+
+  function onFlowKey(e){
+    const go = e.code === 'Space' || e.code === 'Enter';
+    switch(state){
+      case STATE.TITLE:
+        if (go) startRun();
+        else if (e.code === 'ArrowLeft' || e.code === 'KeyA') cycleDifficulty(-1);
+        else if (e.code === 'ArrowRight' || e.code === 'KeyD') cycleDifficulty(1);
+        else if (e.code === 'ArrowUp' || e.code === 'KeyW') cycleScript(-1);
+        else if (e.code === 'ArrowDown' || e.code === 'KeyS') cycleScript(1);
+        else if (e.code === 'KeyL') cycleLayout();
+        else if (e.code === 'KeyT') cycleParty();
+        else if (e.code === 'KeyG') cycleMode();
+        else if (e.code === 'KeyC') setState(STATE.CONTROLS);
+        else if (e.code === 'KeyO' && online) openLobby();
+        else return;
+        break;
+      case STATE.CONTROLS:
+        onControlsKey(e);
+        return;
+      case STATE.PLAYING:
+        if (e.code === 'Escape' || e.code === 'KeyP') pause(); else return;
+        break;
+      case STATE.PAUSED:
+        if (e.code === 'Escape' || e.code === 'KeyP') resume();
+        else if (e.code === 'KeyQ') setState(STATE.TITLE);
+        else return;
+        break;
+      case STATE.RESULTS:
+        if (go) startRun();
+        else if (e.code === 'KeyR' && lastReplay) enterReplay(lastReplay);
+        else if (e.code === 'KeyS' && lastStats) setState(STATE.STATS);
+        else if (e.code === 'Escape') setState(STATE.TITLE);
+        else return;
+        break;
+      case STATE.STATS:
+        if (e.code === 'Escape' || e.code === 'KeyS') setState(STATE.RESULTS);
+        else if (go) startRun();
+        else return;
+        break;
+      case STATE.ENTRY:
+        onNameKey(e);
+        return;
+      case STATE.REPLAY:
+        onReplayKey(e);
+        return;
+      case STATE.LOBBY:
+        onLobbyKey(e);
+        return;
+      case STATE.ONLINE:
+        if (e.code === 'Escape') online.leave(); else return;
+        break;
+      default:
+        return;
     }
+    e.preventDefault();
+  }
+  document.addEventListener('keydown', e => { if (!e.repeat) onFlowKey(e); });
+
+  // Focus loss auto-pauses: switching tabs, alt-tabbing, or clicking away from the canvas.
+  window.addEventListener('blur', pause);
+  canvas.addEventListener('blur', e => { if (!tuningEl.contains(e.relatedTarget)) pause(); });
+  document.addEventListener('visibilitychange', () => { if (document.hidden) pause(); });
+
+
+// MODULE 9: Render (world, HUD, per-state overlays)
+// One bar per HP pool: full width when everybody shares it, side by side (outlined in
+// the owner's colour) when each player has their own. Modes without health show their
+// clock there instead (time attack), or nothing (zen).
+function drawHealth(view){
+  const pad = 12, barH = 12, y = 44;
+  if (modeOf(view).health === false){
+    if (view.timeLeft !== null) drawClock(view, pad, y, stage.width - pad*2, barH);
+    return;
+  }
+  const pools = [...new Set(view.players.map(p => p.pool))];
+  const barW = (stage.width - pad*(pools.length + 1)) / pools.length;
+  pools.forEach((pool, i) => {
+    const x = pad + i * (barW + pad);
+    ctx.fillStyle = STYLE.HP_BG; ctx.fillRect(x, y, barW, barH);
+    const pct = pool.hp / view.CFG.HEALTH_MAX;
+    ctx.fillStyle = (pct < view.CFG.HEALTH_LOW_PCT) ? STYLE.HP_LOW : STYLE.HP_OK;
+    ctx.fillRect(x, y, barW * pct, barH);
+    ctx.strokeStyle = pools.length > 1 ? playerColor(pool.players[0]) : STYLE.HP_BORDER;
+    ctx.strokeRect(x + 0.5, y + 0.5, barW - 1, barH - 1);
+  });
+}
 
-    return base;
-  }
-
-
-// MODULE 7.6: AI_INTEGRATE — smoothing, velocity, clamps
-function aiIntegrate(t, base, dt){
-  const s = t._ai;
-
-  // Wander & jitter
-  s.wanderTimer -= dt;
-  if (s.wanderTimer <= 0){
-    s.wanderTimer = AI_CFG.WANDER_T + Math.random()*0.6;
-    s.wanderPhase += (Math.random()-0.5)*1.1;
-  }
-  const wanderMag = (base.d > AI_CFG.ORBIT_DIST ? AI_CFG.WANDER_MAG_FAR : AI_CFG.WANDER_MAG_NEAR);
-  base.sx += Math.cos(s.wanderPhase)*wanderMag + (Math.random()-0.5)*AI_CFG.JITTER;
-  base.sy += Math.sin(s.wanderPhase)*wanderMag + (Math.random()-0.5)*AI_CFG.JITTER;
-
-  // Smooth steering
-  const sl = Math.hypot(base.sx, base.sy)||1;
-  let ax = base.sx/sl, ay = base.sy/sl;
-  ax = ax*(1-AI_CFG.SMOOTH) + s.lastSteerX*AI_CFG.SMOOTH;
-  ay = ay*(1-AI_CFG.SMOOTH) + s.lastSteerY*AI_CFG.SMOOTH;
-  s.lastSteerX = ax; s.lastSteerY = ay;
-
-  // Panic speed bump near player
-  const panic = base.d < 150 ? AI_CFG.PANIC_SPEED_UP : 1.0;
-
-  // Integrate vel
-  t.vx += ax * CFG.TARGET_MAX_ACCEL * dt;
-  t.vy += ay * CFG.TARGET_MAX_ACCEL * dt;
-
-  // Clamp speed
-  const maxV = CFG.TARGET_MAX_SPEED * panic;
-  const vL = Math.hypot(t.vx, t.vy)||1;
-  if (vL > maxV){ t.vx = (t.vx/vL)*maxV; t.vy = (t.vy/vL)*maxV; }
-
-  // Move
-  t.x += t.vx * dt; t.y += t.vy * dt;
-
-  // Bounds with soft bounce
-  if (t.x < 0){ t.x = 0; t.vx = Math.abs(t.vx)*0.7; }
-  if (t.y < 0){ t.y = 0; t.vy = Math.abs(t.vy)*0.7; }
-  if (t.x > canvas.width - t.w){ t.x = canvas.width - t.w; t.vx = -Math.abs(t.vx)*0.7; }
-  if (t.y > canvas.height - t.h){ t.y = canvas.height - t.h; t.vy = -Math.abs(t.vy)*0.7; }
-}
-
-
-// ========================
-// MODULE 7.7 PATCH: UPDATE
-// ========================
-// Replace your existing updateTargetAI body with this version so 7.8–7.11 are used.
-// Keep the function name identical (your game loop already calls it).
-function updateTargetAI(t, dt){
-  aiInit(t);           // 7.2
-  aiAssignSectors();   // 7.9 (no-op after first)
-
-  // keep the heatmap rolling
-  heatmapTick(dt);     // 7.10
-
-  const pred = aiPredictPlayer();           // 7.2
-  let base  = aiSteerBase(t, pred);         // 7.3
-
-  // Player distance bands for “when to waste time”
-  const playerFar = base.d > AI_CFG.ORBIT_DIST * 0.9;
-
-  // New layers
-  base = aiHeatmapBias(t, base);                    // 7.10
-  base = aiApplyDispersion(t, base);                // 7.11
-  base = aiSectorBias(t, base, playerFar, dt);      // 7.9
-
-  // Existing behaviors
-  base = aiApplyJuke(t, base, pred, dt);            // 7.4
-  base = aiApplyPatrol(t, base, pred, dt);          // 7.5
-  aiIntegrate(t, base, dt);                         // 7.6
-}
-
-
-// ===============================
-// MODULE 7.8: DIFFICULTY_PROFILES
-// ===============================
-const AI_PROFILE = {
-  // How much time-waste vs risk the AI aims for (tweak anytime)
-  name: "TimeWaste_Default",
-  HEATMAP_BIAS: 0.75,        // push away from your recent paths
-  SECTOR_STICK: 0.55,        // tendency to drift toward own sector when you're far
-  DISPERSION_MIN_SPACING: 110, // try to keep at least this px from neighbors near edges
-  DISPERSION_EDGE_FAN: 0.9,  // push to fan-out when sharing an edge
-  CORNER_IDLE_BUDGET: 0.6,   // (s) allowed near corner when player is far before leaving (7.13 will hard-enforce later)
-  JUKE_STAGGER_MIN: 0.25,    // (s) min stagger between enemies juking
-  JUKE_STAGGER_MAX: 0.55,    // (s) max stagger between enemies juking
-  HEATMAP_CELL: 80,          // px size of heatmap cells
-  HEATMAP_DECAY: 0.94,       // frame decay of heat
-  HEATMAP_PLAYER_STAMP: 2.6, // heat added near your position per tick
-  SECTOR_RING_RATIO: 0.34,   // sector “safe ring” radius vs arena min dimension
-  SECTOR_ROT_SPEED: 0.06,    // (rad/sec) slow rotation of sector anchors
-};
+function drawClock(view, x, y, w, h){
+  const limit = modeOf(view).timeLimit, left = view.timeLeft;
+  ctx.fillStyle = STYLE.HP_BG; ctx.fillRect(x, y, w, h);
+  ctx.fillStyle = left < STYLE.WAVE_TIME_WARN ? STYLE.HP_LOW : STYLE.CLOCK;
+  ctx.fillRect(x, y, w * left / limit, h);
+  ctx.strokeStyle = STYLE.HP_BORDER;
+  ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+  ctx.font = STYLE.EFFECT_FONT;
+  ctx.textAlign = 'right';
+  ctx.fillStyle = STYLE.TEXT;
+  ctx.fillText(`${Math.ceil(left)}s`, x + w - 4, y + h - 2);
+  ctx.textAlign = 'left';
+}
+
+// The emptiest pool still in play (what the music's tension follows).
+function lowestHp(view){
+  const live = view.players.filter(p => !p.out);
+  return live.length ? Math.min(...live.map(p => p.pool.hp)) : 0;
+}
 
-// =======================
-// MODULE 7.9: SECTORS
-// =======================
-// Each enemy gets a "home sector" target that slowly rotates and sits on a safe ring
-// inside the arena. When you're far, they drift toward this point to avoid clumping.
+// "Score: 12", or "P1 7 · P2 5" in the players' colours when two are playing. A running
+// combo adds its multiplier, with a bar underneath that empties as the window runs out.
+function drawScore(view){
+  ctx.font = STYLE.SCORE_FONT;
+  ctx.textAlign = 'left';
+  if (view.players.length < 2){
+    const text = `Score: ${view.score}`;
+    ctx.fillStyle = STYLE.TEXT;
+    ctx.fillText(text, 12, 22);
+    drawCombo(view, view.players[0], 12 + ctx.measureText(text).width + 8);
+    return;
+  }
+  let x = 12;
+  for (const p of view.players){
+    const text = `P${p.index + 1} ${p.score}${p.out ? ' (out)' : ''}`;
+    ctx.fillStyle = playerColor(p);
+    ctx.fillText(text, x, 22);
+    x += ctx.measureText(text).width + 6;
+    x += drawCombo(view, p, x) + 10;
+  }
+}
 
-const _SECT = { assigned: false, t0: performance.now()/1000 };
+// → width used (0 with no combo going)
+function drawCombo(view, p, x){
+  const c = p.combo;
+  if (c.chain < 2) return 0;
+  const text = `×${c.mult}`, w = ctx.measureText(text).width;
+  ctx.fillStyle = STYLE.COMBO;
+  ctx.fillText(text, x, 22);
+  ctx.fillStyle = STYLE.HP_BG; ctx.fillRect(x, 27, w, 3);
+  ctx.fillStyle = STYLE.COMBO; ctx.fillRect(x, 27, w * Math.min(1, c.time / view.CFG.COMBO_WINDOW), 3);
+  return w;
+}
 
-function aiAssignSectors(){
-  if (_SECT.assigned) return;
-  _SECT.assigned = true;
-  for (let i = 0; i < targets.length; i++){
-    const t = targets[i];
-    if (!t._ai) aiInit(t);
-    t._ai.sectorIndex = i;  // simple index-based partition (stable across session)
+function drawPopups(view){
+  ctx.font = STYLE.PICKUP_FONT;
+  ctx.textAlign = 'center';
+  for (const p of popups){
+    const k = p.age / STYLE.POPUP_SEC;
+    ctx.globalAlpha = 1 - k;
+    ctx.fillStyle = p.color;
+    const rise = fx.reducedMotion ? 0 : k * STYLE.POPUP_RISE;
+    if (p.x === null) ctx.fillText(p.text, view.arena.width/2, view.arena.height/2 - 30 - rise);
+    else ctx.fillText(p.text, p.x, p.y - 14 - rise);
   }
+  ctx.globalAlpha = 1;
+  ctx.textAlign = 'left';
 }
 
-function aiSectorPointFor(t, timeSec){
-  const idx = t._ai?.sectorIndex ?? 0;
-  const N = Math.max(1, targets.length);
-  // ring radius based on arena
-  const arenaW = canvas.width, arenaH = canvas.height;
-  const ring = Math.min(arenaW, arenaH) * AI_PROFILE.SECTOR_RING_RATIO;
+// Where the run's points came from (sim.breakdown).
+function breakdownLine(view){
+  const b = view.breakdown;
+  return `Catches ${b.base} · combo +${b.combo} · juke +${b.juke} · low HP +${b.lowHp} · clear speed +${b.clear}` +
+         ` · best chain ${view.bestChain}`;
+}
 
-  // center
-  const cx = arenaW * 0.5, cy = arenaH * 0.5;
+// Boosted players get a pink outline; players who are out are faded.
+function drawPlayers(view){
+  for (const p of view.players){
+    ctx.globalAlpha = p.out ? STYLE.PLAYER_OUT_ALPHA : 1;
+    ctx.fillStyle = playerColor(p);
+    ctx.fillRect(p.x, p.y, p.w, p.h);
+    if (view.effects.boost > 0 && !p.out){
+      ctx.strokeStyle = STYLE.PICKUP.boost.color; ctx.lineWidth = 2;
+      ctx.strokeRect(p.x - 2, p.y - 2, p.w + 4, p.h + 4);
+    }
+  }
+  ctx.globalAlpha = 1;
+}
 
-  // rotating slot angle
-  const baseAngle = (idx / N) * Math.PI * 2;
-  const rot = baseAngle + timeSec * AI_PROFILE.SECTOR_ROT_SPEED;
+// Final score line; versus names the winner.
+function scoreLine(view){
+  if (view.players.length < 2) return `Score: ${view.score}`;
+  const scores = view.players.map(p => `P${p.index + 1} ${p.score}`).join(' · ');
+  if (view.winner === null) return `Score: ${view.score} (${scores})`;
+  return `${view.winner < 0 ? 'Draw' : `P${view.winner + 1} wins`} · ${scores}`;
+}
 
-  return { x: cx + Math.cos(rot)*ring, y: cy + Math.sin(rot)*ring };
+function drawPickups(view){
+  ctx.font = STYLE.PICKUP_FONT;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (const p of view.pickups){
+    if (p.ttl < 2 && Math.floor(p.ttl * 6) % 2) continue; // blink before expiring
+    const st = STYLE.PICKUP[p.kind], cx = p.x + p.w/2, cy = p.y + p.h/2;
+    ctx.fillStyle = st.color;
+    ctx.beginPath(); ctx.arc(cx, cy, p.w/2, 0, Math.PI*2); ctx.fill();
+    ctx.fillStyle = STYLE.HP_BORDER;
+    ctx.fillText(st.glyph, cx, cy + 1);
+  }
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
 }
 
-function aiSectorBias(t, base, playerFar, dt){
-  // Only bias toward sector when player is far; keep it subtle
-  if (!playerFar) return base;
-  const now = performance.now()/1000 - _SECT.t0;
-  const p = aiSectorPointFor(t, now);
-  const toX = p.x - (t.x + t.w/2);
-  const toY = p.y - (t.y + t.h/2);
-  const L = Math.hypot(toX,toY) || 1;
-  const gain = AI_PROFILE.SECTOR_STICK;
-  base.sx += (toX/L) * gain;
-  base.sy += (toY/L) * gain;
-  return base;
+function drawObstacles(view){
+  ctx.lineWidth = 1;
+  for (const o of view.obstacles){
+    ctx.fillStyle = STYLE.OBSTACLE;     ctx.fillRect(o.x, o.y, o.w, o.h);
+    ctx.strokeStyle = STYLE.OBSTACLE_EDGE; ctx.strokeRect(o.x + 0.5, o.y + 0.5, o.w - 1, o.h - 1);
+  }
 }
 
-// ========================
-// MODULE 7.10: HEATMAP
-// ========================
-// Rolling grid of your recent positions. Enemies bias away from "hot" lanes
-// so they don't ride the same edges/corners you just searched.
+// "Wave 3/8 · 2/5" (caught/size), plus the clock when the wave has a time limit and the
+// next wave size when the cap still grows with time. The wave number flashes in the
+// middle of the arena as each wave lands.
+function drawWave(view){
+  const w = view.wave;
+  const parts = [`Wave ${w.number}${w.total ? '/' + w.total : ''}`, `${w.size - w.left}/${w.size}`];
+  if (w.timeLeft !== null) parts.push(`${Math.ceil(w.timeLeft)}s`);
+  if (view.targetCap() > w.size) parts.push(`next ${view.targetCap()}`);
+  ctx.font = STYLE.SCORE_FONT;
+  ctx.textAlign = 'right';
+  ctx.fillStyle = w.timeLeft !== null && w.timeLeft < STYLE.WAVE_TIME_WARN ? STYLE.HP_LOW : STYLE.TEXT;
+  ctx.fillText(parts.join(' · '), stage.width - 12, 22);
 
-const _HEAT = {
-  grid: null, cols: 0, rows: 0,
-  lastW: 0, lastH: 0,
-};
+  if (w.time < STYLE.WAVE_FLASH_SEC && view.alive){
+    ctx.globalAlpha = 1 - w.time / STYLE.WAVE_FLASH_SEC;
+    ctx.fillStyle = STYLE.TEXT;
+    ctx.font = STYLE.TITLE_FONT;
+    ctx.textAlign = 'center';
+    ctx.fillText(`Wave ${w.number}`, stage.width/2, stage.height/2 - 60);
+    ctx.globalAlpha = 1;
+  }
+  ctx.textAlign = 'left'; // restore default for other text
+}
+
+function endTitle(view){
+  if (view.complete) return modeOf(view).timeLimit ? "Time's up!" : 'All waves cleared!';
+  return modeOf(view).daily ? 'Daily challenge over' : 'Game Over';
+}
 
-function heatmapInit(){
-  const cell = AI_PROFILE.HEATMAP_CELL|0;
-  if (!cell) return;
-  const cols = Math.ceil(canvas.width / cell);
-  const rows = Math.ceil(canvas.height / cell);
-  _HEAT.cols = cols; _HEAT.rows = rows;
-  _HEAT.grid = new Float32Array(cols * rows);
-  _HEAT.lastW = canvas.width; _HEAT.lastH = canvas.height;
-}
-
-function heatmapEnsure(){
-  if (!_HEAT.grid || _HEAT.lastW !== canvas.width || _HEAT.lastH !== canvas.height){
-    heatmapInit();
-  }
-}
-
-function heatmapIdx(x, y){
-  const cell = AI_PROFILE.HEATMAP_CELL|0;
-  const c = Math.min(_HEAT.cols-1, Math.max(0, Math.floor(x / cell)));
-  const r = Math.min(_HEAT.rows-1, Math.max(0, Math.floor(y / cell)));
-  return r * _HEAT.cols + c;
-}
-
-function heatmapTick(dt){
-  heatmapEnsure();
-  if (!_HEAT.grid) return;
-
-  // Decay
-  const g = _HEAT.grid;
-  const decay = AI_PROFILE.HEATMAP_DECAY;
-  for (let i=0;i<g.length;i++){ g[i] *= decay; }
-
-  // Stamp player
-  const px = player.x + player.w/2, py = player.y + player.h/2;
-  const idx = heatmapIdx(px, py);
-  g[idx] += AI_PROFILE.HEATMAP_PLAYER_STAMP;
-}
-
-function heatmapSample(x, y){
-  heatmapEnsure();
-  if (!_HEAT.grid) return 0;
-  return _HEAT.grid[ heatmapIdx(x,y) ] || 0;
-}
-
-function aiHeatmapBias(t, base){
-  if (!_HEAT.grid) return base;
-
-  // Sample ahead and behind to approximate gradient
-  const cx = t.x + t.w/2, cy = t.y + t.h/2;
-  const s0 = heatmapSample(cx, cy);
-  const sX = heatmapSample(cx + 24, cy) - heatmapSample(cx - 24, cy);
-  const sY = heatmapSample(cy + 24, cx); // slight orthogonal smear
-  // Bias away from hotter direction (negative gradient)
-  base.sx += (-sX) * 0.02 * AI_PROFILE.HEATMAP_BIAS;
-  base.sy += (-sY) * 0.02 * AI_PROFILE.HEATMAP_BIAS;
-  return base;
-}
-
-// ===========================
-// MODULE 7.11: DISPERSION
-// ===========================
-// Avoid clumping on same edge/corner. When multiple enemies are near the same
-// edge, they "fan" into distinct lanes. Also encourages minimum spacing.
-
-function aiApplyDispersion(t, base){
-  const cx = t.x + t.w/2, cy = t.y + t.h/2;
-  const nearEdge =
-    (t.x < 12) || (t.y < 12) ||
-    (t.x > canvas.width - t.w - 12) ||
-    (t.y > canvas.height - t.h - 12);
-
-  if (!nearEdge) return base;
-
-  // Compute a simple lane vector along the closest edge
-  let edgeVX = 0, edgeVY = 0;
-  const dLeft   = t.x;
-  const dRight  = canvas.width - (t.x + t.w);
-  const dTop    = t.y;
-  const dBottom = canvas.height - (t.y + t.h);
-  const minD = Math.min(dLeft, dRight, dTop, dBottom);
-
-  if (minD === dLeft || minD === dRight){
-    // On vertical edge → lanes go along Y
-    edgeVX = 0; edgeVY = 1;
-  } else {
-    // On horizontal edge → lanes go along X
-    edgeVX = 1; edgeVY = 0;
-  }
-
-  // Push away from neighbors along tangential direction & enforce spacing
-  let tangentPush = 0;
-  let spaceX = 0, spaceY = 0;
-
-  for (let i=0;i<targets.length;i++){
-    const o = targets[i]; if (o===t) continue;
-    const ox = o.x + o.w/2, oy = o.y + o.h/2;
-    const dist = Math.hypot(cx-ox, cy-oy);
-    if (dist < AI_PROFILE.DISPERSION_MIN_SPACING){
-      // radial spacing push
-      const dx = cx - ox, dy = cy - oy;
-      const L = Math.hypot(dx,dy)||1;
-      spaceX += (dx/L) * ((AI_PROFILE.DISPERSION_MIN_SPACING - dist)/AI_PROFILE.DISPERSION_MIN_SPACING);
-      spaceY += (dy/L) * ((AI_PROFILE.DISPERSION_MIN_SPACING - dist)/AI_PROFILE.DISPERSION_MIN_SPACING);
+// Colour per archetype (all pale while frozen); armor as an outline that blinks
+// during the short invulnerability after a plate comes off.
+function drawTargets(view){
+  const frozen = view.effects.freeze > 0;
+  ctx.lineWidth = 2;
+  for (const t of view.targets){
+    ctx.fillStyle = frozen ? STYLE.TARGET_FROZEN : (STYLE.TARGET[t.kind] || STYLE.TARGET.cube);
+    ctx.fillRect(t.x, t.y, t.w, t.h);
+    const blink = t.invuln > 0 && Math.floor(t.invuln * 12) % 2;
+    if (t.armor > 0 || blink){
+      ctx.strokeStyle = STYLE.TARGET_ARMOR;
+      ctx.strokeRect(t.x + 1, t.y + 1, t.w - 2, t.h - 2);
     }
+  }
+}
+
+// One small countdown bar per active effect, under the health bar.
+const EFFECT_DURATION = { boost: 'BOOST_TIME', magnet: 'MAGNET_TIME', freeze: 'FREEZE_TIME' };
+function drawEffects(view){
+  const w = 84, h = 4, y = 64;
+  let x = 12;
+  ctx.font = STYLE.EFFECT_FONT;
+  for (const kind of ['boost', 'magnet', 'freeze', 'heal']){
+    const left = view.effects[kind];
+    if (left <= 0) continue;
+    const st = STYLE.PICKUP[kind];
+    const total = EFFECT_DURATION[kind] ? view.CFG[EFFECT_DURATION[kind]] : 1;
+    ctx.fillStyle = st.color;
+    ctx.fillText(kind === 'heal' ? `+${view.CFG.HEAL_AMOUNT} HP` : `${st.label} ${left.toFixed(1)}s`, x, y + 12);
+    ctx.fillStyle = STYLE.HP_BG; ctx.fillRect(x, y + 16, w, h);
+    ctx.fillStyle = st.color;   ctx.fillRect(x, y + 16, w * Math.min(1, left / total), h);
+    x += w + 12;
+  }
+}
 
-    // if both are near the same edge, fan out in opposite tangents
-    const oNearEdge = (o.x < 12) || (o.y < 12) ||
-      (o.x > canvas.width - o.w - 12) ||
-      (o.y > canvas.height - o.h - 12);
+function fmtTime(v){ return `${Math.floor(v/60)}:${String(Math.floor(v%60)).padStart(2,'0')}`; }
 
-    if (oNearEdge && nearEdge){
-      // signed distance along tangent
-      const along = ( (ox - cx) * edgeVX + (oy - cy) * edgeVY );
-      tangentPush += Math.sign(along || (Math.random()-0.5));
-    }
+// Dim the world and print a title plus a few lines under it.
+function drawPanel(title, lines){
+  ctx.fillStyle = STYLE.DIM;
+  ctx.fillRect(0,0,stage.width,stage.height);
+  ctx.fillStyle = STYLE.TEXT;
+  ctx.font = STYLE.TITLE_FONT;
+  ctx.fillText(title, 12, 100);
+  ctx.font = STYLE.SCORE_FONT;
+  lines.forEach((line, i) => {
+    ctx.fillStyle = i === 0 ? STYLE.TEXT : STYLE.MUTED;
+    ctx.fillText(line, 12, 130 + i*26);
+  });
+}
+
+// The board for the run's mode/difficulty; `highlight` is the 0-based row to mark.
+function drawBoard(view, top, highlight, pending){
+  const rows = board.top(currentBoardId(view));
+  if (pending){
+    rows.push(pending);
+    rows.sort(CubeLeaderboard.compare);
+    highlight = rows.indexOf(pending);
+    rows.length = Math.min(rows.length, CubeLeaderboard.SIZE);
   }
+  const col = [24, 60, 250, 330, 410, 480];
+  ctx.font = STYLE.EFFECT_FONT;
+  ctx.fillStyle = STYLE.MUTED;
+  ctx.fillText(`Top ${CubeLeaderboard.SIZE} · ${modeOf(view).name} · ${difficultyName(view.difficulty)} · ${layoutName(view.layout)} · ${scriptName(view.script)}`, col[0], top);
+  ['#', 'Name', 'Score', 'Time', 'Peak cap', 'Date'].forEach((h, i) => ctx.fillText(h, col[i], top + 20));
+  if (!rows.length) ctx.fillText('No scores yet.', col[1], top + 42);
+  rows.forEach((r, i) => {
+    const y = top + 42 + i*20;
+    if (i === highlight){
+      ctx.fillStyle = STYLE.HP_BG; ctx.fillRect(col[0] - 6, y - 14, stage.width - 2*col[0] + 12, 19);
+      ctx.fillStyle = STYLE.PLAYER;
+    } else {
+      ctx.fillStyle = STYLE.TEXT;
+    }
+    const name = r === pending ? `${r.name}${Math.floor(stateTime * 2) % 2 ? '_' : ' '}` : r.name;
+    [String(i + 1), name, String(r.score), fmtTime(r.time), String(r.peakCap), r.date.slice(0, 10)]
+      .forEach((c, j) => ctx.fillText(c, col[j], y));
+  });
+}
 
-  base.sx += (spaceX) * 1.0 + (edgeVX * tangentPush * AI_PROFILE.DISPERSION_EDGE_FAN);
-  base.sy += (spaceY) * 1.0 + (edgeVY * tangentPush * AI_PROFILE.DISPERSION_EDGE_FAN);
+// Run stats screen (S on the results): four charts over the dimmed arena.
+function drawStats(st){
+  const W = stage.width, H = stage.height, gap = 24;
+  const cw = (W - gap*3) / 2, ch = (H - 130 - gap*2) / 2;
+  const box = [[gap, 90], [gap*2 + cw, 90], [gap, 90 + ch + gap], [gap*2 + cw, 90 + ch + gap]];
+  ctx.fillStyle = STYLE.DIM; ctx.fillRect(0, 0, W, H);
+  ctx.fillStyle = STYLE.TEXT; ctx.font = STYLE.TITLE_FONT; ctx.textAlign = 'left';
+  ctx.fillText('Run stats', gap, 40);
+  ctx.font = STYLE.EFFECT_FONT; ctx.fillStyle = STYLE.MUTED;
+  const ttc = st.ttc, dist = st.players.map(p => p.distance).join(' / ');
+  const low = st.players.map(p => `${p.lowHpTime.toFixed(1)}s`).join(' / ');
+  ctx.fillText(`${st.score} pts in ${fmtTime(st.elapsed)} · ${ttc.count} catches · time to catch ${ttc.count ? `mean ${ttc.mean}s, median ${ttc.p50}s, p90 ${ttc.p90}s` : '—'}`, gap, 62);
+  ctx.fillText(`Distance ${dist} · low HP ${low} · wave ${st.waves} · seed ${st.seed}`, gap, 78);
+
+  drawTtcChart(st, box[0][0], box[0][1], cw, ch);
+  drawTimelineChart(st, box[1][0], box[1][1], cw, ch);
+  drawHeatChart(st, box[2][0], box[2][1], cw, ch);
+  drawKindTable(st, box[3][0], box[3][1], cw, ch);
+
+  ctx.fillStyle = STYLE.MUTED; ctx.textAlign = 'center'; ctx.font = STYLE.EFFECT_FONT;
+  ctx.fillText('Esc / S back · Space to play again · export JSON / CSV under the game', W/2, H - 14);
+  ctx.textAlign = 'left';
+}
 
-  return base;
+function chartFrame(label, x, y, w, h){
+  ctx.strokeStyle = STYLE.HP_BG; ctx.lineWidth = 1;
+  ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+  ctx.fillStyle = STYLE.TEXT; ctx.font = STYLE.EFFECT_FONT;
+  ctx.fillText(label, x + 6, y + 14);
 }
 
+// Histogram of time-to-catch, one bar per second (the last bar collects the slow tail).
+function drawTtcChart(st, x, y, w, h){
+  chartFrame('Time to catch (s)', x, y, w, h);
+  const times = st.targets.filter(r => r.caught !== null && !CubeSim.ARCHETYPES[r.kind].hpCost).map(r => r.caught - r.born);
+  if (!times.length) return;
+  const bins = 12, counts = new Array(bins).fill(0);
+  for (const t of times) counts[Math.min(bins - 1, Math.floor(t))]++;
+  const top = Math.max(...counts), bw = (w - 20) / bins, base = y + h - 16;
+  counts.forEach((c, i) => {
+    const bh = (h - 40) * c / top;
+    ctx.fillStyle = STYLE.TARGET.cube;
+    ctx.fillRect(x + 10 + i*bw + 1, base - bh, bw - 2, bh);
+  });
+  ctx.fillStyle = STYLE.MUTED;
+  ctx.fillText('0', x + 10, y + h - 4);
+  ctx.textAlign = 'right';
+  ctx.fillText(`${bins - 1}+`, x + w - 10, y + h - 4);
+  ctx.fillText(`${top}`, x + w - 6, y + 14);
+  ctx.textAlign = 'left';
+}
 
+// HP (lowest pool) and score over the run, each scaled to the chart's height.
+function drawTimelineChart(st, x, y, w, h){
+  chartFrame('HP and score over time', x, y, w, h);
+  const tl = st.timeline;
+  if (tl.length < 2) return;
+  const t1 = tl[tl.length - 1][0] || 1, maxScore = Math.max(1, ...tl.map(r => r[1]));
+  const maxHp = Math.max(1, ...tl.map(r => r[2]));
+  const line = (col, scale, color) => {
+    ctx.strokeStyle = color; ctx.lineWidth = 2;
+    ctx.beginPath();
+    tl.forEach((r, i) => {
+      const px = x + 10 + (w - 20) * r[0] / t1, py = y + h - 10 - (h - 34) * r[col] / scale;
+      if (i) ctx.lineTo(px, py); else ctx.moveTo(px, py);
+    });
+    ctx.stroke();
+  };
+  line(2, maxHp, STYLE.HP_OK);
+  line(1, maxScore, STYLE.COMBO);
+  ctx.textAlign = 'right';
+  ctx.fillStyle = STYLE.HP_OK; ctx.fillText('HP', x + w - 40, y + 14);
+  ctx.fillStyle = STYLE.COMBO; ctx.fillText(`score ${maxScore}`, x + w - 6, y + 28);
+  ctx.textAlign = 'left';
+}
 
+// Where the catches happened, over the arena's shape.
+function drawHeatChart(st, x, y, w, h){
+  chartFrame('Catches by position', x, y, w, h);
+  const hm = st.heatmap, top = Math.max(1, ...hm.cells);
+  const aw = w - 20, ah = h - 30;
+  const cell = Math.min(aw / hm.cols, ah / hm.rows);
+  const ox = x + (w - cell * hm.cols) / 2, oy = y + 22;
+  const [r, g, b] = STYLE.DEBUG_HEAT;
+  ctx.strokeStyle = STYLE.HP_BG;
+  ctx.strokeRect(ox + 0.5, oy + 0.5, cell * hm.cols - 1, cell * hm.rows - 1);
+  hm.cells.forEach((c, i) => {
+    if (!c) return;
+    ctx.fillStyle = `rgba(${r},${g},${b},${(0.2 + 0.8 * c / top).toFixed(3)})`;
+    ctx.fillRect(ox + (i % hm.cols) * cell, oy + Math.floor(i / hm.cols) * cell, cell, cell);
+  });
+}
 
-// MODULE 8: Update (drain, catch-all regen, time cap)
-function restart(){
-  score = 0;
-  hp = CFG.HEALTH_MAX;
-  alive = true;
-  elapsed = 0;
-  targets.length = 0;
-  // spawn to current cap at start (1)
-  const cap = targetCap();
-  while (targets.length < cap) targets.push(spawnAvoidingPlayer());
+// Per archetype: how many came, how many you got, how fast, and how hard they tried.
+function drawKindTable(st, x, y, w, h){
+  chartFrame('By kind', x, y, w, h);
+  const cols = [x + 8, x + w*0.27, x + w*0.42, x + w*0.56, x + w*0.7, x + w*0.85];
+  ctx.fillStyle = STYLE.MUTED;
+  ['Kind', 'Caught', 'Mean s', 'Jukes', 'Patrols', 'Pinned'].forEach((t, i) => ctx.fillText(t, cols[i], y + 32));
+  Object.entries(st.kinds).forEach(([kind, k], j) => {
+    const ry = y + 50 + j*16;
+    if (ry > y + h - 4) return;
+    ctx.fillStyle = STYLE.TARGET[kind] || STYLE.TEXT;
+    [kind, `${k.caught}/${k.spawned}`, k.meanTtc === null ? '—' : k.meanTtc.toFixed(1), k.jukes, k.patrols, k.corners]
+      .forEach((t, i) => ctx.fillText(String(t), cols[i], ry));
+  });
 }
 
-function update(dt){
-  if (!alive){
-    if (keys.has('space')) restart();
-    return;
-  }
+function drawControls(){
+  const b = input.bindings, col = [40, 200, 320];
+  drawPanel('Controls', [
+    '↑/↓ action · ←/→ slot · Enter to rebind · R reset · Esc back',
+    input.gamepadConnected ? 'Gamepad connected: left stick / d-pad move, A start, Start pause'
+                           : 'Gamepads and touch (drag on the canvas) also move the player',
+  ]);
+  ctx.font = STYLE.SCORE_FONT;
+  CubeInput.ACTIONS.forEach((a, i) => {
+    const y = 220 + i*30;
+    ctx.fillStyle = STYLE.MUTED;
+    ctx.fillText(a[0].toUpperCase() + a.slice(1), col[0], y);
+    [0, 1].forEach(slot => {
+      const sel = i === controls.row && slot === controls.slot;
+      if (sel){ ctx.fillStyle = STYLE.HP_BG; ctx.fillRect(col[slot + 1] - 8, y - 18, 104, 26); }
+      ctx.fillStyle = sel ? STYLE.PLAYER : STYLE.TEXT;
+      ctx.fillText(sel && controls.waiting ? 'press a key…' : keyLabel(b[a][slot]), col[slot + 1], y);
+    });
+  });
+  if (controls.message){ ctx.fillStyle = STYLE.HP_LOW; ctx.fillText(controls.message, col[0], 220 + CubeInput.ACTIONS.length*30 + 10); }
+}
 
-  elapsed += dt;
+// Virtual joystick: base where the finger went down, knob where it is now.
+// Drawn in CSS px (input.js tracks it there) so it's the same size under the finger at any scale.
+function drawStick(){
+  const s = input.stick;
+  if (!s.active) return;
+  ctx.save();
+  ctx.setTransform(stage.dpr, 0, 0, stage.dpr, 0, 0);
+  ctx.fillStyle = STYLE.STICK_BASE;
+  ctx.beginPath(); ctx.arc(s.ox, s.oy, CubeInput.TOUCH.RADIUS, 0, Math.PI*2); ctx.fill();
+  ctx.fillStyle = STYLE.STICK_KNOB;
+  ctx.beginPath(); ctx.arc(s.x, s.y, 22, 0, Math.PI*2); ctx.fill();
+  ctx.restore();
+}
 
-  // health drain
-  hp -= CFG.HEALTH_DECAY_PER_SEC * dt;
-  hp = clamp(hp, 0, CFG.HEALTH_MAX);
-  if (hp <= 0){ alive = false; return; }
+// MODULE 9.1: AI debug overlay (F3)
+function drawArrow(x, y, vx, vy, color){
+  const ex = x + vx * STYLE.DEBUG_ARROW_SCALE, ey = y + vy * STYLE.DEBUG_ARROW_SCALE;
+  const len = Math.hypot(ex - x, ey - y);
+  if (len < 2) return;
+  const ux = (ex - x) / len, uy = (ey - y) / len;
+  ctx.strokeStyle = ctx.fillStyle = color;
+  ctx.beginPath(); ctx.moveTo(x, y); ctx.lineTo(ex, ey); ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(ex, ey);
+  ctx.lineTo(ex - ux*6 - uy*3, ey - uy*6 + ux*3);
+  ctx.lineTo(ex - ux*6 + uy*3, ey - uy*6 - ux*3);
+  ctx.fill();
+}
 
-  // player movement
-  const dir = readInput();
-  player.x += dir.dx * player.speed * dt;
-  player.y += dir.dy * player.speed * dt;
-  player.x = clamp(player.x, 0, canvas.width  - player.w);
-  player.y = clamp(player.y, 0, canvas.height - player.h);
+function drawDebug(view){
+  const info = view.debugInfo();
+  const { grid, cols, rows, cell } = info.heat;
+
+  // heatmap, normalised to the hottest cell
+  if (grid){
+    let max = 0;
+    for (let i = 0; i < grid.length; i++) if (grid[i] > max) max = grid[i];
+    const [r, g, b] = STYLE.DEBUG_HEAT;
+    if (max > 0) for (let i = 0; i < grid.length; i++){
+      const v = grid[i] / max;
+      if (v < 0.02) continue;
+      ctx.fillStyle = `rgba(${r},${g},${b},${(0.5 * v).toFixed(3)})`;
+      ctx.fillRect((i % cols) * cell, Math.floor(i / cols) * cell, cell, cell);
+    }
+  }
 
-  // update targets + collect
-  for (let i = targets.length - 1; i >= 0; i--){
-    const t = targets[i];
-    updateTargetAI(t, dt);
-    if (rectsOverlap(player, t)){
-      score += 1;
-      targets.splice(i, 1);
+  // sector ring + each target's anchor
+  const mx = view.arena.width / 2, my = view.arena.height / 2;
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = STYLE.DEBUG_RING;
+  ctx.setLineDash([4, 6]);
+  ctx.beginPath(); ctx.arc(mx, my, info.ring, 0, Math.PI*2); ctx.stroke();
+  view.targets.forEach((t, i) => {
+    const a = info.anchors[i];
+    ctx.beginPath(); ctx.moveTo(t.x + t.w/2, t.y + t.h/2); ctx.lineTo(a.x, a.y); ctx.stroke();
+  });
+  ctx.setLineDash([]);
+  ctx.fillStyle = STYLE.DEBUG_ANCHOR;
+  info.anchors.forEach(a => ctx.fillRect(a.x - 3, a.y - 3, 6, 6));
+
+  // per-target steering layers (plugin ones last), final (smoothed) heading, juke/pop/patrol timers, squad role
+  const layers = CubeSim.AI_LAYERS.concat(view.aiLayers);
+  ctx.font = STYLE.EFFECT_FONT;
+  for (const t of view.targets){
+    const s = t._ai;
+    if (!s) continue;
+    const cx = t.x + t.w/2, cy = t.y + t.h/2;
+    if (s.trace) for (const layer of layers){
+      const v = s.trace[layer];
+      if (v) drawArrow(cx, cy, v.x, v.y, STYLE.DEBUG_LAYER[layer] || STYLE.DEBUG_EXTRA);
+    }
+    drawArrow(cx, cy, s.lastSteerX * 1.5, s.lastSteerY * 1.5, STYLE.DEBUG_FINAL);
+    const timer = (on, time, cool) => on > 0 ? `${time.toFixed(1)}s` : cool > 0 ? `cd ${cool.toFixed(1)}` : 'ready';
+    ctx.fillStyle = STYLE.DEBUG_LAYER.juke;
+    ctx.fillText(`J ${timer(s.jukeTime, s.jukeTime, s.jukeCool)}`, t.x + t.w + 4, t.y + 8);
+    ctx.fillStyle = STYLE.DEBUG_LAYER.cornerPop;
+    ctx.fillText(`C ${timer(s.popTime, s.popTime, s.popCool)}`, t.x + t.w + 4, t.y + 22);
+    ctx.fillStyle = STYLE.DEBUG_LAYER.patrol;
+    ctx.fillText(`P ${timer(s.patrolTime, s.patrolTime, s.patrolCool)}`, t.x + t.w + 4, t.y + 36);
+    if (s.role){
+      ctx.fillStyle = STYLE.DEBUG_LAYER.squad;
+      ctx.fillText(s.role === 'bait' ? 'BAIT' : 'flank', t.x, t.y - 4);
     }
   }
 
-  // ✅ Only when ALL current cubes are cleared:
-  if (targets.length === 0){
-    // regen health
-    hp = clamp(hp + CFG.HEALTH_REFILL_ON_CLEAR, 0, CFG.HEALTH_MAX);
-    // spawn up to current time-based cap
-    const cap = targetCap();
-    while (targets.length < cap) targets.push(spawnAvoidingPlayer());
+  // legend
+  const names = layers.concat('final');
+  const legendTop = stage.height - 2 - Math.ceil(names.length / 5) * 16;
+  names.forEach((layer, i) => {
+    ctx.fillStyle = layer === 'final' ? STYLE.DEBUG_FINAL : STYLE.DEBUG_LAYER[layer] || STYLE.DEBUG_EXTRA;
+    ctx.fillText(layer, 12 + (i % 5) * 92, legendTop + 12 + Math.floor(i / 5) * 16);
+  });
+  ctx.lineWidth = 2;
+}
+
+function drawReplayBanner(){
+  const sec = playback.tick * CubeSim.TICK_DT, total = playback.replay.ticks * CubeSim.TICK_DT;
+  ctx.fillStyle = STYLE.MUTED;
+  ctx.font = STYLE.SCORE_FONT;
+  ctx.textAlign = 'center';
+  ctx.fillText(`REPLAY ${playback.paused ? '❚❚' : '▶'} ${playback.speed}×  ${fmtTime(sec)} / ${fmtTime(total)}  ·  Esc to exit`,
+    stage.width/2, stage.height - 14);
+  ctx.textAlign = 'left';
+}
+
+const ONLINE_STATUS = {
+  connecting: 'Connecting…', reconnecting: 'Connection lost, rejoining…',
+  offline: 'Offline — is server.js running? Esc back, O to retry',
+};
+
+// Room list, or the room you're in with its seats.
+function drawLobby(){
+  const room = online.room, col = [24, 150, 330, 540];
+  if (!room){
+    drawPanel('Online', [
+      ONLINE_STATUS[online.status] || `${online.rooms.length} room${online.rooms.length === 1 ? '' : 's'} open`,
+      `↑/↓ pick a room · Enter to join · N new room · Esc back${lastReplay ? ' · R replay' : ''}`,
+      lobby.message,
+    ]);
+    ctx.font = STYLE.EFFECT_FONT;
+    online.rooms.forEach((r, i) => {
+      const y = 230 + i*20, taken = r.seats.filter(Boolean).length;
+      if (i === lobby.row){ ctx.fillStyle = STYLE.HP_BG; ctx.fillRect(col[0] - 6, y - 14, stage.width - 2*col[0] + 12, 19); }
+      ctx.fillStyle = i === lobby.row ? STYLE.PLAYER : STYLE.TEXT;
+      [r.name, `${partyName(r.party)} · ${difficultyName(r.difficulty)}`, `${modeOf(r).name} · ${layoutName(r.layout)} · ${scriptName(r.script)}`,
+       `${taken}/${r.seats.length}${r.running ? ' · playing' : ''}`]
+        .forEach((c, j) => ctx.fillText(c, col[j], y));
+    });
+    return;
   }
+  const full = room.seats.every(s => s && s.connected);
+  drawPanel(room.name, [
+    `${modeOf(room).name} · ${partyName(room.party)} · ${difficultyName(room.difficulty)} · ${layoutName(room.layout)} · ${scriptName(room.script)}`,
+    room.host !== online.seat ? 'Waiting for the host to start · Esc to leave'
+      : full ? 'Space to start · Esc to leave' : 'Waiting for every seat to fill · Esc to leave',
+    ONLINE_STATUS[online.status] || lobby.message,
+  ]);
+  ctx.font = STYLE.SCORE_FONT;
+  room.seats.forEach((s, i) => {
+    const y = 240 + i*28;
+    ctx.fillStyle = i ? STYLE.PLAYER2 : STYLE.PLAYER;
+    ctx.fillText(`P${i + 1}`, col[0], y);
+    ctx.fillStyle = s ? STYLE.TEXT : STYLE.MUTED;
+    const tags = s ? [i === online.seat ? 'you' : '', i === room.host ? 'host' : '', s.connected ? '' : 'reconnecting…'].filter(Boolean) : [];
+    ctx.fillText(s ? `${s.name}${tags.length ? ` (${tags.join(', ')})` : ''}` : 'open seat', col[1], y);
+  });
+}
 
-  // ⛔️ No unconditional "ensureCap()" here — that was causing mid-wave respawns.
+function drawOnlineBanner(){
+  ctx.fillStyle = STYLE.MUTED;
+  ctx.font = STYLE.SCORE_FONT;
+  ctx.textAlign = 'center';
+  ctx.fillText(`ONLINE · ${online.room ? online.room.name : ''} · you are P${online.seat + 1}  ·  Esc to leave`, stage.width/2, stage.height - 14);
+  ctx.textAlign = 'left';
 }
 
+function drawOverlay(view){
+  switch(state){
+    case STATE.TITLE:
+      drawPanel('Cube Collector', [
+        'Press Space to start',
+        `Mode: ${modeOf(view).name}   (G to change)`,
+        daily ? `Difficulty: ${difficultyName(view.difficulty)}   (set by the day)`
+          : `Difficulty: ◀ ${difficultyName(view.difficulty)} ▶   (←/→ to change)`,
+        STRESS ? `Waves: ${scriptName(view.script)}   (benchmark, not ranked)`
+          : daily ? `Waves: ${scriptName(view.script)} · seed ${daily.seed}` : `Waves: ${scriptName(view.script)}   (↑/↓ to change)`,
+        daily ? `Layout: ${layoutName(view.layout)}` : `Layout: ${layoutName(view.layout)}   (L to change)`,
+        `Players: ${partyName(view.party)}   (T to change)${bot ? ` · P1: ${CubeBot.STRATEGIES[bot.strategy].name} autopilot` : ''}`,
+        CubeSim.PARTIES[view.party].players > 1
+          ? 'P1: WASD / gamepad / touch · P2: Arrows · Esc or P to pause · M mute, -/= volume'
+          : 'WASD / Arrows / gamepad / touch to move · Esc or P to pause · M mute, -/= volume',
+        modeOf(view).blurb,
+        online ? 'C to change controls · O to play online' : 'C to change controls',
+      ]);
+      break;
+    case STATE.CONTROLS:
+      drawControls();
+      break;
+    case STATE.STATS:
+      drawStats(lastStats);
+      break;
+    case STATE.PAUSED:
+      drawPanel('Paused', ['Esc / P to resume', 'Q to quit to title']);
+      break;
+    case STATE.GAMEOVER:
+      drawPanel(endTitle(view), [scoreLine(view)]);
+      break;
+    case STATE.ENTRY:
+      drawPanel('New high score!', [
+        `Score: ${view.score} · survived ${fmtTime(view.elapsed)}`,
+        'Type your name · Enter to save · Esc to skip',
+      ]);
+      drawBoard(view, 200, -1, {
+        name: nameBuffer, score: view.score, time: view.elapsed, peakCap: view.peakCap, date: new Date().toISOString(),
+      });
+      break;
+    case STATE.RESULTS:
+      drawPanel(endTitle(view), [
+        `${scoreLine(view)} on ${difficultyName(view.difficulty)} · ${modeOf(view).health === false ? 'played' : 'survived'} ${fmtTime(view.elapsed)}`,
+        `Space to play again · R to watch the replay${lastStats ? ' · S for run stats' : ''} · Esc for title`,
+        STRESS ? `Seed: ${view.seed} · stress run, not ranked`
+          : bot ? `Seed: ${view.seed} · autopilot run, not ranked`
+          : runTuned ? `Seed: ${view.seed} · tuned run, not ranked`
+          : !ranked(view) ? `Seed: ${view.seed} · ${CubeSim.PARTIES[view.party].versus ? 'versus' : modeOf(view).name}, not ranked`
+          : `Seed: ${view.seed}`,
+        breakdownLine(view),
+      ]);
+      if (ranked(view)) drawBoard(view, 246, highlightRank, null);
+      break;
+    case STATE.REPLAY:
+      if (!view.alive) drawPanel(endTitle(view), [scoreLine(view), breakdownLine(view), 'End of replay · ←/→ to scrub, Esc to exit']);
+      drawReplayBanner();
+      break;
+    case STATE.LOBBY:
+      drawLobby();
+      break;
+    case STATE.ONLINE:
+      if (online.status === 'reconnecting') drawPanel('Connection lost', ['Rejoining your seat…', 'Esc to leave']);
+      drawOnlineBanner();
+      break;
+  }
+  if (state === STATE.PLAYING || state === STATE.ONLINE) drawStick();
+}
 
-// MODULE 9: Render (score, HP, targets info, game over)
-function drawHealth(){
-  const pad = 12, barW = canvas.width - pad*2, barH = 12, x = pad, y = 44;
-  ctx.fillStyle = STYLE.HP_BG; ctx.fillRect(x, y, barW, barH);
-  const pct = hp / CFG.HEALTH_MAX;
-  ctx.fillStyle = (pct < 0.3) ? STYLE.HP_LOW : STYLE.HP_OK;
-  ctx.fillRect(x, y, barW * pct, barH);
-  ctx.strokeStyle = STYLE.HP_BORDER; ctx.strokeRect(x + 0.5, y + 0.5, barW - 1, barH - 1);
+// The view as it stands `alpha` (0..1) of the way through the tick in progress: players
+// and targets drawn between where the last tick found them (px/py, see sim.js) and where
+// it left them, so motion is smooth whatever the display's refresh rate. Everything else
+// reads through to the view. Online views come interpolated already (no px/py).
+function between(view, alpha){
+  if (alpha >= 1) return view;
+  const at = e => e.px === undefined ? e
+    : Object.assign(Object.create(e), { x: e.px + (e.x - e.px) * alpha, y: e.py + (e.y - e.py) * alpha });
+  const players = view.players.map(at);
+  return Object.create(view, {
+    players: { value: players },
+    player:  { value: players[0] },
+    targets: { value: view.targets.map(at) },
+  });
 }
 
-function render(){
+// view: the sim to draw (the live run, or the replay's sim during playback).
+// Fits view.arena into the canvas (a replay keeps its recorded shape, letterboxed);
+// everything after the transform draws in arena units.
+function render(view){
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
   ctx.clearRect(0, 0, canvas.width, canvas.height);
+  stage.width = view.arena.width; stage.height = view.arena.height;
+  stage.scale = Math.min(canvas.width / stage.width, canvas.height / stage.height);
+  stage.x = (canvas.width  - stage.width  * stage.scale) / 2;
+  stage.y = (canvas.height - stage.height * stage.scale) / 2;
+  ctx.setTransform(stage.scale, 0, 0, stage.scale, stage.x, stage.y);
+  runRenderPasses('before', view);
 
   // border
   ctx.strokeStyle = STYLE.BORDER; ctx.lineWidth = 2;
-  ctx.strokeRect(1,1,canvas.width-2,canvas.height-2);
+  ctx.strokeRect(1,1,stage.width-2,stage.height-2);
+
+  // the world shakes, the HUD stays put (fx offset is 0 with nothing going on)
+  const showFx = state !== STATE.REPLAY;
+  const shake = showFx ? fx.offset : { x: 0, y: 0 };
+
+  // obstacles (also on the title, as a preview of the selected layout)
+  ctx.save(); ctx.translate(shake.x, shake.y);
+  drawObstacles(view);
+  ctx.restore();
+
+  if (state !== STATE.TITLE && state !== STATE.LOBBY){
+    // left HUD: score (per player in 2-player parties)
+    drawScore(view);
+    ctx.fillStyle = STYLE.MUTED;
+    ctx.textAlign = 'center';
+    const modeTag = view.mode && view.mode !== CubeSim.DEFAULT_MODE ? `${modeOf(view).name} · ` : '';
+    ctx.fillText(`${modeTag}${difficultyName(view.difficulty)} · ${layoutName(view.layout)}`, stage.width/2, 22);
+    ctx.fillStyle = STYLE.TEXT;
 
-  // left HUD: score
-  ctx.fillStyle = STYLE.TEXT;
-  ctx.font = STYLE.SCORE_FONT;
-  ctx.textAlign = 'left';
-  ctx.fillText(`Score: ${score}`, 12, 22);
+    // right HUD: wave and progress
+    drawWave(view);
 
-  // right HUD: targets
-  const cap = targetCap();
-  ctx.textAlign = 'right';
-  ctx.fillText(`Targets: ${targets.length}/${cap}`, canvas.width - 12, 22);
-  ctx.textAlign = 'left'; // restore default for other text
+    // health bar + active power-up timers
+    drawHealth(view);
+    drawEffects(view);
+
+    ctx.save(); ctx.translate(shake.x, shake.y);
 
-  // health bar
-  drawHealth();
+    // pickups
+    drawPickups(view);
 
-  // targets
-  ctx.fillStyle = STYLE.TARGET;
-  targets.forEach(t => ctx.fillRect(t.x, t.y, t.w, t.h));
+    // magnet range (around every player still in)
+    if (view.effects.magnet > 0){
+      ctx.strokeStyle = STYLE.PICKUP.magnet.color; ctx.lineWidth = 1;
+      for (const p of view.players){
+        if (p.out) continue;
+        ctx.beginPath();
+        ctx.arc(p.x + p.w/2, p.y + p.h/2, view.CFG.MAGNET_RADIUS, 0, Math.PI*2);
+        ctx.stroke();
+      }
+    }
 
-  // player
-  ctx.fillStyle = STYLE.PLAYER;
-  ctx.fillRect(player.x, player.y, player.w, player.h);
+    // targets (juke trails underneath)
+    if (showFx) fx.drawTrails(ctx);
+    drawTargets(view);
 
-  // game over
-  if (!alive){
-    ctx.fillStyle = 'rgba(0,0,0,0.55)';
-    ctx.fillRect(0,0,canvas.width,canvas.height);
-    ctx.fillStyle = STYLE.TEXT;
-    ctx.font = '24px system-ui, -apple-system, Segoe UI, Roboto, Inter, Arial';
-    ctx.fillText('Game Over', 12, 100);
-    ctx.font = '16px system-ui, -apple-system, Segoe UI, Roboto, Inter, Arial';
-    ctx.fillText('Press Space to restart', 12, 130);
+    if (debugOverlay && view.debugInfo) drawDebug(view); // online views have no AI state to show
+
+    drawPlayers(view);
+    if (showFx) fx.draw(ctx, view);
+    drawPopups(view);
+    ctx.restore();
   }
+
+  drawOverlay(view);
+  runRenderPasses('after', view);
 }
 
 
   // ---------------------------
   // MODULE 10: Loop/Boot
   // ---------------------------
+  // Fixed timestep: frame time is accumulated and the sim always advances in
+  // TICK_DT steps, so the refresh rate can't change the outcome of a run.
+  const MAX_STEPS_PER_FRAME = 5; // spiral-of-death guard after a long stall
   let last = performance.now();
+  let acc = 0;
+
+  // What's on screen: the replay's sim, the online run (until its first snapshot
+  // arrives, the local sim stands in), or the local sim.
+  function activeView(){
+    if (state === STATE.REPLAY) return playback.sim;
+    if (state === STATE.ONLINE) return online.view || sim;
+    return sim;
+  }
+  // How far into the next tick the clock is: leftover accumulator for the local sim
+  // (frozen while paused), the player's for a replay; drawn as-is otherwise.
+  function drawAlpha(){
+    if (state === STATE.PLAYING || state === STATE.PAUSED) return acc / CubeSim.TICK_DT;
+    if (state === STATE.REPLAY) return playback.alpha;
+    return 1;
+  }
   function frame(t){
-    const dt = Math.min(0.033, (t - last)/1000); last = t;
-    update(dt); render(); requestAnimationFrame(frame);
+    const frameMs = t - last;
+    const realDt = Math.min(0.25, frameMs/1000); last = t;
+    stateTime += realDt;
+    const view = activeView();
+    view.debug = debugOverlay;
+    if (resizePending) fitCanvas();
+    const simStart = performance.now();
+    let ticks = 0;
+    input.poll(); // gamepads have no events for stick/button state, only polling
+
+    if (state === STATE.PLAYING){
+      acc += realDt;
+      let steps = 0;
+      while (acc >= CubeSim.TICK_DT && steps < MAX_STEPS_PER_FRAME){
+        recorder.capture(bot || input, input.p2);
+        sim.update(CubeSim.TICK_DT);
+        runStats.sample(CubeSim.TICK_DT);
+        acc -= CubeSim.TICK_DT;
+        steps++;
+        if (!sim.alive){ endRun(); break; }
+      }
+      if (steps === MAX_STEPS_PER_FRAME) acc = 0; // drop the backlog instead of fast-forwarding
+      ticks = steps;
+    } else if (state === STATE.GAMEOVER && stateTime >= GAMEOVER_HOLD_SEC){
+      afterGameOver();
+    } else if (state === STATE.REPLAY){
+      ticks = playback.advance(realDt);
+      if (ticks) syncReplayUi();
+    } else if (state === STATE.ONLINE){
+      online.tick(realDt, input);
+    }
+    if (state === STATE.PLAYING || state === STATE.ONLINE) agePopups(realDt);
+    if (state !== STATE.PAUSED && state !== STATE.REPLAY) fx.update(realDt, activeView());
+
+    const simMs = performance.now() - simStart;
+
+    const heard = state === STATE.ONLINE ? activeView() : sim;
+    audio.update(realDt, {
+      playing: state === STATE.PLAYING || state === STATE.ONLINE,
+      targets: heard.targets.length,
+      hpPct: lowestHp(heard) / heard.CFG.HEALTH_MAX,
+      lowPct: heard.CFG.HEALTH_LOW_PCT,
+    });
+
+    render(between(activeView(), drawAlpha()));
+    sampleFrame(frameMs, simMs, ticks);
+    requestAnimationFrame(frame);
+  }
+  function boot(){
+    if (modeOf(sim).daily) setMode('daily'); // ?mode=daily: fetch today's settings
+    setState(STATE.TITLE); canvas.focus(); requestAnimationFrame(frame);
+    for (const id of PLUGIN_IDS){
+      const script = document.createElement('script');
+      script.src = `./plugins/${id}.js`;
+      script.onerror = () => console.error(`CubeCollector: no plugin at plugins/${id}.js`);
+      document.body.appendChild(script);
+    }
   }
-  function boot(){ restart(); requestAnimationFrame(frame); }
   boot();
 })();
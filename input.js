@@ -0,0 +1,258 @@
+// MODULE INDEX (input.js)
+// Browser input layer the sim reads from: keyboard (rebindable), Gamepad API
+// (analog stick + d-pad) and an on-canvas virtual joystick for touch. It is an
+// input source in the sim's sense — has(action) for digital directions plus
+// axis() for the analog part — so readInput() can return partial magnitudes.
+// MODULE 1: Bindings (defaults, persistence, rebinding)
+// MODULE 2: Keyboard
+// MODULE 3: Gamepad (deadzone, d-pad, menu buttons)
+// MODULE 4: Touch joystick
+// MODULE 5: Input source (has / axis) + exports
+//
+// Browser: <script src="./input.js"></script> → window.CubeInput
+
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.CubeInput = factory();
+})(this, function(){
+
+  // ---------------------------
+  // MODULE 1: Bindings
+  // ---------------------------
+  const ACTIONS = ['up', 'down', 'left', 'right'];
+  const DEFAULT_BINDINGS = {
+    up:    ['KeyW', 'ArrowUp'],
+    down:  ['KeyS', 'ArrowDown'],
+    left:  ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+  };
+  const BINDINGS_KEY = 'cubeCollector.keys';
+  // Keys the menus/flow own; binding a direction to them would make the game unplayable.
+  const RESERVED = ['Escape', 'Enter', 'Space', 'KeyP', 'KeyM', 'Minus', 'Equal', 'Backspace'];
+
+  const PAD = {
+    DEADZONE: 0.18,      // radial; the remaining range is rescaled to 0..1
+    QUANT: 100,          // analog values are rounded to 1/QUANT so replays stay exact and compact
+    AXIS_X: 0, AXIS_Y: 1,
+    DPAD: { 12: 'up', 13: 'down', 14: 'left', 15: 'right' },  // standard mapping
+    BUTTONS: { 0: 'Enter', 9: 'Escape', 1: 'Escape' },        // A / Start / B → flow keys
+  };
+
+  const TOUCH = {
+    RADIUS: 56,          // CSS px from the touch origin to full deflection
+    DEADZONE: 0.12,
+  };
+
+  function cloneBindings(b){
+    const out = {};
+    for (const a of ACTIONS) out[a] = (b[a] || []).slice(0, 2);
+    return out;
+  }
+
+  function quantize(v){ return Math.round(v * PAD.QUANT) / PAD.QUANT; }
+
+  // Radial deadzone: below `dz` → 0, above it the magnitude is rescaled so the
+  // stick still reaches 1.0 at full tilt.
+  function applyDeadzone(x, y, dz){
+    const m = Math.hypot(x, y);
+    if (m < dz) return { dx: 0, dy: 0 };
+    const scaled = Math.min(1, (m - dz) / (1 - dz));
+    return { dx: quantize(x / m * scaled), dy: quantize(y / m * scaled) };
+  }
+
+  // opts.target   where key listeners go (default: document)
+  // opts.canvas   canvas for the touch joystick (optional)
+  // opts.storage  getItem/setItem store for bindings (default: localStorage)
+  // opts.onButton(code)  gamepad menu buttons, delivered as key codes ('Enter', 'Escape')
+  function createInput(opts){
+    opts = opts || {};
+    const target = opts.target || document;
+    const canvas = opts.canvas || null;
+    const storage = opts.storage !== undefined ? opts.storage
+      : (typeof localStorage !== 'undefined' ? localStorage : null);
+
+    let bindings = loadBindings();
+    let enabled = true;
+    let capture = null; // fn(code) waiting for the next key (rebinding)
+
+    function loadBindings(){
+      try {
+        const raw = storage && storage.getItem(BINDINGS_KEY);
+        if (raw){
+          const b = JSON.parse(raw);
+          if (ACTIONS.every(a => Array.isArray(b[a]))) return cloneBindings(b);
+        }
+      } catch (e){ /* fall through to defaults */ }
+      return cloneBindings(DEFAULT_BINDINGS);
+    }
+
+    function saveBindings(){
+      try { if (storage) storage.setItem(BINDINGS_KEY, JSON.stringify(bindings)); }
+      catch (e){ /* not fatal */ }
+    }
+
+    // → [action, slot] for a bound key, or null
+    function actionFor(code){
+      for (const a of ACTIONS){
+        const slot = bindings[a].indexOf(code);
+        if (slot >= 0) return [a, slot];
+      }
+      return null;
+    }
+
+    // Puts `code` in `slot` (0 primary, 1 secondary) of `action`, taking it away
+    // from wherever else it was bound. Returns false for reserved keys.
+    function rebind(action, slot, code){
+      if (!ACTIONS.includes(action) || RESERVED.includes(code)) return false;
+      for (const a of ACTIONS) bindings[a] = bindings[a].map(c => (c === code ? null : c));
+      bindings[action][slot] = code;
+      keyState.forEach(k => k.clear());
+      saveBindings();
+      return true;
+    }
+
+    function resetBindings(){
+      bindings = cloneBindings(DEFAULT_BINDINGS);
+      keyState.forEach(k => k.clear());
+      saveBindings();
+    }
+
+    // ---------------------------
+    // MODULE 2: Keyboard
+    // ---------------------------
+    // Actions held on the keyboard, per binding slot: primary keys (WASD by default)
+    // and secondary keys (the arrows). Solo, either slot moves you; split, they're P1 and P2.
+    const keyState = [new Set(), new Set()];
+
+    target.addEventListener('keydown', e => {
+      if (capture){
+        const fn = capture; capture = null;
+        fn(e.code);
+        e.preventDefault();
+        e.stopImmediatePropagation(); // the flow must not also act on this key
+        return;
+      }
+      if (!enabled) return;
+      const a = actionFor(e.code);
+      if (a){ keyState[a[1]].add(a[0]); e.preventDefault(); }
+    });
+    target.addEventListener('keyup', e => {
+      const a = actionFor(e.code);
+      if (a){ keyState[a[1]].delete(a[0]); e.preventDefault(); }
+    });
+
+    // ---------------------------
+    // MODULE 3: Gamepad
+    // ---------------------------
+    const padState = new Set();  // d-pad directions
+    let padAxis = { dx: 0, dy: 0 };
+    const padButtonsDown = new Set();
+    let padConnected = false;
+
+    function pollGamepad(){
+      const pads = (typeof navigator !== 'undefined' && navigator.getGamepads) ? navigator.getGamepads() : [];
+      const gp = Array.from(pads || []).find(p => p && p.connected);
+      padState.clear();
+      padConnected = !!gp;
+      if (!gp){ padAxis = { dx: 0, dy: 0 }; padButtonsDown.clear(); return; }
+
+      padAxis = enabled
+        ? applyDeadzone(gp.axes[PAD.AXIS_X] || 0, gp.axes[PAD.AXIS_Y] || 0, PAD.DEADZONE)
+        : { dx: 0, dy: 0 };
+      gp.buttons.forEach((b, i) => {
+        const pressed = b && b.pressed;
+        if (enabled && pressed && PAD.DPAD[i]) padState.add(PAD.DPAD[i]);
+        // menu buttons fire once per press, like a keydown without repeat
+        if (PAD.BUTTONS[i] !== undefined){
+          if (pressed && !padButtonsDown.has(i)){ padButtonsDown.add(i); if (opts.onButton) opts.onButton(PAD.BUTTONS[i]); }
+          else if (!pressed) padButtonsDown.delete(i);
+        }
+      });
+    }
+
+    // ---------------------------
+    // MODULE 4: Touch joystick
+    // ---------------------------
+    // Touch anywhere on the canvas to drop the joystick there; drag to steer.
+    const stick = { active: false, id: null, ox: 0, oy: 0, x: 0, y: 0, dx: 0, dy: 0 };
+
+    // CSS px from the canvas's top-left: the stick's size follows the finger, not the arena scale.
+    function toCanvas(e){
+      const r = canvas.getBoundingClientRect();
+      return { x: e.clientX - r.left, y: e.clientY - r.top };
+    }
+
+    if (canvas){
+      canvas.addEventListener('pointerdown', e => {
+        if (e.pointerType !== 'touch' || stick.active) return;
+        const p = toCanvas(e);
+        Object.assign(stick, { active: true, id: e.pointerId, ox: p.x, oy: p.y, x: p.x, y: p.y, dx: 0, dy: 0 });
+        if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+        e.preventDefault();
+      });
+      canvas.addEventListener('pointermove', e => {
+        if (!stick.active || e.pointerId !== stick.id) return;
+        const p = toCanvas(e);
+        let vx = (p.x - stick.ox) / TOUCH.RADIUS, vy = (p.y - stick.oy) / TOUCH.RADIUS;
+        const m = Math.hypot(vx, vy);
+        if (m > 1){ vx /= m; vy /= m; }
+        stick.x = stick.ox + vx * TOUCH.RADIUS; stick.y = stick.oy + vy * TOUCH.RADIUS;
+        const a = applyDeadzone(vx, vy, TOUCH.DEADZONE);
+        stick.dx = a.dx; stick.dy = a.dy;
+        e.preventDefault();
+      });
+      const release = e => {
+        if (e.pointerId !== stick.id) return;
+        Object.assign(stick, { active: false, id: null, dx: 0, dy: 0 });
+      };
+      canvas.addEventListener('pointerup', release);
+      canvas.addEventListener('pointercancel', release);
+    }
+
+    // ---------------------------
+    // MODULE 5: Input source
+    // ---------------------------
+    // Digital directions from keyboard + d-pad; analog from stick + touch (summed,
+    // clamped to length 1 by the sim's readInput). With `split` on (2-player parties)
+    // this source is P1 — primary keys, gamepad, touch — and `p2` reads the secondary keys.
+    let split = false;
+    function has(action){ return keyState[0].has(action) || (!split && keyState[1].has(action)) || padState.has(action); }
+
+    const p2 = {
+      has: action => split && keyState[1].has(action),
+      axis: () => ({ dx: 0, dy: 0 }),
+    };
+
+    function axis(){
+      if (!enabled) return { dx: 0, dy: 0 };
+      return { dx: quantize(padAxis.dx + stick.dx), dy: quantize(padAxis.dy + stick.dy) };
+    }
+
+    function clear(){
+      keyState.forEach(k => k.clear()); padState.clear();
+      padAxis = { dx: 0, dy: 0 };
+      Object.assign(stick, { active: false, id: null, dx: 0, dy: 0 });
+    }
+
+    return {
+      has, axis, clear,
+      poll: pollGamepad,
+      rebind, resetBindings,
+      captureNext(fn){ capture = fn; },
+      cancelCapture(){ capture = null; },
+      get capturing(){ return capture !== null; },
+      get bindings(){ return cloneBindings(bindings); },
+      get enabled(){ return enabled; },
+      set enabled(v){ enabled = !!v; if (!enabled) clear(); },
+      get gamepadConnected(){ return padConnected; },
+      get split(){ return split; },
+      set split(v){ split = !!v; },
+      p2, stick,
+    };
+  }
+
+  return {
+    ACTIONS, DEFAULT_BINDINGS, BINDINGS_KEY, RESERVED, PAD, TOUCH,
+    applyDeadzone, createInput,
+  };
+});
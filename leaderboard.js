@@ -0,0 +1,183 @@
+// MODULE INDEX (leaderboard.js)
+// Local high-score tables, one top-10 per mode/difficulty/layout/wave script, persisted in localStorage
+// (or any object with getItem/setItem). Boards export/import as JSON and merge.
+// MODULE 1: Format
+// MODULE 2: Ranking + merge helpers
+// MODULE 3: Leaderboard (load/save, submit, top, export/import)
+// MODULE 4: Exports
+//
+// Node:    const CubeLeaderboard = require('./leaderboard.js');
+// Browser: <script src="./leaderboard.js"></script> → window.CubeLeaderboard
+
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.CubeLeaderboard = factory();
+})(this, function(){
+
+  // ---------------------------
+  // MODULE 1: Format
+  // ---------------------------
+  // {
+  //   format: 'cube-leaderboard', v: 1,
+  //   boards: {
+  //     'classic/normal': [ { name, score, time, peakCap, date, seed }, ... ]  // best first, ≤ SIZE
+  //     'classic/normal/pillars': [ ... ]   // any layout but the default 'open' gets its own board
+  //     'classic/normal/open/gauntlet': [ ... ]  // …and so does any wave script but 'endless'
+  //     'timeattack/normal': [ ... ], 'daily-2026-10-19/normal': [ ... ]  // other modes (sim MODES), one board per day
+  //   }
+  // }
+  // time = survival time in seconds (sim.elapsed), date = ISO string.
+  const FORMAT = 'cube-leaderboard';
+  const VERSION = 1;
+  const STORAGE_KEY = 'cubeCollector.leaderboard';
+  const SIZE = 10;
+  const NAME_MAX = 12;
+
+  // Defaults are left out, so boards saved before layouts / wave scripts existed keep their ids.
+  function boardId(mode, difficulty, layout, script){
+    const parts = [mode, difficulty];
+    if (script && script !== 'endless') parts.push(layout || 'open', script);
+    else if (layout && layout !== 'open') parts.push(layout);
+    return parts.join('/');
+  }
+
+  // ---------------------------
+  // MODULE 2: Ranking + merge helpers
+  // ---------------------------
+  // Higher score first; on a tie the longer survival wins; on a full tie the older entry keeps its place.
+  function compare(a, b){
+    return (b.score - a.score) || (b.time - a.time) || (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+  }
+
+  // Same run imported twice (or from two machines that already merged) must not duplicate.
+  function entryKey(e){ return `${e.name}|${e.score}|${e.time}|${e.date}`; }
+
+  function cleanEntry(e){
+    if (!e || typeof e !== 'object') return null;
+    const score = Number(e.score), time = Number(e.time), peakCap = Number(e.peakCap);
+    if (!Number.isFinite(score) || !Number.isFinite(time) || typeof e.date !== 'string') return null;
+    return {
+      name: String(e.name || '???').slice(0, NAME_MAX),
+      score, time: +time.toFixed(3),
+      peakCap: Number.isFinite(peakCap) ? peakCap : 1,
+      date: e.date,
+      seed: Number.isInteger(e.seed) ? e.seed : null,
+    };
+  }
+
+  function mergeInto(list, incoming){
+    const seen = new Set(list.map(entryKey));
+    let added = 0;
+    for (const raw of incoming){
+      const e = cleanEntry(raw);
+      if (!e || seen.has(entryKey(e))) continue;
+      seen.add(entryKey(e));
+      list.push(e);
+      added++;
+    }
+    list.sort(compare);
+    list.length = Math.min(list.length, SIZE);
+    return added;
+  }
+
+  function parse(text){
+    let data;
+    try { data = typeof text === 'string' ? JSON.parse(text) : text; }
+    catch (e){ throw new Error('Scores file is not valid JSON'); }
+    if (!data || data.format !== FORMAT) throw new Error('Not a cube-leaderboard file');
+    if (data.v !== VERSION) throw new Error(`Unsupported leaderboard version ${data.v}`);
+    if (!data.boards || typeof data.boards !== 'object') throw new Error('Scores file has no boards');
+    return data;
+  }
+
+  // ---------------------------
+  // MODULE 3: Leaderboard
+  // ---------------------------
+  // opts.storage  getItem/setItem store (default: localStorage when present, else memory only)
+  // opts.key      storage key (default STORAGE_KEY)
+  function createLeaderboard(opts){
+    opts = opts || {};
+    const storage = opts.storage !== undefined ? opts.storage
+      : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = opts.key || STORAGE_KEY;
+    let boards = {};
+
+    function load(){
+      boards = {};
+      if (!storage) return;
+      try {
+        const raw = storage.getItem(key);
+        if (raw) importJSON(raw, { save: false });
+      } catch (e){
+        boards = {}; // corrupt or unreadable store: start fresh rather than break the game
+      }
+    }
+
+    function save(){
+      if (!storage) return;
+      try { storage.setItem(key, exportJSON()); }
+      catch (e){ /* quota / private mode: keep the in-memory boards */ }
+    }
+
+    function top(id){ return (boards[id] || []).slice(); }
+
+    // Would this run make the board? (cheap pre-check before asking for a name)
+    function qualifies(id, score, time){
+      const list = boards[id] || [];
+      if (list.length < SIZE) return true;
+      return compare({ score, time, date: '￿' }, list[list.length - 1]) < 0;
+    }
+
+    // Returns the 0-based rank of the new entry, or -1 if it didn't make the board.
+    function submit(id, entry){
+      const e = cleanEntry(Object.assign({ date: new Date().toISOString() }, entry));
+      if (!e) throw new Error('Leaderboard entry needs score, time and date');
+      const list = boards[id] || (boards[id] = []);
+      mergeInto(list, [e]);
+      save();
+      return list.findIndex(x => entryKey(x) === entryKey(e));
+    }
+
+    function exportJSON(){
+      return JSON.stringify({ format: FORMAT, v: VERSION, boards });
+    }
+
+    // Merges another export into this one. Returns how many new entries landed on a board.
+    function importJSON(text, importOpts){
+      const data = parse(text);
+      let added = 0;
+      for (const id of Object.keys(data.boards)){
+        if (!Array.isArray(data.boards[id])) continue;
+        const before = new Set((boards[id] || []).map(entryKey));
+        const list = boards[id] || (boards[id] = []);
+        mergeInto(list, data.boards[id]);
+        added += list.filter(e => !before.has(entryKey(e))).length;
+        if (!list.length) delete boards[id];
+      }
+      if (!importOpts || importOpts.save !== false) save();
+      return added;
+    }
+
+    function clear(id){
+      if (id) delete boards[id]; else boards = {};
+      save();
+    }
+
+    load();
+
+    return {
+      top, qualifies, submit, clear,
+      exportJSON, importJSON, reload: load,
+      get boardIds(){ return Object.keys(boards); },
+    };
+  }
+
+  // ---------------------------
+  // MODULE 4: Exports
+  // ---------------------------
+  return {
+    FORMAT, VERSION, SIZE, NAME_MAX, STORAGE_KEY,
+    boardId, compare, parse,
+    createLeaderboard,
+  };
+});
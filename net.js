@@ -0,0 +1,435 @@
+// MODULE INDEX (net.js)
+// Online play, shared by server.js and the browser: the message protocol, snapshot
+// packing, and the client — prediction for your own cube, interpolation between
+// snapshots for everything else, lobby/room state and rejoin after a drop.
+// The server runs the only real sim; clients never step one.
+// MODULE 1: Protocol (messages, timings, remote input source)
+// MODULE 2: Snapshots (server side: sim → start / snap messages, event forwarding)
+// MODULE 3: Prediction (own player movement, mirrors the sim's readInput + moveAndCollide)
+// MODULE 4: Client (connection, lobby / room, rejoin, input, interpolated view)
+// MODULE 5: Exports
+//
+// Node:    const CubeNet = require('./net.js');
+// Browser: <script src="./net.js"></script> after sim.js and replay.js → window.CubeNet
+
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./sim.js'), require('./replay.js'));
+  else root.CubeNet = factory(root.CubeSim, root.CubeReplay);
+})(this, function(CubeSim, CubeReplay){
+
+  const TICK_DT = CubeSim.TICK_DT;
+
+  // ---------------------------
+  // MODULE 1: Protocol
+  // ---------------------------
+  // JSON text frames, one message each; `t` is the type.
+  // client → server
+  //   hello  {v, name, token?}          first message; a token the server still holds rejoins its seat
+  //   create {party, mode, difficulty, layout, script}   open a room (registry ids) and sit in it
+  //   join   {room} · leave {} · start {}           start: host only, once every seat is taken
+  //   input  {seq, mask, ax, ay}        one per client tick during a run (KEY_BITS mask, analog axis)
+  // server → client
+  //   welcome {id, token}               keep the token: it's how you get your seat back
+  //   lobby   {rooms: [room]}           the room list, whenever it changes (only while not in a room)
+  //   room    {room, seat}              your room changed; room null when you're out of it
+  //   start   {...}                     a run began (or you rejoined one), see MODULE 2
+  //   snap    {...}                     every SNAPSHOT_EVERY ticks during a run, see MODULE 2
+  //   end     {replay}                  the run is over; the server's recording of it (replay.js)
+  //   error   {message}
+  // room: {id, name, host, party, mode, difficulty, layout, script, running, seats: [{name, connected} | null]}
+  const PROTOCOL = 1;
+  const DEFAULT_PORT = 8080;
+  const SNAPSHOT_EVERY = 2;      // sim ticks per snapshot (30 per second)
+  const INTERP_TICKS = 6;        // remote entities are drawn this far behind the newest snapshot (100 ms)
+  const REJOIN_SEC = 30;         // how long the server holds a dropped player's seat
+  const RECONNECT_SEC = 1;       // client retry interval while dropped
+  const MAX_PENDING = 120;       // unacknowledged inputs kept for prediction (2 s)
+
+  function encode(msg){ return JSON.stringify(msg); }
+
+  // → message object, or null for anything that isn't one
+  function decode(text){
+    try {
+      const m = JSON.parse(text);
+      return m && typeof m === 'object' && typeof m.t === 'string' ? m : null;
+    } catch (e){ return null; }
+  }
+
+  const isAxis = v => typeof v === 'number' && Number.isFinite(v) && Math.abs(v) <= 1;
+
+  // The server's input source for one seat: has()/axis() over the latest `input`
+  // message. Stale (out-of-order) messages are dropped; `seq` is what snapshots ack.
+  function createRemoteInput(){
+    let mask = 0, ax = 0, ay = 0;
+    return {
+      seq: 0,
+      has: k => (mask & CubeReplay.KEY_BITS[k]) !== 0,
+      axis: () => ({ dx: ax, dy: ay }),
+      set(msg){
+        if (!Number.isInteger(msg.seq) || msg.seq <= this.seq || !Number.isInteger(msg.mask)) return;
+        this.seq = msg.seq;
+        mask = msg.mask;
+        ax = isAxis(msg.ax) ? msg.ax : 0;
+        ay = isAxis(msg.ay) ? msg.ay : 0;
+      },
+      // nothing held, sequence from 0 (a new connection numbers its inputs afresh)
+      reset(){ mask = 0; ax = ay = 0; this.seq = 0; },
+    };
+  }
+
+  // ---------------------------
+  // MODULE 2: Snapshots
+  // ---------------------------
+  // start: everything that doesn't change during a run, sent once (and again on rejoin)
+  //   {tick, seed, arena, obstacles, CFG, party, mode, difficulty, layout, script, seat}
+  // snap: the moving parts, positions rounded to 0.1 arena units
+  //   {tick, ack: [seq per seat], players, targets, pickups, effects, score, elapsed,
+  //    alive, complete, winner, wave, cap, peakCap, breakdown, bestChain, events: [[name, payload], ...]}
+  // A player's `pool` is the index of the first player on the same HP pool.
+  // A target's `juking` is set mid-juke (the client draws a trail behind it).
+  const FORWARD_EVENTS = ['catch', 'hit', 'blink', 'decoy', 'damage', 'wave', 'waveClear', 'waveTimeout',
+                          'capIncrease', 'pickup', 'lowHealth', 'out', 'death', 'complete'];
+  const r1 = v => Math.round(v * 10) / 10;
+  const r2 = v => Math.round(v * 100) / 100;
+
+  function startMessage(sim, tick, seat){
+    return {
+      t: 'start', tick, seat, seed: sim.seed,
+      arena: { width: sim.arena.width, height: sim.arena.height },
+      obstacles: sim.obstacles.map(o => ({ x: o.x, y: o.y, w: o.w, h: o.h })),
+      CFG: Object.assign({}, sim.CFG),
+      party: sim.party, mode: sim.mode, difficulty: sim.difficulty, layout: sim.layout, script: sim.script,
+    };
+  }
+
+  function snapMessage(sim, tick, ack, events){
+    const players = sim.players;
+    const effects = {};
+    for (const k in sim.effects) effects[k] = r2(sim.effects[k]);
+    return {
+      t: 'snap', tick, ack, events,
+      players: players.map(p => ({
+        index: p.index, x: r1(p.x), y: r1(p.y), w: p.w, h: p.h, speed: p.speed,
+        score: p.score, out: p.out, hp: r1(p.pool.hp), pool: players.findIndex(q => q.pool === p.pool),
+        combo: { chain: p.combo.chain, mult: p.combo.mult, time: r2(p.combo.time) },
+      })),
+      targets: sim.targets.map(t => ({ id: t.id, kind: t.kind, x: r1(t.x), y: r1(t.y), w: t.w, h: t.h,
+                                       armor: t.armor, invuln: r2(t.invuln), juking: t._ai ? t._ai.jukeTime > 0 : false })),
+      pickups: sim.pickups.map(p => ({ kind: p.kind, x: r1(p.x), y: r1(p.y), w: p.w, h: p.h, ttl: r2(p.ttl) })),
+      effects,
+      score: sim.score, elapsed: r2(sim.elapsed), alive: sim.alive, complete: sim.complete, winner: sim.winner,
+      wave: sim.wave, cap: sim.targetCap(), peakCap: sim.peakCap,
+      breakdown: sim.breakdown, bestChain: sim.bestChain,
+    };
+  }
+
+  // Event payloads carry live objects (targets); only the plain values travel.
+  function eventPayload(e){
+    const out = {};
+    for (const k in e) if (e[k] === null || typeof e[k] !== 'object') out[k] = e[k];
+    return out;
+  }
+
+  // ---------------------------
+  // MODULE 3: Prediction
+  // ---------------------------
+  // Same as the sim's readInput: digital directions unit length, plus the axis, clamped to 1.
+  function readDirection(mask, ax, ay){
+    const has = k => (mask & CubeReplay.KEY_BITS[k]) !== 0;
+    let dx = 0, dy = 0;
+    if (has('up')) dy -= 1;
+    if (has('down')) dy += 1;
+    if (has('left')) dx -= 1;
+    if (has('right')) dx += 1;
+    if (dx || dy){ const l = Math.hypot(dx, dy) || 1; dx /= l; dy /= l; }
+    dx += ax; dy += ay;
+    const l = Math.hypot(dx, dy);
+    if (l > 1){ dx /= l; dy /= l; }
+    return { dx, dy };
+  }
+
+  // One tick of a player's movement, the way the sim's update() does it: one axis at a
+  // time, flush against obstacles, then clamped into the arena.
+  function predictMove(p, dir, dt, arena, obstacles){
+    const overlaps = o => p.x < o.x + o.w && p.x + p.w > o.x && p.y < o.y + o.h && p.y + p.h > o.y;
+    const dx = dir.dx * p.speed * dt, dy = dir.dy * p.speed * dt;
+    p.x += dx;
+    if (dx) for (const o of obstacles) if (overlaps(o)) p.x = dx > 0 ? o.x - p.w : o.x + o.w;
+    p.y += dy;
+    if (dy) for (const o of obstacles) if (overlaps(o)) p.y = dy > 0 ? o.y - p.h : o.y + o.h;
+    p.x = Math.max(0, Math.min(arena.width  - p.w, p.x));
+    p.y = Math.max(0, Math.min(arena.height - p.h, p.y));
+  }
+
+  // ---------------------------
+  // MODULE 4: Client
+  // ---------------------------
+  //   opts.url           ws:// address of server.js
+  //   opts.connect       url → WebSocket-like object (send, close, onopen/onmessage/onclose);
+  //                      default new WebSocket(url)
+  //   opts.name          shown to the other players
+  //   opts.storage       getItem/setItem (sessionStorage) to keep the rejoin token across reloads
+  //   opts.reconnectSec  retry interval while dropped (default RECONNECT_SEC)
+  // status: 'offline' → 'connecting' → 'lobby' ⇄ 'room' ⇄ 'playing'; a drop goes to
+  // 'reconnecting' and retries for REJOIN_SEC, then gives up ('offline').
+  // Events: status, lobby, room, start, end {replay}, error {message}, plus the sim's own
+  // (catch, wave, death…) as forwarded by the server — so audio.attach(client) works.
+  const TOKEN_KEY = 'cubeCollector.netToken';
+
+  function createClient(opts){
+    opts = opts || {};
+    const connectSocket = opts.connect || (url => new WebSocket(url));
+    const storage = opts.storage || null;
+    const reconnectSec = opts.reconnectSec !== undefined ? opts.reconnectSec : RECONNECT_SEC;
+
+    let ws = null, status = 'offline', closing = false, retry = null, droppedAt = 0;
+    let id = null, token = loadToken();
+    let rooms = [], room = null, seat = -1;
+    let run = null;   // the current (or last) run: start info, snapshots, prediction state
+
+    const listeners = {};
+    function on(name, fn){
+      (listeners[name] || (listeners[name] = [])).push(fn);
+      return () => off(name, fn);
+    }
+    function off(name, fn){
+      const l = listeners[name];
+      if (l){ const i = l.indexOf(fn); if (i >= 0) l.splice(i, 1); }
+    }
+    function emit(name, payload){
+      const l = listeners[name];
+      if (l) for (const fn of l.slice()) fn(payload);
+    }
+
+    function loadToken(){
+      try { return (storage && storage.getItem(TOKEN_KEY)) || null; } catch (e){ return null; }
+    }
+    function saveToken(){
+      try { if (storage) storage.setItem(TOKEN_KEY, token); } catch (e){ /* not fatal */ }
+    }
+
+    function setStatus(s){
+      if (status === s) return;
+      status = s;
+      emit('status', { status });
+    }
+
+    function send(msg){ if (ws && ws.readyState === 1) ws.send(encode(msg)); } // 1: OPEN
+
+    // ---- connection / rejoin
+    function connect(){
+      if (ws) return;
+      clearTimeout(retry); retry = null;
+      closing = false;
+      if (status === 'offline') setStatus('connecting');
+      let sock;
+      try { sock = connectSocket(opts.url); }
+      catch (err){ dropped(); return; }
+      ws = sock;
+      sock.onopen = () => send({ t: 'hello', v: PROTOCOL, name: opts.name || 'Player', token });
+      sock.onmessage = e => { const m = decode(String(e.data)); if (m) onMessage(m); };
+      sock.onclose = () => { if (ws === sock){ ws = null; dropped(); } };
+      sock.onerror = () => {}; // onclose follows
+    }
+
+    function dropped(){
+      if (closing){ setStatus('offline'); return; }
+      const now = Date.now();
+      if (!droppedAt) droppedAt = now;
+      if (now - droppedAt < REJOIN_SEC * 1000){
+        if (status !== 'connecting') setStatus('reconnecting');
+        retry = setTimeout(connect, reconnectSec * 1000);
+      } else {
+        droppedAt = 0; room = null; seat = -1;
+        setStatus('offline');
+      }
+    }
+
+    function close(){
+      closing = true;
+      clearTimeout(retry); retry = null;
+      droppedAt = 0;
+      const sock = ws; ws = null;
+      if (sock) sock.close();
+      room = null; seat = -1; run = null; rooms = [];
+      setStatus('offline');
+    }
+
+    // ---- messages
+    function onMessage(m){
+      switch(m.t){
+        case 'welcome':
+          id = m.id; token = m.token; saveToken();
+          droppedAt = 0;
+          setStatus(room ? 'room' : 'lobby');
+          break;
+        case 'lobby':
+          rooms = Array.isArray(m.rooms) ? m.rooms : [];
+          emit('lobby', { rooms });
+          break;
+        case 'room':
+          room = m.room; seat = room ? m.seat : -1;
+          if (!room){ run = null; setStatus('lobby'); }
+          else if (status !== 'playing' || !room.running) setStatus('room');
+          emit('room', { room, seat });
+          break;
+        case 'start':
+          beginRun(m);
+          setStatus('playing');
+          emit('start', { seat });
+          break;
+        case 'snap':
+          if (run) onSnap(m);
+          break;
+        case 'end':
+          if (run) run.over = true;
+          setStatus(room ? 'room' : 'lobby');
+          emit('end', { replay: m.replay });
+          break;
+        case 'error':
+          emit('error', { message: String(m.message) });
+          break;
+      }
+    }
+
+    function beginRun(m){
+      seat = m.seat;
+      run = {
+        info: m,
+        snaps: [],
+        renderTick: m.tick - INTERP_TICKS,
+        acc: 0, seq: 0,     // the server resets a seat's sequence on every start
+        pending: [],        // sent inputs the server hasn't acknowledged yet: {seq, dx, dy}
+        own: null,          // our player, predicted ahead of the snapshots
+        ownFrom: null,      // …and where it was before the last predicted tick (drawn in between)
+        over: false,
+      };
+    }
+
+    // Newest snapshot in; our own player is rebuilt from it and the inputs the
+    // server hasn't seen yet are replayed on top (reconciliation).
+    function onSnap(m){
+      for (const [name, payload] of m.events || []) emit(name, payload);
+      const snaps = run.snaps;
+      if (snaps.length && m.tick <= snaps[snaps.length - 1].tick) return;
+      snaps.push(m);
+      while (snaps.length > 2 && snaps[1].tick <= run.renderTick) snaps.shift();
+
+      const me = m.players[seat];
+      if (!me) return;
+      const acked = m.ack[seat] || 0;
+      run.pending = run.pending.filter(q => q.seq > acked);
+      run.own = Object.assign({}, me);
+      if (!me.out) for (const q of run.pending) predictMove(run.own, q, TICK_DT, run.info.arena, run.info.obstacles);
+    }
+
+    // ---- lobby / room actions
+    function create(settings){ send(Object.assign({ t: 'create' }, settings)); }
+    function join(roomId){ send({ t: 'join', room: roomId }); }
+    function leave(){ send({ t: 'leave' }); }
+    function start(){ send({ t: 'start' }); }
+
+    // Call once per animation frame during a run. Sends one input per TICK_DT (fixed
+    // step, like the local loop), moves our player on prediction and advances the
+    // interpolation clock, which eases toward INTERP_TICKS behind the newest snapshot.
+    function tick(dt, source){
+      if (!run) return;
+      const snaps = run.snaps;
+      const goal = (snaps.length ? snaps[snaps.length - 1].tick : run.info.tick) - INTERP_TICKS;
+      run.renderTick += dt / TICK_DT;
+      if (Math.abs(goal - run.renderTick) > INTERP_TICKS * 4) run.renderTick = goal;
+      else run.renderTick += (goal - run.renderTick) * 0.05;
+
+      if (status !== 'playing' || run.over) return;
+      run.acc += dt;
+      let steps = 0;
+      while (run.acc >= TICK_DT && steps < 5){
+        run.acc -= TICK_DT; steps++;
+        const mask = CubeReplay.keysToMask(source);
+        const a = source.axis ? source.axis() : null;
+        const ax = a && isAxis(a.dx) ? a.dx : 0, ay = a && isAxis(a.dy) ? a.dy : 0;
+        const q = Object.assign({ seq: ++run.seq }, readDirection(mask, ax, ay));
+        send({ t: 'input', seq: q.seq, mask, ax, ay });
+        run.pending.push(q);
+        if (run.pending.length > MAX_PENDING) run.pending.shift();
+        if (run.own && !run.own.out){
+          run.ownFrom = { x: run.own.x, y: run.own.y };
+          predictMove(run.own, q, TICK_DT, run.info.arena, run.info.obstacles);
+        }
+      }
+      if (steps === 5) run.acc = 0; // stalled tab: drop the backlog
+    }
+
+    // ---- view
+    // A read-only stand-in for a sim with what the renderer needs: entities interpolated
+    // at the render clock (ours predicted), HUD numbers from the newest snapshot.
+    function buildView(){
+      const info = run.info, snaps = run.snaps;
+      if (!snaps.length) return null;
+      const rt = run.renderTick;
+      let a = snaps[0], b = snaps[0];
+      for (let i = snaps.length - 1; i >= 0; i--){
+        if (snaps[i].tick <= rt){ a = snaps[i]; b = snaps[Math.min(i + 1, snaps.length - 1)]; break; }
+      }
+      const f = b.tick > a.tick ? Math.max(0, Math.min(1, (rt - a.tick) / (b.tick - a.tick))) : 1;
+      const lerp = (from, to) => from ? Object.assign({}, to, { x: from.x + (to.x - from.x) * f, y: from.y + (to.y - from.y) * f }) : Object.assign({}, to);
+
+      const prev = new Map(a.targets.map(t => [t.id, t]));
+      const latest = snaps[snaps.length - 1];
+      const players = latest.players.map(p => {
+        if (p.index === seat && run.own){
+          const from = run.ownFrom || run.own, k = Math.min(1, run.acc / TICK_DT);
+          return Object.assign({}, p, { x: from.x + (run.own.x - from.x) * k, y: from.y + (run.own.y - from.y) * k });
+        }
+        const from = a.players[p.index], to = b.players[p.index] || p;
+        return Object.assign(lerp(from, to), { score: p.score, out: p.out, hp: p.hp, pool: p.pool, combo: p.combo });
+      });
+      // pools as the renderer expects them: shared objects, {hp, players}
+      const pools = players.map(() => null);
+      players.forEach((p, i) => {
+        const k = p.pool;
+        pools[k] = pools[k] || { hp: players[k].hp, players: [] };
+        pools[k].players.push(p);
+        p.pool = pools[k];
+      });
+
+      const mode = info.mode || CubeSim.DEFAULT_MODE, limit = CubeSim.MODES[mode].timeLimit;
+      return {
+        arena: info.arena, obstacles: info.obstacles, CFG: info.CFG, seed: info.seed,
+        party: info.party, mode, difficulty: info.difficulty, layout: info.layout, script: info.script,
+        players, player: players[0],
+        targets: b.targets.map(t => lerp(prev.get(t.id), t)),
+        pickups: latest.pickups, effects: latest.effects,
+        score: latest.score, elapsed: latest.elapsed, alive: latest.alive, complete: latest.complete,
+        winner: latest.winner, wave: latest.wave, peakCap: latest.peakCap,
+        timeLeft: limit ? Math.max(0, limit - latest.elapsed) : null,
+        breakdown: latest.breakdown, bestChain: latest.bestChain,
+        hp: players[0].pool.hp,
+        targetCap: () => latest.cap,
+        seat, on, off,
+      };
+    }
+
+    return {
+      connect, close, create, join, leave, start, tick, on, off,
+      get status(){ return status; },
+      get id(){ return id; },
+      get rooms(){ return rooms; },
+      get room(){ return room; },
+      get seat(){ return seat; },
+      get running(){ return status === 'playing' && !!run && !run.over; },
+      get view(){ return run ? buildView() : null; },
+    };
+  }
+
+  // ---------------------------
+  // MODULE 5: Exports
+  // ---------------------------
+  return {
+    PROTOCOL, DEFAULT_PORT, SNAPSHOT_EVERY, INTERP_TICKS, REJOIN_SEC, RECONNECT_SEC, FORWARD_EVENTS,
+    encode, decode, createRemoteInput,
+    startMessage, snapMessage, eventPayload,
+    readDirection, predictMove,
+    createClient,
+  };
+});
@@ -0,0 +1,65 @@
+// MODULE INDEX (plugins/catch-marks.js)
+// Example plugin: leaves a ring on the arena floor wherever a cube was caught (a red
+// cross for a decoy), fading out over MARK.SEC of run time, so you can see where the
+// run's catches happened. Purely visual; listens to events and adds a 'before' render
+// pass, so the marks sit under the obstacles, cubes and HUD. Local runs only: online
+// runs send no ticks to age the marks by.
+// MODULE 1: Style
+// MODULE 2: Marks (events → list, aged by the sim's ticks)
+// MODULE 3: Render pass
+//
+// Load with ?plugins=catch-marks, or <script src="./plugins/catch-marks.js"></script> after game.js.
+
+(function(){
+  // ---------------------------
+  // MODULE 1: Style
+  // ---------------------------
+  const MARK = {
+    SEC: 12,             // run seconds until a mark is gone
+    SIZE: 7,             // half the width of a cross / radius of a ring
+    CATCH: '#60a5fa',
+    DECOY: '#f87171',
+    ALPHA: 0.5,          // at its freshest
+  };
+
+  CubeCollector.register('catch-marks', api => {
+    // ---------------------------
+    // MODULE 2: Marks
+    // ---------------------------
+    const marks = []; // { x, y, decoy, age }
+
+    function mark(e, decoy){
+      if (api.state !== 'online') marks.push({ x: e.x, y: e.y, decoy, age: 0 });
+    }
+
+    api.on('catch', e => mark(e, false));
+    api.on('decoy', e => mark(e, true));
+    api.on('restart', () => { marks.length = 0; });
+    // ticks only come while the run is going, so pausing freezes the fade
+    api.on('tick', e => {
+      for (const m of marks) m.age += e.dt;
+      while (marks.length && marks[0].age >= MARK.SEC) marks.shift();
+    });
+
+    // ---------------------------
+    // MODULE 3: Render pass
+    // ---------------------------
+    api.addRenderPass('before', (ctx, view, info) => {
+      if (!['playing', 'paused', 'gameover', 'entry', 'results'].includes(info.state)) return;
+      ctx.translate(info.shake.x, info.shake.y); // the floor shakes with the world
+      ctx.lineWidth = 2;
+      for (const m of marks){
+        ctx.globalAlpha = MARK.ALPHA * (1 - m.age / MARK.SEC);
+        ctx.strokeStyle = m.decoy ? MARK.DECOY : MARK.CATCH;
+        ctx.beginPath();
+        if (m.decoy){
+          ctx.moveTo(m.x - MARK.SIZE, m.y - MARK.SIZE); ctx.lineTo(m.x + MARK.SIZE, m.y + MARK.SIZE);
+          ctx.moveTo(m.x + MARK.SIZE, m.y - MARK.SIZE); ctx.lineTo(m.x - MARK.SIZE, m.y + MARK.SIZE);
+        } else {
+          ctx.arc(m.x, m.y, MARK.SIZE, 0, Math.PI*2);
+        }
+        ctx.stroke();
+      }
+    });
+  });
+})();
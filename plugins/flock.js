@@ -0,0 +1,57 @@
+// MODULE INDEX (plugins/flock.js)
+// Example plugin: an extra AI layer that makes plain cubes and runners school like fish.
+// Each one steers a little toward the heading of its own kind nearby (alignment) and,
+// while the player is far off, toward their middle (cohesion). Up close the flee and
+// juke layers still win, so a school scatters when you charge it and re-forms after.
+// MODULE 1: Tuning
+// MODULE 2: Layer
+//
+// Load with ?plugins=flock, or <script src="./plugins/flock.js"></script> after game.js.
+// Runs with it aren't ranked (it changes the AI). Neighbours are found by walking every
+// target, which is fine for normal waves but not for ?stress= runs.
+
+(function(){
+  // ---------------------------
+  // MODULE 1: Tuning
+  // ---------------------------
+  const FLOCK = {
+    KINDS: ['cube', 'runner'],
+    RADIUS_SEPS: 3,      // neighbours within this many AI_CFG.SEP_RADIUS
+    ALIGN: 0.35,         // pull toward the neighbours' average heading…
+    COHESION: 0.25,      // …and toward their centre, only when the player is further than ORBIT_DIST
+  };
+
+  // ---------------------------
+  // MODULE 2: Layer
+  // ---------------------------
+  CubeCollector.register('flock', api => {
+    api.addAiLayer({
+      name: 'flock',
+      kinds: FLOCK.KINDS,
+      steer(t, base, info){
+        const { sim } = info;
+        const R = sim.AI_CFG.SEP_RADIUS * FLOCK.RADIUS_SEPS;
+        const cx = t.x + t.w/2, cy = t.y + t.h/2;
+        let n = 0, vx = 0, vy = 0, mx = 0, my = 0;
+        for (const o of sim.targets){
+          if (o === t || o.kind !== t.kind) continue;
+          const ox = o.x + o.w/2, oy = o.y + o.h/2;
+          if (Math.hypot(ox - cx, oy - cy) > R) continue;
+          n++;
+          vx += o.vx; vy += o.vy;
+          mx += ox; my += oy;
+        }
+        if (!n) return base;
+
+        const vl = Math.hypot(vx, vy);
+        if (vl > 0){ base.sx += vx / vl * FLOCK.ALIGN; base.sy += vy / vl * FLOCK.ALIGN; }
+
+        if (base.d > sim.AI_CFG.ORBIT_DIST){
+          const dx = mx / n - cx, dy = my / n - cy, dl = Math.hypot(dx, dy);
+          if (dl > 0){ base.sx += dx / dl * FLOCK.COHESION; base.sy += dy / dl * FLOCK.COHESION; }
+        }
+        return base;
+      },
+    });
+  });
+})();
@@ -0,0 +1,340 @@
+// MODULE INDEX (replay.js)
+// Input recording + deterministic playback. A replay is just the seed and the
+// per-tick input the sim consumed (key bits + analog axis); sim.js does the rest.
+// MODULE 1: Format (key bits, RLE, parse/serialize)
+// MODULE 2: Recorder
+// MODULE 3: Player (step, seek, speed, pause)
+// MODULE 4: Exports
+//
+// Node:    const CubeReplay = require('./replay.js');
+// Browser: <script src="./replay.js"></script> after sim.js → window.CubeReplay
+
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./sim.js'));
+  else root.CubeReplay = factory(root.CubeSim);
+})(this, function(CubeSim){
+
+  // ---------------------------
+  // MODULE 1: Format
+  // ---------------------------
+  // {
+  //   format: 'cube-replay', v: 4,
+  //   seed, dt, width, height,          // everything createSim needs to rebuild the run
+  //                                     // (dt is always CubeSim.TICK_DT; width/height > 0)
+  //   difficulty,                       // DIFFICULTIES id (optional, 'normal' when missing)
+  //   layout,                           // LAYOUTS id or layout object (optional, 'open' when missing)
+  //   script,                           // WAVE_SCRIPTS id or script object (optional, 'endless' when missing)
+  //   party,                            // PARTIES id (optional, 'solo' when missing)
+  //   mode,                             // v4: MODES id (optional, 'classic' when missing)
+  //   ticks,                            // number of recorded sim steps
+  //   input: [[mask, count], ...],      // run-length encoded key bitmasks, one per tick;
+  //                                     // v2 runs may be [mask, count, ax, ay] when the
+  //                                     // analog axis (gamepad/touch) was off-centre
+  //   input2: [[mask, count], ...],     // v3, 2-player parties: P2's input, same encoding
+  //   result: { score, elapsed },       // what the recorded run ended with (for display / checks);
+  //                                     // 2-player runs add scores: [p1, p2]
+  //   config: { CFG, AI_CFG, AI_PROFILE },   // optional: live tuning in effect at the start (sim.tuned)
+  //   tune: [[tick, config], ...]       // optional: tuning changed mid-run; applied before that tick
+  //   resize: [[tick, width, height], ...]   // optional: the arena was resized mid-run (window resize)
+  // }
+  const FORMAT = 'cube-replay';
+  const VERSION = 4;
+  const READS = [1, 2, 3, 4]; // v1 files are v2 files without analog runs; v3 adds party + input2, v4 mode
+  const KEY_BITS = { up: 1, down: 2, left: 4, right: 8, space: 16 };
+  const KEY_NAMES = Object.keys(KEY_BITS);
+  const SPEEDS = [0.5, 1, 2, 4];
+
+  function keysToMask(keys){
+    let m = 0;
+    for (const k of KEY_NAMES) if (keys.has(k)) m |= KEY_BITS[k];
+    return m;
+  }
+
+  function readAxis(source){
+    const a = source.axis ? source.axis() : null;
+    return a ? [a.dx || 0, a.dy || 0] : [0, 0];
+  }
+
+  // Appends one tick of `source` to a run list, extending the last run when nothing changed.
+  function createRuns(runs){
+    let lastMask = -1, lastAx = 0, lastAy = 0;
+    return function push(source){
+      const m = keysToMask(source);
+      const [ax, ay] = readAxis(source);
+      if (m === lastMask && ax === lastAx && ay === lastAy) runs[runs.length - 1][1]++;
+      else {
+        runs.push(ax || ay ? [m, 1, ax, ay] : [m, 1]);
+        lastMask = m; lastAx = ax; lastAy = ay;
+      }
+    };
+  }
+
+  const isConfig = c => !!c && typeof c === 'object' &&
+    Object.keys(c).every(g => c[g] && typeof c[g] === 'object');
+  // Values go through a scratch sim's configure(), so a file the player could
+  // never have recorded (size 0, NaN, below CONFIG_MIN) is refused at import
+  // instead of throwing mid-playback.
+  let scratch = null;
+  function configOk(c){
+    if (!isConfig(c)) return false;
+    scratch = scratch || CubeSim.createSim({ seed: 0 });
+    try { scratch.resetConfig(); scratch.configure(c); return true; }
+    catch (e){ return false; }
+  }
+  const isAxis = v => typeof v === 'number' && Number.isFinite(v) && Math.abs(v) <= 1;
+  const isSize = v => Number.isFinite(v) && v > 0;
+
+  function parse(text){
+    let data;
+    try { data = typeof text === 'string' ? JSON.parse(text) : text; }
+    catch (e){ throw new Error('Replay is not valid JSON'); }
+    if (!data || data.format !== FORMAT) throw new Error('Not a cube-replay file');
+    if (!READS.includes(data.v)) throw new Error(`Unsupported replay version ${data.v}`);
+    if (!Number.isInteger(data.seed) || !Array.isArray(data.input)) throw new Error('Replay is missing seed or input');
+    if (data.dt !== CubeSim.TICK_DT) throw new Error('Replay tick length does not match this version of the game');
+    if (!isSize(data.width) || !isSize(data.height)) throw new Error('Replay is missing its arena size');
+    if (data.difficulty !== undefined && !CubeSim.DIFFICULTIES[data.difficulty]){
+      throw new Error(`Replay uses unknown difficulty "${data.difficulty}"`);
+    }
+    if (typeof data.layout === 'string' && !CubeSim.LAYOUTS[data.layout]){
+      throw new Error(`Replay uses unknown layout "${data.layout}"`);
+    }
+    if (data.layout !== undefined && typeof data.layout !== 'string' &&
+        !(data.layout && Array.isArray(data.layout.obstacles))){
+      throw new Error('Replay layout is corrupt');
+    }
+    if (typeof data.script === 'string' && !CubeSim.WAVE_SCRIPTS[data.script]){
+      throw new Error(`Replay uses unknown wave script "${data.script}"`);
+    }
+    if (data.script !== undefined && typeof data.script !== 'string' &&
+        !(data.script && Array.isArray(data.script.waves))){
+      throw new Error('Replay wave script is corrupt');
+    }
+    if (data.party !== undefined && !CubeSim.PARTIES[data.party]){
+      throw new Error(`Replay uses unknown party "${data.party}"`);
+    }
+    if (data.mode !== undefined && !CubeSim.MODES[data.mode]){
+      throw new Error(`Replay uses unknown mode "${data.mode}"`);
+    }
+    const streams = [data.input];
+    if (data.party && CubeSim.PARTIES[data.party].players > 1){
+      if (!Array.isArray(data.input2)) throw new Error('2-player replay is missing P2 input');
+      streams.push(data.input2);
+    }
+    for (const stream of streams){
+      let ticks = 0;
+      for (const run of stream){
+        if (!Array.isArray(run) || !Number.isInteger(run[0]) || !Number.isInteger(run[1]) || run[1] <= 0){
+          throw new Error('Replay input stream is corrupt');
+        }
+        if (run.length > 2 && (data.v < 2 || !isAxis(run[2]) || !isAxis(run[3]))){
+          throw new Error('Replay analog input is corrupt');
+        }
+        ticks += run[1];
+      }
+      if (ticks !== data.ticks) throw new Error('Replay tick count does not match its input stream');
+    }
+    if (data.config !== undefined && !configOk(data.config)) throw new Error('Replay config is corrupt');
+    if (data.tune !== undefined && (!Array.isArray(data.tune) ||
+        !data.tune.every(e => Array.isArray(e) && Number.isInteger(e[0]) && configOk(e[1])))){
+      throw new Error('Replay tuning log is corrupt');
+    }
+    if (data.resize !== undefined && (!Array.isArray(data.resize) ||
+        !data.resize.every(e => Array.isArray(e) && Number.isInteger(e[0]) && isSize(e[1]) && isSize(e[2])))){
+      throw new Error('Replay resize log is corrupt');
+    }
+    return data;
+  }
+
+  function serialize(replay){
+    return JSON.stringify(replay);
+  }
+
+  // ---------------------------
+  // MODULE 2: Recorder
+  // ---------------------------
+  // begin(sim) right after sim.restart(); capture(source, source2) once before every
+  // sim.update(dt) with the same input sources the sim reads (has() + optional axis();
+  // source2 only matters in 2-player parties); finish(sim) when the run ends. Axis values
+  // are stored as-is, so the source should already be quantized (input.js rounds to
+  // 1/100) or every tick becomes its own run.
+  function createRecorder(){
+    let rec = null;
+    let push = null, push2 = null;
+    let offConfigure = null, offResize = null;
+
+    function begin(sim){
+      rec = {
+        format: FORMAT, v: VERSION,
+        seed: sim.seed, dt: CubeSim.TICK_DT, difficulty: sim.difficulty, layout: sim.layout,
+        script: sim.script, party: sim.party, mode: sim.mode,
+        width: sim.arena.width, height: sim.arena.height,
+        ticks: 0, input: [], result: null,
+      };
+      push = createRuns(rec.input);
+      push2 = null;
+      if (sim.players.length > 1){ rec.input2 = []; push2 = createRuns(rec.input2); }
+      if (sim.isTuned) rec.config = sim.tuned;
+      // live tuning mid-run: keep the latest snapshot per tick (a dragged slider fires a lot)
+      if (offConfigure) offConfigure();
+      const tune = [];
+      offConfigure = sim.on('configure', e => {
+        if (!rec) return;
+        const last = tune[tune.length - 1];
+        if (last && last[0] === rec.ticks) last[1] = e.tuned;
+        else tune.push([rec.ticks, e.tuned]);
+        rec.tune = tune;
+      });
+      // every resize is kept, even several per tick: positions rescale step by step
+      if (offResize) offResize();
+      offResize = sim.on('resize', e => {
+        if (rec) (rec.resize || (rec.resize = [])).push([rec.ticks, e.width, e.height]);
+      });
+    }
+
+    function capture(source, source2){
+      if (!rec) return;
+      push(source);
+      if (push2) push2(source2 || new Set());
+      rec.ticks++;
+    }
+
+    function finish(sim){
+      if (!rec) return null;
+      rec.result = { score: sim.score, elapsed: +sim.elapsed.toFixed(3) };
+      if (sim.players.length > 1) rec.result.scores = sim.players.map(p => p.score);
+      if (offConfigure){ offConfigure(); offConfigure = null; }
+      if (offResize){ offResize(); offResize = null; }
+      const out = rec; rec = null;
+      return out;
+    }
+
+    return { begin, capture, finish, get recording(){ return rec !== null; } };
+  }
+
+  // ---------------------------
+  // MODULE 3: Player
+  // ---------------------------
+  // One recorded input stream as a sim input source; set(tick) loads that tick (-1: nothing held).
+  // The RLE is flattened once; Uint8Array keeps long runs small. Axes stay Float64 so
+  // the sim sees exactly the doubles it saw while recording.
+  function createTrack(runs, ticks){
+    const masks = new Uint8Array(ticks);
+    const axes = runs.some(r => r.length > 2) ? new Float64Array(ticks * 2) : null;
+    let p = 0;
+    for (const [m, n, ax, ay] of runs){
+      masks.fill(m, p, p + n);
+      if (axes && (ax || ay)) for (let i = p; i < p + n; i++){ axes[i*2] = ax; axes[i*2 + 1] = ay; }
+      p += n;
+    }
+
+    let mask = 0, ax = 0, ay = 0;
+    return {
+      source: {
+        has: k => (mask & KEY_BITS[k]) !== 0,
+        axis: () => ({ dx: ax, dy: ay }),
+      },
+      set(tick){
+        if (tick < 0){ mask = 0; ax = ay = 0; return; }
+        mask = masks[tick];
+        if (axes){ ax = axes[tick*2]; ay = axes[tick*2 + 1]; }
+      },
+    };
+  }
+
+  // Rebuilds the run in its own sim and feeds it the recorded input. Seeking
+  // backwards restarts from the seed and fast-forwards — cheap, and exact.
+  function createPlayer(replay, opts){
+    replay = parse(replay);
+    opts = opts || {};
+
+    const track = createTrack(replay.input, replay.ticks);
+    const track2 = replay.input2 ? createTrack(replay.input2, replay.ticks) : null;
+    const sim = CubeSim.createSim(Object.assign({}, opts, {
+      width: replay.width, height: replay.height, seed: replay.seed,
+      input: track.source, input2: track2 ? track2.source : undefined,
+      difficulty: replay.difficulty || CubeSim.DEFAULT_DIFFICULTY,
+      layout: replay.layout || CubeSim.DEFAULT_LAYOUT,
+      script: replay.script || CubeSim.DEFAULT_SCRIPT,
+      party: replay.party || CubeSim.DEFAULT_PARTY,
+      mode: replay.mode || CubeSim.DEFAULT_MODE,
+    }));
+
+    let tick = 0;
+    let acc = 0;
+    let speed = 1;
+    let paused = false;
+
+    const tune = replay.tune || [];
+    let tuneAt = 0;
+    const resize = replay.resize || [];
+    let resizeAt = 0;
+
+    function applyTuning(config){
+      sim.resetConfig();
+      if (config) sim.configure(config);
+    }
+
+    function reset(){
+      applyTuning(replay.config);
+      sim.resize(replay.width, replay.height);
+      sim.restart(replay.seed);
+      tick = 0; acc = 0; tuneAt = 0; resizeAt = 0;
+      track.set(-1);
+      if (track2) track2.set(-1);
+    }
+
+    function step(){
+      if (tick >= replay.ticks) return false;
+      while (tuneAt < tune.length && tune[tuneAt][0] <= tick) applyTuning(tune[tuneAt++][1]);
+      while (resizeAt < resize.length && resize[resizeAt][0] <= tick){ sim.resize(resize[resizeAt][1], resize[resizeAt][2]); resizeAt++; }
+      track.set(tick);
+      if (track2) track2.set(tick);
+      sim.update(replay.dt);
+      tick++;
+      return true;
+    }
+
+    function seek(toTick){
+      toTick = Math.max(0, Math.min(replay.ticks, toTick|0));
+      if (toTick < tick) reset();
+      while (tick < toTick) step();
+      acc = 0;
+    }
+
+    // Wall-clock driver for the shell: call once per animation frame.
+    function advance(realDt, maxSteps){
+      if (paused || tick >= replay.ticks) return 0;
+      acc += realDt * speed;
+      let n = 0;
+      const cap = maxSteps || 32;
+      while (acc >= replay.dt && n < cap && step()){ acc -= replay.dt; n++; }
+      if (n === cap) acc = 0;
+      return n;
+    }
+
+    reset();
+
+    return {
+      sim, replay,
+      step, seek, advance, reset,
+      get tick(){ return tick; },
+      get done(){ return tick >= replay.ticks; },
+      get speed(){ return speed; },
+      set speed(v){ if (SPEEDS.includes(v)) speed = v; },
+      get paused(){ return paused; },
+      set paused(v){ paused = !!v; },
+      // how far the wall clock is into the next tick (0..1), for drawing between ticks
+      get alpha(){ return tick >= replay.ticks ? 1 : Math.min(1, acc / replay.dt); },
+    };
+  }
+
+  // ---------------------------
+  // MODULE 4: Exports
+  // ---------------------------
+  return {
+    FORMAT, VERSION, KEY_BITS, SPEEDS,
+    keysToMask, parse, serialize,
+    createRecorder, createPlayer,
+  };
+});
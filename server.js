@@ -0,0 +1,536 @@
+// MODULE INDEX (server.js)
+// Online play: serves the game over HTTP and runs the authoritative sims over WebSocket.
+// One sim per room, stepped at TICK_DT on the server; clients only send input and draw
+// the snapshots they get back (net.js). Every run is recorded, and the replay is sent
+// to the room when it ends. No dependencies: the WebSocket framing is done here
+// (RFC 6455, text frames only — all the protocol needs).
+// MODULE 1: Config
+// MODULE 2: WebSocket (handshake, framing, a small client for scripted players)
+// MODULE 3: Static files
+// MODULE 4: Rooms (seats, host, start / end, fixed-step loop, snapshots)
+// MODULE 5: Sessions + lobby (hello / rejoin, messages, drops)
+// MODULE 6: Smoke test (server + two scripted clients)
+// MODULE 7: Boot
+//
+//   node server.js [--port 8080]   then open http://localhost:8080 (O on the title for the lobby)
+//   node server.js --smoke         exits 0 when a full two-client session checks out
+
+'use strict';
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const CubeSim = require('./sim.js');
+const CubeReplay = require('./replay.js');
+const CubeNet = require('./net.js');
+
+// ---------------------------
+// MODULE 1: Config
+// ---------------------------
+const ROOT = __dirname;
+const MAX_STEPS = 5;            // per loop pass; a longer stall drops the backlog (like the browser loop)
+const LOOP_MS = 8;              // how often the loop checks the clock (steps are still TICK_DT)
+const MAX_FRAME = 64 * 1024;    // largest message a client may send
+const NAME_MAX = 16;
+const ROOMS_MAX = 50;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// ---------------------------
+// MODULE 2: WebSocket
+// ---------------------------
+// The same object on both ends, shaped like a browser WebSocket: send(text), close(),
+// readyState, and onopen / onmessage({data}) / onclose handlers. terminate() drops the
+// connection without a goodbye (what a pulled cable looks like). `masked` is for the
+// client side, which must mask every frame it sends.
+function createSocket(masked){
+  let sock = null, buf = Buffer.alloc(0), parts = [];
+  const ws = {
+    readyState: 0,
+    onopen: null, onmessage: null, onclose: null, onerror: null,
+    send(text){ if (ws.readyState === 1) sock.write(encodeFrame(0x1, Buffer.from(text), masked)); },
+    close(){
+      if (ws.readyState !== 1) return;
+      ws.readyState = 2;
+      sock.end(encodeFrame(0x8, Buffer.alloc(0), masked));
+    },
+    terminate(){ if (sock) sock.destroy(); },
+    attach(s, head){
+      sock = s;
+      ws.readyState = 1;
+      sock.setNoDelay(true);
+      sock.on('data', chunk => { buf = Buffer.concat([buf, chunk]); pump(); });
+      sock.on('error', () => {}); // 'close' follows
+      sock.on('close', () => {
+        ws.readyState = 3;
+        if (ws.onclose) ws.onclose({});
+      });
+      if (head && head.length){ buf = Buffer.from(head); pump(); }
+    },
+  };
+
+  function pump(){
+    let f;
+    while (ws.readyState === 1 && (f = readFrame())){
+      if (f.op === 0x1 || f.op === 0x0){
+        parts.push(f.data);
+        if (!f.fin) continue;
+        const text = Buffer.concat(parts).toString('utf8');
+        parts = [];
+        if (ws.onmessage) ws.onmessage({ data: text });
+      } else if (f.op === 0x8){
+        ws.readyState = 2;
+        sock.end(encodeFrame(0x8, Buffer.alloc(0), masked));
+      } else if (f.op === 0x9){
+        sock.write(encodeFrame(0xA, f.data, masked));
+      }
+    }
+  }
+
+  // → {fin, op, data} once a whole frame is buffered, else null
+  function readFrame(){
+    if (buf.length < 2) return null;
+    const fin = (buf[0] & 0x80) !== 0, op = buf[0] & 0x0f, isMasked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7f, off = 2;
+    if (len === 126){ if (buf.length < 4) return null; len = buf.readUInt16BE(2); off = 4; }
+    else if (len === 127){ if (buf.length < 10) return null; len = Number(buf.readBigUInt64BE(2)); off = 10; }
+    if (len > MAX_FRAME){ sock.destroy(); return null; }
+    const maskAt = off;
+    if (isMasked) off += 4;
+    if (buf.length < off + len) return null;
+    const data = Buffer.from(buf.subarray(off, off + len));
+    if (isMasked) for (let i = 0; i < data.length; i++) data[i] ^= buf[maskAt + (i & 3)];
+    buf = buf.subarray(off + len);
+    return { fin, op, data };
+  }
+
+  return ws;
+}
+
+function encodeFrame(op, payload, masked){
+  const len = payload.length;
+  const ext = len < 126 ? 0 : len < 65536 ? 2 : 8;
+  const head = Buffer.alloc(2 + ext + (masked ? 4 : 0));
+  head[0] = 0x80 | op;
+  head[1] = (masked ? 0x80 : 0) | (ext === 0 ? len : ext === 2 ? 126 : 127);
+  if (ext === 2) head.writeUInt16BE(len, 2);
+  else if (ext === 8) head.writeBigUInt64BE(BigInt(len), 2);
+  if (!masked) return Buffer.concat([head, payload]);
+  const key = crypto.randomBytes(4);
+  key.copy(head, 2 + ext);
+  const body = Buffer.from(payload);
+  for (let i = 0; i < body.length; i++) body[i] ^= key[i & 3];
+  return Buffer.concat([head, body]);
+}
+
+const acceptKey = key => crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+
+// Server side of the upgrade; → socket, or null after refusing the request.
+function acceptUpgrade(req, sock, head){
+  const key = req.headers['sec-websocket-key'];
+  if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key){
+    sock.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  sock.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+             `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`);
+  const ws = createSocket(false);
+  ws.attach(sock, head);
+  return ws;
+}
+
+// Client side, for scripted players (the browser has its own WebSocket). Returns at
+// once, like `new WebSocket(url)`; onopen fires after the handshake.
+function connect(url){
+  const u = new URL(url);
+  const key = crypto.randomBytes(16).toString('base64');
+  const ws = createSocket(true);
+  const req = http.request({
+    host: u.hostname, port: u.port, path: u.pathname + u.search,
+    headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': key },
+  });
+  const fail = () => { ws.readyState = 3; if (ws.onclose) ws.onclose({}); };
+  req.on('upgrade', (res, sock, head) => {
+    if (res.headers['sec-websocket-accept'] !== acceptKey(key)){ sock.destroy(); fail(); return; }
+    ws.attach(sock, head);
+    if (ws.onopen) ws.onopen({});
+  });
+  req.on('response', res => { res.resume(); fail(); });
+  req.on('error', fail);
+  req.end();
+  return ws;
+}
+
+// ---------------------------
+// MODULE 3: Static files
+// ---------------------------
+// Just enough to serve the game itself from this directory.
+const TYPES = {
+  '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json', '.css': 'text/css',
+};
+
+function serveStatic(req, res){
+  let file = null;
+  try {
+    const p = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    file = path.join(ROOT, path.normalize(p === '/' ? '/index.html' : p));
+  } catch (e){ /* bad escape: 404 below */ }
+  if (req.method !== 'GET' || !file || !file.startsWith(ROOT + path.sep) || !TYPES[path.extname(file)]){
+    res.writeHead(404); res.end('Not found');
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err){ res.writeHead(404); res.end('Not found'); return; }
+    res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)], 'Cache-Control': 'no-cache' });
+    res.end(data);
+  });
+}
+
+// ---------------------------
+// MODULE 4: Rooms + MODULE 5: Sessions
+// ---------------------------
+//   opts.configure   live tuning applied to every room's sim (as sim.configure; it lands
+//                    in the replays, like tuning in the browser)
+function createServer(opts){
+  opts = opts || {};
+  const rooms = new Map();     // id → room
+  const sessions = new Map();  // token → session: {id, token, name, ws, room, seat, dropTimer}
+  let roomIds = 0, sessionIds = 0;
+
+  const httpServer = http.createServer(serveStatic);
+  httpServer.on('upgrade', (req, sock, head) => {
+    const ws = acceptUpgrade(req, sock, head);
+    if (ws) onConnection(ws);
+  });
+
+  const pick = (registry, id, fallback) => (typeof id === 'string' && registry[id] ? id : fallback);
+
+  function roomInfo(room){
+    return {
+      id: room.id, name: room.name, host: room.host, running: room.running,
+      party: room.party, mode: room.mode, difficulty: room.difficulty, layout: room.layout, script: room.script,
+      seats: room.seats.map(s => (s ? { name: s.name, connected: !!s.ws } : null)),
+    };
+  }
+
+  function send(session, msg){ if (session.ws) session.ws.send(CubeNet.encode(msg)); }
+  function sendRoom(room, msg){ for (const s of room.seats) if (s) send(s, msg); }
+  function syncRoom(room){ for (const s of room.seats) if (s) send(s, { t: 'room', room: roomInfo(room), seat: s.seat }); }
+
+  function broadcastLobby(){
+    const msg = { t: 'lobby', rooms: [...rooms.values()].map(roomInfo) };
+    for (const s of sessions.values()) if (!s.room) send(s, msg);
+  }
+
+  // ---- MODULE 4: Rooms
+  // Ids only (no custom layout/script objects): the settings travel in the room list.
+  function createRoom(host, settings){
+    const party = pick(CubeSim.PARTIES, settings.party, 'coop');
+    const room = {
+      id: `r${++roomIds}`, name: `${host.name}'s room`,
+      party,
+      mode: pick(CubeSim.MODES, settings.mode, CubeSim.DEFAULT_MODE),
+      difficulty: pick(CubeSim.DIFFICULTIES, settings.difficulty, CubeSim.DEFAULT_DIFFICULTY),
+      layout: pick(CubeSim.LAYOUTS, settings.layout, CubeSim.DEFAULT_LAYOUT),
+      script: pick(CubeSim.WAVE_SCRIPTS, settings.script, CubeSim.DEFAULT_SCRIPT),
+      seats: new Array(CubeSim.PARTIES[party].players).fill(null),
+      host: 0, running: false, tick: 0, events: [],
+      inputs: [CubeNet.createRemoteInput(), CubeNet.createRemoteInput()],
+      recorder: CubeReplay.createRecorder(),
+    };
+    room.sim = CubeSim.createSim({
+      party: room.party, mode: room.mode, difficulty: room.difficulty, layout: room.layout, script: room.script,
+      input: room.inputs[0], input2: room.inputs[1],
+    });
+    if (opts.configure) room.sim.configure(opts.configure);
+    for (const name of CubeNet.FORWARD_EVENTS){
+      room.sim.on(name, e => { if (room.running) room.events.push([name, CubeNet.eventPayload(e)]); });
+    }
+    rooms.set(room.id, room);
+    return room;
+  }
+
+  function sit(session, room, seat){
+    room.seats[seat] = session;
+    session.room = room; session.seat = seat;
+    room.inputs[seat].reset();
+    syncRoom(room);
+    if (room.running) send(session, CubeNet.startMessage(room.sim, room.tick, seat));
+  }
+
+  function stand(session){
+    const room = session.room;
+    if (!room) return;
+    room.seats[session.seat] = null;
+    room.inputs[session.seat].reset();
+    session.room = null; session.seat = -1;
+    send(session, { t: 'room', room: null, seat: -1 });
+    if (room.seats.every(s => !s)){ rooms.delete(room.id); }
+    else {
+      if (!room.seats[room.host]) room.host = room.seats.findIndex(s => s);
+      syncRoom(room);
+    }
+    broadcastLobby();
+  }
+
+  // A daily room plays the day's challenge as of the moment it starts.
+  function startRun(room){
+    if (CubeSim.MODES[room.mode].daily){
+      const d = CubeSim.dailyChallenge();
+      room.sim.setDifficulty(d.difficulty); room.sim.setScript(d.script); room.sim.setLayout(d.layout);
+      room.sim.restart(d.seed);
+    } else room.sim.restart();
+    room.recorder.begin(room.sim);
+    room.tick = 0;
+    room.events = [];
+    room.running = true;
+    room.inputs.forEach(i => i.reset());
+    for (const s of room.seats) if (s) send(s, CubeNet.startMessage(room.sim, room.tick, s.seat));
+    syncRoom(room);
+    broadcastLobby();
+  }
+
+  function snapshot(room){
+    const ack = room.seats.map((s, i) => room.inputs[i].seq);
+    sendRoom(room, CubeNet.snapMessage(room.sim, room.tick, ack, room.events));
+    room.events = [];
+  }
+
+  function stepRoom(room){
+    room.recorder.capture(room.inputs[0], room.inputs[1]);
+    room.sim.update(CubeSim.TICK_DT);
+    room.tick++;
+    if (!room.sim.alive){
+      snapshot(room); // the final state, so everyone sees how it ended
+      room.running = false;
+      sendRoom(room, { t: 'end', replay: room.recorder.finish(room.sim) });
+      syncRoom(room);
+      broadcastLobby();
+    } else if (room.tick % CubeNet.SNAPSHOT_EVERY === 0){
+      snapshot(room);
+    }
+  }
+
+  // One clock for every room; fixed TICK_DT steps, like the browser loop.
+  let last = performance.now(), acc = 0;
+  const loop = setInterval(() => {
+    const now = performance.now();
+    acc += Math.min(0.25, (now - last) / 1000); last = now;
+    let steps = 0;
+    while (acc >= CubeSim.TICK_DT && steps < MAX_STEPS){
+      for (const room of rooms.values()) if (room.running) stepRoom(room);
+      acc -= CubeSim.TICK_DT;
+      steps++;
+    }
+    if (steps === MAX_STEPS) acc = 0;
+  }, LOOP_MS);
+
+  // ---- MODULE 5: Sessions + lobby
+  function onConnection(ws){
+    let session = null;
+    ws.onmessage = e => {
+      const m = CubeNet.decode(e.data);
+      if (!m) return;
+      if (!session){
+        if (m.t !== 'hello') return;
+        if (m.v !== CubeNet.PROTOCOL){ ws.send(CubeNet.encode({ t: 'error', message: 'Server runs a different version; reload the page' })); ws.close(); return; }
+        session = hello(ws, m);
+        return;
+      }
+      onMessage(session, m);
+    };
+    ws.onclose = () => { if (session && session.ws === ws) drop(session); };
+  }
+
+  // A known token takes its session back (seat included) from wherever it was,
+  // even from a connection that hasn't noticed it's dead yet.
+  function hello(ws, m){
+    const name = String(m.name || 'Player').trim().slice(0, NAME_MAX) || 'Player';
+    let session = typeof m.token === 'string' ? sessions.get(m.token) : null;
+    if (session){
+      clearTimeout(session.dropTimer); session.dropTimer = null;
+      const old = session.ws;
+      session.ws = ws;
+      if (old) old.terminate();
+    } else {
+      session = { id: ++sessionIds, token: crypto.randomBytes(12).toString('hex'), name, ws, room: null, seat: -1, dropTimer: null };
+      sessions.set(session.token, session);
+    }
+    send(session, { t: 'welcome', id: session.id, token: session.token });
+    if (session.room) sit(session, session.room, session.seat);
+    else send(session, { t: 'lobby', rooms: [...rooms.values()].map(roomInfo) });
+    return session;
+  }
+
+  // The seat is held (idle) for REJOIN_SEC; after that the player is gone.
+  function drop(session){
+    session.ws = null;
+    if (!session.room){ sessions.delete(session.token); return; }
+    session.room.inputs[session.seat].reset();
+    syncRoom(session.room);
+    broadcastLobby();
+    session.dropTimer = setTimeout(() => { stand(session); sessions.delete(session.token); }, CubeNet.REJOIN_SEC * 1000);
+  }
+
+  function onMessage(session, m){
+    const room = session.room;
+    const error = message => send(session, { t: 'error', message });
+    switch(m.t){
+      case 'input':
+        if (room && room.running) room.inputs[session.seat].set(m);
+        break;
+      case 'create':
+        if (room) return error('Leave your room first');
+        if (rooms.size >= ROOMS_MAX) return error('Too many rooms open');
+        sit(session, createRoom(session, m), 0);
+        broadcastLobby();
+        break;
+      case 'join': {
+        const target = rooms.get(m.room);
+        if (room) return error('Leave your room first');
+        if (!target) return error('That room is gone');
+        const seat = target.seats.indexOf(null);
+        if (seat < 0) return error('That room is full');
+        sit(session, target, seat);
+        broadcastLobby();
+        break;
+      }
+      case 'leave':
+        stand(session);
+        break;
+      case 'start':
+        if (!room || room.running) return;
+        if (room.host !== session.seat) return error('Only the host can start');
+        if (room.seats.some(s => !s || !s.ws)) return error('Waiting for every seat to be taken');
+        startRun(room);
+        break;
+    }
+  }
+
+  return {
+    rooms, sessions,
+    // → Promise of the port actually bound (pass 0 for any free one)
+    listen(port, host){
+      return new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, () => resolve(httpServer.address().port));
+      });
+    },
+    close(){
+      clearInterval(loop);
+      for (const s of sessions.values()){ clearTimeout(s.dropTimer); if (s.ws) s.ws.terminate(); }
+      return new Promise(resolve => httpServer.close(() => resolve()));
+    },
+  };
+}
+
+// ---------------------------
+// MODULE 6: Smoke test
+// ---------------------------
+// A real server on a free port and two scripted clients (net.js, over the socket in
+// MODULE 2): lobby → create / join → start → play with prediction → one client drops
+// and rejoins its seat → the run ends → the server's replay reproduces it exactly.
+// Health drains fast (live tuning) so a run is over in a few seconds.
+async function smoke(){
+  const server = createServer({ configure: { CFG: { HEALTH_DECAY_PER_SEC: 20 } } });
+  const port = await server.listen(0, '127.0.0.1');
+  const url = `ws://127.0.0.1:${port}`;
+  let failed = 0;
+  const check = (ok, what) => { console.log(`${ok ? 'ok' : 'not ok'} - ${what}`); if (!ok) failed++; };
+  const waitFor = (cond, what, ms) => new Promise((resolve, reject) => {
+    const until = Date.now() + (ms || 5000);
+    const poll = setInterval(() => {
+      if (cond()){ clearInterval(poll); resolve(); }
+      else if (Date.now() > until){ clearInterval(poll); reject(new Error(`timed out: ${what}`)); }
+    }, 10);
+  });
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // scripted player: a key set the script changes, a socket we can pull, what it heard
+  function scripted(name){
+    const bot = { keys: new Set(), socket: null, starts: 0, replay: null, errors: [] };
+    bot.client = CubeNet.createClient({ url, name, reconnectSec: 0.2, connect: u => (bot.socket = connect(u)) });
+    bot.client.on('start', () => bot.starts++);
+    bot.client.on('end', e => { bot.replay = e.replay; });
+    bot.client.on('error', e => bot.errors.push(e.message));
+    return bot;
+  }
+  const a = scripted('Alice'), b = scripted('Bob');
+  let t = performance.now();
+  const drive = setInterval(() => {
+    const now = performance.now(), dt = (now - t) / 1000; t = now;
+    a.client.tick(dt, a.keys); b.client.tick(dt, b.keys);
+  }, 16);
+
+  try {
+    a.client.connect(); b.client.connect();
+    await waitFor(() => a.client.status === 'lobby' && b.client.status === 'lobby', 'both in the lobby');
+    check(true, 'both clients reach the lobby');
+
+    a.client.create({ party: 'coop' });
+    await waitFor(() => b.client.rooms.length === 1, 'room shows up in the lobby');
+    check(b.client.rooms[0].seats.filter(Boolean).length === 1, 'lobby lists the new room with its host seated');
+    b.client.join(b.client.rooms[0].id);
+    await waitFor(() => a.client.room && a.client.room.seats.every(s => s && s.connected), 'both seated');
+    check(a.client.seat === 0 && b.client.seat === 1, 'host takes P1, the joiner P2');
+
+    b.client.start();
+    await sleep(100);
+    check(b.errors.includes('Only the host can start'), 'only the host can start');
+    a.client.start();
+    await waitFor(() => a.client.running && b.client.running && a.client.view && b.client.view, 'run started');
+    const start = Object.assign({}, a.client.view.players[0]);
+
+    a.keys.add('right'); a.keys.add('down');
+    b.keys.add('left');
+    await sleep(600);
+    a.keys.clear(); b.keys.clear();
+    await sleep(400); // let the server catch up with every input
+    const ownA = a.client.view.players[0], remoteA = b.client.view.players[0];
+    check(Math.hypot(ownA.x - start.x, ownA.y - start.y) > 50, 'P1 moved on the server');
+    check(Math.hypot(ownA.x - remoteA.x, ownA.y - remoteA.y) < 1, 'prediction (P1) and interpolation (P2\'s screen) agree at rest');
+    check(b.client.view.targets.length > 0 && b.client.view.targets.every(x => Number.isInteger(x.id)), 'targets arrive with ids');
+
+    b.socket.terminate();
+    await waitFor(() => a.client.room.seats[1] && !a.client.room.seats[1].connected, 'drop seen by the room');
+    check(true, 'a dropped player keeps their seat (shown as disconnected)');
+    await waitFor(() => b.starts === 2 && b.client.running, 'rejoin');
+    check(b.client.seat === 1 && a.client.room.seats[1].connected, 'the dropped player rejoins the running game in their seat');
+
+    b.keys.add('up');
+    await waitFor(() => a.replay && b.replay, 'run over', 15000);
+    const final = a.client.view;
+    check(!final.alive && final.score === a.replay.result.score, 'run ends and both players get the replay');
+    const player = CubeReplay.createPlayer(CubeReplay.serialize(a.replay));
+    while (player.step());
+    check(player.sim.score === a.replay.result.score && player.sim.elapsed.toFixed(3) === a.replay.result.elapsed.toFixed(3),
+      'the server\'s recording replays to the same result');
+
+    a.client.leave(); b.client.leave();
+    await waitFor(() => server.rooms.size === 0, 'room closed');
+    check(true, 'the room closes once everyone has left');
+  } catch (err){
+    check(false, err.message);
+  } finally {
+    clearInterval(drive);
+    a.client.close(); b.client.close();
+    await server.close();
+  }
+  return failed;
+}
+
+// ---------------------------
+// MODULE 7: Boot
+// ---------------------------
+if (require.main === module){
+  const args = process.argv.slice(2);
+  if (args.includes('--smoke')){
+    smoke().then(failed => process.exit(failed ? 1 : 0), err => { console.error(err); process.exit(1); });
+  } else {
+    const i = args.indexOf('--port');
+    const port = i >= 0 ? Number(args[i + 1]) : Number(process.env.PORT) || CubeNet.DEFAULT_PORT;
+    createServer().listen(port).then(p => console.log(`Cube Collector on http://localhost:${p}`));
+  }
+}
+
+module.exports = { createServer, connect, smoke };
@@ -0,0 +1,2413 @@
+// MODULE INDEX (sim.js)
+// Headless simulation core. No DOM access: the arena size and the input
+// source are handed in, so the same code runs in the browser and in Node.
+// MODULE 0: RNG (seedable) + fixed tick
+// MODULE 1: Config (defaults)
+// MODULE 7.1: AI_CFG defaults
+// MODULE 7.8: AI_PROFILE defaults + difficulty presets
+// MODULE 1.1: Arena layouts (obstacles)
+// MODULE 1.2: Wave scripts (counts, archetype mix, spawn patterns, per-wave overrides)
+// MODULE 1.3: Parties (solo, co-op with shared / own HP, versus)
+// MODULE 1.4: Modes (classic survival, time attack, zen, daily challenge)
+// MODULE 3: State (per sim)
+// MODULE 3.1: Events (spawn, catch, hit, split, blink, decoy, damage, wave, waveClear, waveTimeout, capIncrease, pickup, lowHealth, out, death, complete, restart, tick, configure, resize)
+// MODULE 4: Input (injected source → direction)
+// MODULE 4.1: Players (party, HP pools, who's still in)
+// MODULE 5: Helpers
+// MODULE 5.1: Obstacles (layout → rects, collision, line of sight)
+// MODULE 5.2: Spatial grid (neighbour queries, rebuilt once per update)
+// MODULE 6: Spawning & Cap (wave script)
+// MODULE 6.1: Pickups (power-ups + timed effects)
+// MODULE 6.2: Archetypes (roll, catch outcomes: armor, split, decoy)
+// MODULE 6.3: Waves (start, spawn patterns, clear / timeout, per-wave overrides)
+// MODULE 6.4: Scoring (combo multiplier, risk and clear-speed bonuses, breakdown)
+// MODULE 7: AI (evasion)
+// MODULE 7.17: Squad (juke stagger, corner idle budget, bait / flank roles)
+// MODULE 7.16: Corner pop (burst out of a corner when the player closes in)
+// MODULE 7.15: Cover (obstacle-aware: hide behind obstacles)
+// MODULE 7.14: Blink (teleport layer for blinkers)
+// MODULE 7.13: Debug trace (per-layer steering, heatmap/sector snapshot)
+// MODULE 7.18: Extra layers (steering added from outside the sim, e.g. by plugins)
+// MODULE 8: Update (drain, catch-all regen, waves)
+// MODULE 8.1: Live config (re-derive sizes, heatmap, sectors)
+// MODULE 8.2: Resize (logical arena units, rescale entities + heatmap mid-run)
+// MODULE 10: Stress / benchmark (n targets at once, ms per tick)
+// MODULE 11: Exports
+//
+// Node:    const { createSim } = require('./sim.js');
+// Browser: <script src="./sim.js"></script> → window.CubeSim.createSim
+
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.CubeSim = factory();
+})(this, function(){
+
+  // ---------------------------
+  // MODULE 0: RNG (seedable) + fixed tick
+  // ---------------------------
+  // Every random decision in the sim goes through one of these, never Math.random(),
+  // so the same seed + the same inputs always replays the same run.
+  function makeRng(seed){
+    let a = seed >>> 0; // mulberry32
+    return function rng(){
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+  function randomSeed(){ return (Math.random() * 0x100000000) >>> 0; }
+
+  const TICK_DT = 1/60; // fixed simulation step (s); callers accumulate frame time into these
+
+  // ---------------------------
+  // MODULE 1: Config (defaults)
+  // ---------------------------
+  // Each sim gets its own copy of these, so tweaking one run never leaks into another.
+  const DEFAULT_CFG = {
+    PLAYER_SIZE: 24,
+    PLAYER_SPEED: 240,
+
+    TARGET_SIZE: 24,
+    TARGET_MAX_SPEED: 220,
+    TARGET_MAX_ACCEL: 600,
+    JUKE_STRENGTH: 0.8,
+    JITTER: 0.35,
+
+    HEALTH_MAX: 100,
+    HEALTH_DECAY_PER_SEC: 8,
+    HEALTH_REFILL_ON_CLEAR: 100, // full heal on clearing all current cubes
+    HEALTH_LOW_PCT: 0.3,         // below this fraction the HUD turns red and 'lowHealth' fires
+
+    TIME_STEP_SEC: 30, // every 30s, cap += 1 (1→2→3…)
+
+    // Pickups (see PICKUP_KINDS)
+    PICKUP_SIZE: 18,
+    PICKUP_SPAWN_MIN: 8,     // s between spawns (random in [MIN, MAX])
+    PICKUP_SPAWN_MAX: 14,
+    PICKUP_LIFETIME: 10,     // s an uncollected pickup stays on the board
+    PICKUP_MAX: 1,           // pickups on the board at once
+    PICKUP_SPAWN_CLEARANCE: 140, // never spawn closer than this to the player
+    BOOST_MULT: 1.45,        // player.speed multiplier while boosted
+    BOOST_TIME: 5,
+    HEAL_AMOUNT: 35,         // instant HP
+    MAGNET_TIME: 6,
+    MAGNET_RADIUS: 200,      // targets inside this range get pulled in…
+    MAGNET_PULL: 150,        // …at up to this many px/s (linear falloff to the edge)
+    FREEZE_TIME: 3,          // AI fully suspended
+
+    // Scoring (6.4)
+    COMBO_WINDOW: 2.5,       // s after a catch for the next one to keep the combo going
+    COMBO_MULT_STEP: 0.5,    // multiplier added per chained catch (×1, ×1.5, ×2…)
+    COMBO_MULT_MAX: 4,
+    JUKE_CATCH_BONUS: 2,     // points for catching a cube mid-juke…
+    LOW_HP_BONUS: 1,         // …or while your HP is below HEALTH_LOW_PCT (both before the multiplier)
+    CLEAR_BONUS: 3,          // per cube in the wave, for clearing it instantly; falls linearly…
+    CLEAR_PAR_SEC: 4,        // …to 0 at this many s per cube
+  };
+
+  // Pickup kinds. weight = spawn odds; threat = how hard the AI avoids it (7.12).
+  const PICKUP_KINDS = {
+    boost:  { weight: 3, threat: 0.6 },
+    heal:   { weight: 3, threat: 0.3 },
+    magnet: { weight: 2, threat: 0.9 },
+    freeze: { weight: 2, threat: 1.0 },
+  };
+
+  // Enemy archetypes. Stats are multipliers on CFG.TARGET_SIZE / TARGET_MAX_SPEED /
+  // TARGET_MAX_ACCEL, so difficulty presets and live tuning still scale every kind.
+  //   weight   spawn odds (0 = never rolled, only created by another archetype)
+  //   minCap   only rolled once targetCap() has reached this (early waves stay plain)
+  //   score    points for a catch · wary  multiplier on juke range and panic distance
+  //   layers   which optional AI layers run (see AI_LAYERS; 'base', 'separation' and 'obstacle' always do)
+  //   touches  catches needed (armor) · split  {into, count} spawned when caught
+  //   blink    {cooldown, trigger, range} teleport away when the player gets within trigger
+  //   hpCost   decoy: catching it costs HP and scores nothing; decoys don't block a wave clear
+  const ALL_LAYERS = ['heatmap', 'dispersion', 'sector', 'cover', 'squad', 'pickup', 'juke', 'cornerPop', 'patrol'];
+  const ARCHETYPES = {
+    cube:     { name: 'Cube',     weight: 6,   minCap: 1, size: 1,    speed: 1,    accel: 1,   score: 1, wary: 1,
+                layers: ALL_LAYERS },
+    runner:   { name: 'Runner',   weight: 2,   minCap: 2, size: 0.75, speed: 1.3,  accel: 1.4, score: 2, wary: 1.5,
+                layers: ['heatmap', 'dispersion', 'cover', 'squad', 'pickup', 'juke', 'cornerPop', 'patrol'] },
+    armored:  { name: 'Armored',  weight: 1.5, minCap: 2, size: 1.3,  speed: 0.8,  accel: 0.7, score: 3, wary: 1,
+                layers: ['dispersion', 'sector', 'cover', 'squad', 'pickup', 'cornerPop', 'patrol'], touches: 2 },
+    splitter: { name: 'Splitter', weight: 1.5, minCap: 3, size: 1.15, speed: 0.95, accel: 1,   score: 1, wary: 1,
+                layers: ALL_LAYERS, split: { into: 'shard', count: 2 } },
+    shard:    { name: 'Shard',    weight: 0,   minCap: 1, size: 0.6,  speed: 1.15, accel: 1.3, score: 1, wary: 1.2,
+                layers: ['dispersion', 'pickup', 'juke'] },
+    blinker:  { name: 'Blinker',  weight: 1.2, minCap: 3, size: 0.9,  speed: 0.9,  accel: 1,   score: 2, wary: 1,
+                layers: ['heatmap', 'dispersion', 'sector', 'squad', 'pickup', 'patrol'],
+                blink: { cooldown: 4, trigger: 110, range: 200 } },
+    decoy:    { name: 'Decoy',    weight: 1,   minCap: 4, size: 1,    speed: 0.6,  accel: 0.8, score: 0, wary: 1,
+                layers: ['dispersion', 'sector'], hpCost: 15 },
+  };
+  const DEFAULT_ARCHETYPE = 'cube';
+
+  // MODULE 7.1: AI_CFG — knobs & switches (small, safe to tweak)
+  const DEFAULT_AI_CFG = {
+    SEP_RADIUS: 90,
+    SEP_FORCE: 0.9,
+
+    ORBIT_DIST: 260,
+    ORBIT_FORCE: 0.85,
+
+    WALL_REPEL_MARGIN: 60,
+    SLIDE_FORCE: 1.15,
+
+    // Jukes
+    JUKE_CLOSE_DIST: 190,   // start thinking about juking here
+    JUKE_TRIGGER_ANGLE: 0.85, // cos(theta). ~> player heading mostly at target
+    JUKE_COOLDOWN: 1.1,
+    JUKE_DURATION: 0.14,
+    JUKE_PUSH: 1.65,
+
+    // Anti-corner patrol
+    CORNER_NEAR_EDGE: 12,
+    PATROL_COOLDOWN: 1.6,
+    PATROL_TIME: 0.5,
+    PATROL_PUSH: 0.9,
+    SAFE_BAND: 120, // “aim toward this band away from edges when idle”
+
+    // Wander
+    WANDER_T: 0.9,
+    WANDER_MAG_FAR: 0.8,
+    WANDER_MAG_NEAR: 0.35,
+
+    // Misc
+    PANIC_SPEED_UP: 1.12,
+    JITTER: 0.28,
+    SMOOTH: 0.6,
+    LEAD: 0.22, // seconds predict player
+
+    // Pickup awareness (7.12)
+    PICKUP_AVOID_RADIUS: 150, // keep this far from live pickups (the player is headed there)
+    PICKUP_AVOID_FORCE: 0.9,
+
+    // Obstacles (7.3 repel/slide, 7.15 cover)
+    OBSTACLE_REPEL_MARGIN: 40, // start pushing off an obstacle face this close
+    OBSTACLE_REPEL: 0.7,
+    OBSTACLE_SLIDE: 1.0,       // slide along the face, away from the player, so they can't be pinned
+    COVER_RANGE: 220,          // consider obstacles within this distance for cover
+    COVER_FORCE: 0.7,          // pull toward the far side of it while the player can see them
+
+    // Corner pop (7.16)
+    CORNER_POP_DIST: 165,      // pinned in a corner and the player this close → pop
+    CORNER_POP_TIME: 0.16,     // s of burst
+    CORNER_POP_COOL: 1.2,      // s until the next one (+ up to 0.5 random)
+    CORNER_POP_PUSH: 1.55,
+
+    // Squad (7.17)
+    SQUAD_ROLE_PERIOD: 0.8,    // s between role reassignments
+    SQUAD_BAIT_PULL: 0.6,      // bait: lead the player away from the flankers
+    SQUAD_FLANK_FORCE: 0.55,   // flankers: off the player→bait line, toward their own side
+  };
+
+  // ===============================
+  // MODULE 7.8: DIFFICULTY_PROFILES
+  // ===============================
+  const DEFAULT_AI_PROFILE = {
+    // How much time-waste vs risk the AI aims for (tweak anytime)
+    name: "TimeWaste_Default",
+    HEATMAP_BIAS: 0.75,        // push away from your recent paths
+    SECTOR_STICK: 0.55,        // tendency to drift toward own sector when you're far
+    DISPERSION_MIN_SPACING: 110, // try to keep at least this px from neighbors near edges
+    DISPERSION_EDGE_FAN: 0.9,  // push to fan-out when sharing an edge
+    CORNER_IDLE_BUDGET: 0.6,   // (s) allowed in a corner while the player is far before the squad pushes it out (7.17)
+    JUKE_STAGGER_MIN: 0.25,    // (s) min gap between two cubes starting a juke (7.17)
+    JUKE_STAGGER_MAX: 0.55,    // (s) max stagger between enemies juking
+    HEATMAP_CELL: 80,          // px size of heatmap cells
+    HEATMAP_DECAY: 0.94,       // frame decay of heat
+    HEATMAP_PLAYER_STAMP: 2.6, // heat added near your position per tick
+    SECTOR_RING_RATIO: 0.34,   // sector “safe ring” radius vs arena min dimension
+    SECTOR_ROT_SPEED: 0.06,    // (rad/sec) slow rotation of sector anchors
+  };
+
+  // Lowest value configure() and wave overrides accept per field; anything not listed
+  // here has to be ≥ 0. Sizes, radii and whatever the sim divides by (or steps its cap,
+  // heatmap and timers by) stay above 0, so no setting can freeze or NaN a run.
+  const CONFIG_MIN = {
+    CFG: {
+      PLAYER_SIZE: 4, TARGET_SIZE: 4, PICKUP_SIZE: 4,
+      HEALTH_MAX: 1, TIME_STEP_SEC: 1, PICKUP_SPAWN_MIN: 0.5,
+      BOOST_TIME: 0.1, MAGNET_TIME: 0.1, FREEZE_TIME: 0.1, MAGNET_RADIUS: 1,
+      COMBO_WINDOW: 0.1, COMBO_MULT_MAX: 1, CLEAR_PAR_SEC: 0.1,
+    },
+    AI_CFG: { SEP_RADIUS: 1, ORBIT_DIST: 1, PICKUP_AVOID_RADIUS: 1, OBSTACLE_REPEL_MARGIN: 1 },
+    AI_PROFILE: { HEATMAP_CELL: 8, DISPERSION_MIN_SPACING: 1 },
+  };
+
+  // Why a config value can't be used (null when it can): wrong type, not finite or below CONFIG_MIN.
+  function configError(group, key, v, def){
+    if (typeof v !== typeof def || (typeof v === 'number' && !Number.isFinite(v))) return `${group}.${key} must be a ${typeof def}`;
+    if (typeof v !== 'number') return null;
+    const min = CONFIG_MIN[group][key] || 0;
+    return v < min ? `${group}.${key} must be ≥ ${min}` : null;
+  }
+
+  // Difficulty presets. Each one overrides a subset of CFG / AI_CFG / AI_PROFILE;
+  // a sim layers them as defaults → preset → createSim overrides.
+  // Add a preset here and it shows up in the title menu and ?difficulty=<id>.
+  const DIFFICULTIES = {
+    casual: {
+      name: 'Casual',
+      CFG:        { TARGET_MAX_SPEED: 180, TARGET_MAX_ACCEL: 480, HEALTH_DECAY_PER_SEC: 5, TIME_STEP_SEC: 40 },
+      AI_CFG:     { JUKE_CLOSE_DIST: 150, JUKE_COOLDOWN: 1.6, PATROL_COOLDOWN: 2.2 },
+      AI_PROFILE: { name: 'Casual', HEATMAP_BIAS: 0.4, SECTOR_STICK: 0.35, CORNER_IDLE_BUDGET: 1.2,
+                    JUKE_STAGGER_MIN: 0.5, JUKE_STAGGER_MAX: 0.9 },
+    },
+    normal: {
+      name: 'Normal', // the defaults above, untouched
+    },
+    hard: {
+      name: 'Hard',
+      CFG:        { TARGET_MAX_SPEED: 245, TARGET_MAX_ACCEL: 680, HEALTH_DECAY_PER_SEC: 10, TIME_STEP_SEC: 25 },
+      AI_CFG:     { JUKE_CLOSE_DIST: 210, JUKE_COOLDOWN: 0.9, PATROL_COOLDOWN: 1.3 },
+      AI_PROFILE: { name: 'Hard', HEATMAP_BIAS: 0.95, SECTOR_STICK: 0.65 },
+    },
+    nightmare: {
+      name: 'Nightmare',
+      CFG:        { TARGET_MAX_SPEED: 265, TARGET_MAX_ACCEL: 760, HEALTH_DECAY_PER_SEC: 12, TIME_STEP_SEC: 20 },
+      AI_CFG:     { JUKE_CLOSE_DIST: 230, JUKE_TRIGGER_ANGLE: 0.78, JUKE_COOLDOWN: 0.7, JUKE_DURATION: 0.16,
+                    PATROL_COOLDOWN: 1.0, PANIC_SPEED_UP: 1.18 },
+      AI_PROFILE: { name: 'Nightmare', HEATMAP_BIAS: 1.2, SECTOR_STICK: 0.75, DISPERSION_MIN_SPACING: 130,
+                    CORNER_IDLE_BUDGET: 0.35, JUKE_STAGGER_MIN: 0.15, JUKE_STAGGER_MAX: 0.35 },
+    },
+  };
+  const DEFAULT_DIFFICULTY = 'normal';
+
+  // ---------------------------
+  // MODULE 1.1: Arena layouts
+  // ---------------------------
+  // Static obstacles as [x, y, w, h] in fractions of the arena (so a layout fits any
+  // arena size); an L-shape is two rects. `start` is the player's spawn point, also
+  // in fractions. Add one here and it shows up on the title screen and ?layout=<id>;
+  // createSim({ layout }) also takes a layout object of the same shape.
+  const LAYOUTS = {
+    open: { name: 'Open', obstacles: [] },
+    pillars: {
+      name: 'Pillars',
+      obstacles: [
+        [0.26, 0.28, 0.06, 0.08], [0.68, 0.28, 0.06, 0.08],
+        [0.26, 0.64, 0.06, 0.08], [0.68, 0.64, 0.06, 0.08],
+      ],
+    },
+    walls: {
+      name: 'Walls',
+      obstacles: [[0.22, 0.34, 0.56, 0.04], [0.22, 0.62, 0.56, 0.04]],
+      start: [0.1, 0.1],
+    },
+    corners: {
+      name: 'Corners', // four Ls, open toward the middle
+      obstacles: [
+        [0.14, 0.18, 0.20, 0.04], [0.14, 0.18, 0.03, 0.22],
+        [0.66, 0.18, 0.20, 0.04], [0.83, 0.18, 0.03, 0.22],
+        [0.14, 0.78, 0.20, 0.04], [0.14, 0.60, 0.03, 0.22],
+        [0.66, 0.78, 0.20, 0.04], [0.83, 0.60, 0.03, 0.22],
+      ],
+      start: [0.47, 0.45],
+    },
+  };
+  const DEFAULT_LAYOUT = 'open';
+  const DEFAULT_START = [0.1875, 0.25]; // (120, 120) on the 640×480 arena
+
+  // Accepts an id or a layout object; throws on anything else.
+  function resolveLayout(layout){
+    if (typeof layout === 'string'){
+      if (!LAYOUTS[layout]) throw new Error(`Unknown layout "${layout}"`);
+      return LAYOUTS[layout];
+    }
+    const ok = layout && Array.isArray(layout.obstacles) &&
+      layout.obstacles.every(r => Array.isArray(r) && r.length === 4 && r.every(Number.isFinite));
+    if (!ok) throw new Error('Layout needs obstacles: [[x, y, w, h], ...]');
+    return layout;
+  }
+
+  // ---------------------------
+  // MODULE 1.2: Wave scripts
+  // ---------------------------
+  // A run is a sequence of waves. Each wave spawns its targets at once; clearing
+  // them (decoys don't count) refills HP and starts the next wave. Plain JSON:
+  //   name      shown on the title screen / HUD
+  //   waves     [wave, ...], played in order
+  //   repeat    after the last wave: 'last' replays it forever (default), 'loop'
+  //             starts over, 'none' ends the run as complete
+  //   timeCap   true → every wave also gets +1 target per CFG.TIME_STEP_SEC of run time
+  //   maxCap    optional hard limit on targets on the board at once
+  // wave:
+  //   count     targets spawned (required, ≥ 1)
+  //   mix       { archetype: weight } (default: the normal roll, gated by minCap)
+  //   spawn     'random' (default) | 'edges' | 'corners' | 'ring' | 'far' | [[fx, fy], ...]
+  //             (fractions of the arena, cycled)
+  //   refill    HP restored when the wave is cleared (default CFG.HEALTH_REFILL_ON_CLEAR)
+  //   timeLimit s to clear it; when it runs out the next wave spawns on top of the
+  //             survivors, without the refill
+  //   CFG, AI_CFG, AI_PROFILE  overrides active while the wave is on the board
+  // Add one here and it shows up on the title screen (↑/↓) and ?waves=<id>;
+  // createSim({ script }) also takes a script object of the same shape.
+  const WAVE_SCRIPTS = {
+    endless: {
+      name: 'Endless', // the classic curve: 1 → 2 → 3… cubes, a new wave whenever the board is clear
+      timeCap: true,
+      waves: [{ count: 1 }],
+    },
+    capped: {
+      name: 'Endless (max 8)',
+      timeCap: true,
+      maxCap: 8,
+      waves: [{ count: 1 }],
+    },
+    gauntlet: {
+      name: 'Gauntlet',
+      repeat: 'none',
+      maxCap: 12,
+      waves: [
+        { count: 2, mix: { cube: 1 } },
+        { count: 3, mix: { cube: 2, runner: 1 }, spawn: 'corners' },
+        { count: 4, mix: { cube: 2, runner: 1, armored: 1 }, spawn: 'edges', timeLimit: 40 },
+        { count: 4, mix: { splitter: 2, cube: 1, decoy: 1 }, spawn: 'ring' },
+        { count: 5, mix: { runner: 3, blinker: 1 }, spawn: 'far', timeLimit: 35,
+          AI_CFG: { JUKE_COOLDOWN: 0.9 } },
+        { count: 6, mix: { armored: 2, blinker: 2, splitter: 1, decoy: 1 }, spawn: 'edges', refill: 60,
+          AI_PROFILE: { HEATMAP_BIAS: 1.1 } },
+        { count: 4, mix: { runner: 1 }, spawn: [[0.1, 0.1], [0.9, 0.1], [0.1, 0.9], [0.9, 0.9]], timeLimit: 30,
+          CFG: { TARGET_MAX_SPEED: 250 } },
+        { count: 8, mix: { cube: 3, runner: 2, armored: 1, splitter: 1, blinker: 1, decoy: 1 }, timeLimit: 60 },
+      ],
+    },
+  };
+  const DEFAULT_SCRIPT = 'endless';
+  const SPAWN_PATTERNS = ['random', 'edges', 'corners', 'ring', 'far'];
+  const REPEAT_MODES = ['last', 'loop', 'none'];
+
+  // Accepts an id or a script object; throws on anything malformed, so a bad
+  // script fails at createSim()/setScript() rather than mid-run.
+  function resolveScript(script){
+    if (typeof script === 'string'){
+      if (!WAVE_SCRIPTS[script]) throw new Error(`Unknown wave script "${script}"`);
+      return WAVE_SCRIPTS[script];
+    }
+    const bad = msg => { throw new Error(`Wave script: ${msg}`); };
+    if (!script || !Array.isArray(script.waves) || !script.waves.length) bad('needs waves: [{ count }, ...]');
+    if (script.repeat !== undefined && !REPEAT_MODES.includes(script.repeat)) bad(`repeat must be one of ${REPEAT_MODES.join(', ')}`);
+    if (script.maxCap !== undefined && !(Number.isInteger(script.maxCap) && script.maxCap >= 1)) bad('maxCap must be a whole number ≥ 1');
+    const defs = { CFG: DEFAULT_CFG, AI_CFG: DEFAULT_AI_CFG, AI_PROFILE: DEFAULT_AI_PROFILE };
+    script.waves.forEach((w, i) => {
+      const at = `wave ${i + 1}`;
+      if (!w || !(Number.isInteger(w.count) && w.count >= 1)) bad(`${at} count must be a whole number ≥ 1`);
+      if (w.mix !== undefined){
+        const kinds = Object.keys(w.mix || {});
+        if (!kinds.length) bad(`${at} mix is empty`);
+        for (const k of kinds){
+          if (!ARCHETYPES[k]) bad(`${at} mix has unknown archetype "${k}"`);
+          if (!(Number.isFinite(w.mix[k]) && w.mix[k] >= 0)) bad(`${at} mix.${k} must be a weight ≥ 0`);
+        }
+        if (!kinds.some(k => w.mix[k] > 0)) bad(`${at} mix has no positive weight`);
+      }
+      if (w.spawn !== undefined && !SPAWN_PATTERNS.includes(w.spawn) &&
+          !(Array.isArray(w.spawn) && w.spawn.length && w.spawn.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite)))){
+        bad(`${at} spawn must be one of ${SPAWN_PATTERNS.join(', ')} or [[fx, fy], ...]`);
+      }
+      for (const k of ['refill', 'timeLimit']){
+        if (w[k] !== undefined && !(Number.isFinite(w[k]) && w[k] >= 0)) bad(`${at} ${k} must be a number ≥ 0`);
+      }
+      for (const g of Object.keys(defs)){
+        for (const [k, v] of Object.entries(w[g] || {})){
+          if (!(k in defs[g])) bad(`${at} has unknown ${g} key "${k}"`);
+          const err = configError(g, k, v, defs[g][k]);
+          if (err) bad(`${at} ${err}`);
+        }
+      }
+    });
+    return script;
+  }
+
+  // ---------------------------
+  // MODULE 1.3: Parties (local 2-player)
+  // ---------------------------
+  // Who chases, and how they share the run:
+  //   players  1 or 2 (P2 reads opts.input2)
+  //   health   'shared' — one HP pool for everybody; 'own' — a pool each: a player whose
+  //            pool runs dry is out (stops, can't catch), and the run ends when nobody's left
+  //   versus   separate scores that decide sim.winner when the run ends
+  // Power-ups are shared either way: whoever grabs one, its effect covers both players.
+  const PARTIES = {
+    solo:   { name: 'Solo',              players: 1, health: 'shared' },
+    coop:   { name: 'Co-op (shared HP)', players: 2, health: 'shared' },
+    duo:    { name: 'Co-op (own HP)',    players: 2, health: 'own' },
+    versus: { name: 'Versus',            players: 2, health: 'own', versus: true },
+  };
+  const DEFAULT_PARTY = 'solo';
+
+  function resolveParty(id){
+    if (!PARTIES[id]) throw new Error(`Unknown party "${id}"`);
+    return PARTIES[id];
+  }
+
+  // ---------------------------
+  // MODULE 1.4: Modes
+  // ---------------------------
+  // The rules a run is played by, on top of its wave script:
+  //   name       title screen / HUD
+  //   blurb      one line under it on the title screen
+  //   health     false → no HP at all: nothing drains, a decoy only breaks your combo,
+  //              nobody is ever out (the HUD drops the health bar)
+  //   timeLimit  s on the clock; when it runs out the run is over (complete)
+  //   ranked     false keeps the mode's runs off the leaderboard
+  //   daily      the seed, arena, difficulty and script come from the date (dailyChallenge())
+  //   arena      { width, height }: the shell plays the mode on this fixed arena instead of
+  //              one shaped like the window, so every run of it is the same challenge
+  //   CFG, AI_CFG, AI_PROFILE  overrides layered over the difficulty (under createSim
+  //              overrides, the wave's and live tuning)
+  // Add one here and it shows up on the title screen (G) and ?mode=<id>.
+  const MODES = {
+    classic:    { name: 'Classic survival', blurb: 'Catch every cube to refill health before it drains.' },
+    timeattack: { name: 'Time attack', blurb: '90 seconds, no health: the most points wins.',
+                  health: false, timeLimit: 90, CFG: { TIME_STEP_SEC: 15 } },
+    zen:        { name: 'Zen', blurb: 'No drain, no game over: practice against the AI (Esc, Q to stop).',
+                  health: false, ranked: false },
+    daily:      { name: 'Daily challenge', blurb: 'Today\'s arena and cubes, the same for everyone.', daily: true,
+                  arena: { width: 640, height: 480 } },
+  };
+  const DEFAULT_MODE = 'classic';
+
+  function resolveMode(id){
+    if (!MODES[id]) throw new Error(`Unknown mode "${id}"`);
+    return MODES[id];
+  }
+
+  // The daily run for a UTC date (a Date, or anything Date() parses): seed from the
+  // date, an arena of mirrored obstacles built from that seed, normal difficulty and
+  // the endless script. → { key: 'YYYY-MM-DD', seed, layout, difficulty, script }
+  function dailyChallenge(date){
+    const key = new Date(date === undefined ? Date.now() : date).toISOString().slice(0, 10);
+    let seed = 2166136261; // FNV-1a over the key
+    for (let i = 0; i < key.length; i++) seed = Math.imul(seed ^ key.charCodeAt(i), 16777619) >>> 0;
+    const rng = makeRng(seed);
+    const start = [0.47, 0.45];
+    const apart = (a, b, mx, my) => a[0] > b[0] + b[2] + mx || a[0] + a[2] < b[0] - mx ||
+                                    a[1] > b[1] + b[3] + my || a[1] + a[3] < b[1] - my;
+    const clear = r => apart(r, [start[0], start[1], 0.04, 0.04], 0.06, 0.08) && obstacles.every(o => apart(r, o, 0.06, 0.06));
+    const obstacles = [];
+    const pairs = 2 + Math.floor(rng() * 2);
+    for (let tries = 0; obstacles.length < pairs * 2 && tries < 50; tries++){
+      const bar = rng() < 0.5;                 // a wall along x or y
+      const w = bar ? 0.12 + rng() * 0.18 : 0.04, h = bar ? 0.04 : 0.12 + rng() * 0.2;
+      const r = [0.08 + rng() * (0.42 - w), 0.1 + rng() * (0.8 - h), w, h].map(v => +v.toFixed(3));
+      const m = [+(1 - r[0] - w).toFixed(3), r[1], r[2], r[3]]; // mirrored across the middle
+      if (clear(r) && clear(m) && apart(r, m, 0.06, 0.06)) obstacles.push(r, m);
+    }
+    return {
+      key, seed,
+      layout: { name: `Daily ${key}`, obstacles, start },
+      difficulty: DEFAULT_DIFFICULTY, script: DEFAULT_SCRIPT,
+    };
+  }
+
+  // Steering layers in the order updateTargetAI applies them (names used by the debug trace, 7.13).
+  const AI_LAYERS = ['base', 'separation', 'obstacle', 'heatmap', 'dispersion', 'sector', 'cover', 'squad', 'pickup', 'juke',
+                     'cornerPop', 'patrol'];
+
+  // ---------------------------
+  // createSim(opts)
+  //   opts.width, opts.height  arena size in logical units (default 640×480; sim.resize() changes it)
+  //   opts.input               input source; anything with has(name) for
+  //                            'up' | 'down' | 'left' | 'right' (a Set works), plus
+  //                            optionally axis() → {dx, dy} for analog input
+  //   opts.input2              P2's input source, same shape (2-player parties)
+  //   opts.party               id from PARTIES (default 'solo')
+  //   opts.mode                id from MODES (default 'classic'); 'daily' only sets the rules,
+  //                            the caller applies dailyChallenge()'s seed and settings
+  //   opts.seed                fixed seed for every run; omit for a fresh seed per restart
+  //   opts.difficulty          id from DIFFICULTIES (default 'normal')
+  //   opts.layout              id from LAYOUTS or a layout object (default 'open')
+  //   opts.script              id from WAVE_SCRIPTS or a script object (default 'endless')
+  //   opts.CFG, opts.AI_CFG, opts.AI_PROFILE  partial overrides, applied on top of the difficulty
+  // ---------------------------
+  function createSim(opts){
+    opts = opts || {};
+
+    // Filled by setDifficulty(); the objects themselves never change identity,
+    // so anything holding sim.CFG & co. always sees the live values.
+    const CFG = {}, AI_CFG = {}, AI_PROFILE = {};
+    const GROUPS = { CFG, AI_CFG, AI_PROFILE };
+    // Live tuning (configure()) — layered last, so it survives difficulty changes.
+    const tuned = { CFG: {}, AI_CFG: {}, AI_PROFILE: {} };
+    // Overrides of the wave on the board (MODULE 6.3), between createSim overrides and tuning.
+    const waveCfg = { CFG: {}, AI_CFG: {}, AI_PROFILE: {} };
+    let difficulty = DEFAULT_DIFFICULTY;
+    let mode = opts.mode || DEFAULT_MODE;
+    let modeDef = resolveMode(mode);
+
+    function layer(into, ...sources){
+      for (const k of Object.keys(into)) delete into[k];
+      Object.assign(into, ...sources);
+    }
+
+    // Takes effect on the next restart() (player stats are refreshed there).
+    function setDifficulty(id){
+      const preset = DIFFICULTIES[id];
+      if (!preset) throw new Error(`Unknown difficulty "${id}"`);
+      difficulty = id;
+      layer(CFG,        DEFAULT_CFG,        preset.CFG,        modeDef.CFG,        opts.CFG,        waveCfg.CFG,        tuned.CFG);
+      layer(AI_CFG,     DEFAULT_AI_CFG,     preset.AI_CFG,     modeDef.AI_CFG,     opts.AI_CFG,     waveCfg.AI_CFG,     tuned.AI_CFG);
+      layer(AI_PROFILE, DEFAULT_AI_PROFILE, preset.AI_PROFILE, modeDef.AI_PROFILE, opts.AI_PROFILE, waveCfg.AI_PROFILE, tuned.AI_PROFILE);
+    }
+    setDifficulty(opts.difficulty || DEFAULT_DIFFICULTY);
+
+    // Takes effect on the next restart(), like setDifficulty() (its overrides are layered now).
+    function setMode(id){
+      modeDef = resolveMode(id);
+      mode = id;
+      setDifficulty(difficulty);
+    }
+
+    // What CFG & co. would be without live tuning (difficulty + mode + createSim + wave overrides).
+    function defaults(){
+      const preset = DIFFICULTIES[difficulty];
+      return {
+        CFG:        Object.assign({}, DEFAULT_CFG,        preset.CFG,        modeDef.CFG,        opts.CFG,        waveCfg.CFG),
+        AI_CFG:     Object.assign({}, DEFAULT_AI_CFG,     preset.AI_CFG,     modeDef.AI_CFG,     opts.AI_CFG,     waveCfg.AI_CFG),
+        AI_PROFILE: Object.assign({}, DEFAULT_AI_PROFILE, preset.AI_PROFILE, modeDef.AI_PROFILE, opts.AI_PROFILE, waveCfg.AI_PROFILE),
+      };
+    }
+
+    // Live config changes mid-run: configure({ AI_CFG: { JUKE_PUSH: 2 } }). Every key is
+    // checked before anything is applied (unknown key, wrong type or below CONFIG_MIN →
+    // throws, nothing changes). A value equal to the default drops the override.
+    function configure(patch){
+      const defs = defaults();
+      for (const group of Object.keys(patch || {})){
+        const live = GROUPS[group];
+        if (!live) throw new Error(`Unknown config group "${group}"`);
+        for (const [k, v] of Object.entries(patch[group] || {})){
+          if (!(k in live)) throw new Error(`Unknown ${group} key "${k}"`);
+          const err = configError(group, k, v, live[k]);
+          if (err) throw new Error(err);
+        }
+      }
+      for (const group of Object.keys(patch || {})){
+        for (const [k, v] of Object.entries(patch[group] || {})){
+          GROUPS[group][k] = v;
+          if (v === defs[group][k]) delete tuned[group][k]; else tuned[group][k] = v;
+        }
+      }
+      applyConfig();
+      emit('configure', { tuned: tunedCopy() });
+    }
+
+    function resetConfig(){
+      for (const group of Object.keys(tuned)) for (const k of Object.keys(tuned[group])) delete tuned[group][k];
+      setDifficulty(difficulty);
+      applyConfig();
+      emit('configure', { tuned: tunedCopy() });
+    }
+
+    function tunedCopy(){
+      return { CFG: Object.assign({}, tuned.CFG), AI_CFG: Object.assign({}, tuned.AI_CFG), AI_PROFILE: Object.assign({}, tuned.AI_PROFILE) };
+    }
+
+    // ---------------------------
+    // MODULE 3: State
+    // ---------------------------
+    const arena = { width: opts.width || 640, height: opts.height || 480 };
+    const input = opts.input || new Set();
+    const input2 = opts.input2 || new Set();
+
+    let seed = 0;          // seed of the current run (set by restart)
+    let rng = makeRng(0);  // reseeded by restart()
+
+    // Both player slots always exist; the party decides how many take part. `player`
+    // is P1, which is all a solo run has.
+    function makePlayer(index){
+      return { index, x: 120, y: 120, w: CFG.PLAYER_SIZE, h: CFG.PLAYER_SIZE, speed: CFG.PLAYER_SPEED,
+               score: 0, pool: null, out: false, combo: { chain: 0, mult: 1, time: 0 } };
+    }
+    const players = [makePlayer(0), makePlayer(1)];
+    const player = players[0];
+    let party = opts.party || DEFAULT_PARTY;
+    let partyDef = resolveParty(party);
+    let chasers = [player];  // players in this run (restart)
+    let hunting = [player];  // …minus the ones who are out
+    const pools = [];        // HP pools: { hp, players }, one shared or one per player
+    let score = 0;           // everybody's catches together (each player also keeps p.score)
+    let alive = true;
+
+    let elapsed = 0;       // seconds since run start
+    let peakCap = 1;       // highest targetCap() reached this run
+    let script = opts.script || DEFAULT_SCRIPT;
+    let scriptDef = resolveScript(script);
+    const wave = { number: 0, time: 0, size: 0 }; // wave on the board: 1-based number, s since it spawned, targets it brought
+    let complete = false;  // a repeat: 'none' script ran out of waves, or the mode's clock did (over, not lost)
+    const targets = [];    // active cubes
+    const obstacles = [];  // layout rects in px: { x, y, w, h } (rebuilt by restart)
+    let layout = opts.layout || DEFAULT_LAYOUT;
+    resolveLayout(layout);
+    const pickups = [];    // power-ups on the board: { kind, x, y, w, h, ttl }
+    const effects = { boost: 0, magnet: 0, freeze: 0, heal: 0 }; // seconds left (heal: HUD flash only)
+    let pickupTimer = 0;   // seconds until the next pickup spawn
+    let targetIds = 0;     // last target id handed out this run
+
+    // ---------------------------
+    // MODULE 3.1: Events
+    // ---------------------------
+    // Notifications for whoever drives the sim (sound, effects…). Listeners get a
+    // small payload and must not change sim state, so runs stay deterministic.
+    //   restart {seed} · spawn {target, kind, x, y} · catch {target, kind, points, mult, juke, lowHp, player, x, y}
+    //   hit {target, armor, x, y} · split {target, shards}
+    //   blink {target, fromX, fromY} · decoy {target, hp, player, x, y} · capIncrease {cap}
+    //   damage {player, amount, hp, cause} — HP knocked off at once (cause 'decoy'); the steady drain isn't damage
+    //   wave {wave, size} · waveTimeout {wave, left} · complete {score, elapsed, winner}
+    //   waveClear {hp, wave, time, bonus, refill} — refill: HP restored (0 in modes without health)
+    //   pickup {kind, player} · lowHealth {hp, player} · out {player} · death {score, elapsed, winner}
+    //   configure {tuned} · resize {width, height} · tick {dt, elapsed} after every update() that leaves the run going
+    // `player` is the index into sim.players; `winner` is only set in versus (see sim.winner).
+    const listeners = {};
+    function on(name, fn){
+      (listeners[name] || (listeners[name] = [])).push(fn);
+      return () => off(name, fn);
+    }
+    function off(name, fn){
+      const l = listeners[name];
+      if (l){ const i = l.indexOf(fn); if (i >= 0) l.splice(i, 1); }
+    }
+    function emit(name, data){
+      const l = listeners[name];
+      if (l) for (const fn of l.slice()) fn(data);
+    }
+
+    // ---------------------------
+    // MODULE 4: Input
+    // ---------------------------
+    // Digital directions are unit length; an optional analog axis() (gamepad stick,
+    // touch joystick) adds on top. The result is clamped to length 1, so a half-tilted
+    // stick moves at half speed and the AI's lead/juke reads see the same magnitude.
+    // i: player index (0 = P1 → opts.input, 1 = P2 → opts.input2)
+    function readInput(i){
+      const src = i ? input2 : input;
+      let dx=0, dy=0;
+      if (src.has('up')) dy -= 1;
+      if (src.has('down')) dy += 1;
+      if (src.has('left')) dx -= 1;
+      if (src.has('right')) dx += 1;
+      if (dx || dy){ const l = Math.hypot(dx,dy) || 1; dx/=l; dy/=l; }
+      if (src.axis){
+        const a = src.axis();
+        dx += a.dx || 0; dy += a.dy || 0;
+        const l = Math.hypot(dx,dy);
+        if (l > 1){ dx/=l; dy/=l; }
+      }
+      return {dx, dy};
+    }
+
+    // ---------------------------
+    // MODULE 4.1: Players (party, HP pools, who's still in)
+    // ---------------------------
+    // Takes effect on the next restart(), like setLayout().
+    function setParty(id){ resolveParty(id); party = id; }
+
+    // Seats the party's players at the layout start (P2 mirrored across the arena)
+    // and hands out HP pools.
+    function seatPlayers(start){
+      chasers = players.slice(0, partyDef.players);
+      pools.length = 0;
+      for (const p of chasers){
+        if (!pools.length || partyDef.health === 'own') pools.push({ hp: CFG.HEALTH_MAX, players: [] });
+        p.pool = pools[pools.length - 1];
+        p.pool.players.push(p);
+        p.score = 0; p.out = false;
+        breakCombo(p);
+        p.w = p.h = CFG.PLAYER_SIZE;
+        p.speed = CFG.PLAYER_SPEED;
+      }
+      player.x = start.x; player.y = start.y;
+      resolveOverlap(player);
+      if (chasers.length > 1){
+        const p2 = players[1];
+        p2.x = arena.width - start.x - p2.w; p2.y = start.y;
+        if (Math.abs(p2.x - player.x) < p2.w * 2) p2.x = player.x + p2.w * 2; // start near the middle
+        resolveOverlap(p2);
+      }
+      hunting = chasers.slice();
+      chasers.forEach(settle);
+    }
+
+    // Centre of the players still in (spawn patterns and the squad aim at it).
+    function chaserCentre(){
+      let x = 0, y = 0;
+      for (const p of hunting){ x += p.x + p.w/2; y += p.y + p.h/2; }
+      return { x: x / hunting.length, y: y / hunting.length };
+    }
+
+    // The player still in whose centre is closest to (x, y), and how far.
+    function nearestChaser(x, y){
+      let best = hunting[0], bd = Infinity;
+      for (const p of hunting){
+        const d = Math.hypot(p.x + p.w/2 - x, p.y + p.h/2 - y);
+        if (d < bd){ bd = d; best = p; }
+      }
+      return { p: best, d: bd };
+    }
+
+    // Who gets a target or pickup that players still in are touching (null: nobody). Two
+    // at once → the one whose centre is nearer; a dead heat goes to each in turn (the
+    // count restarts with the run), so neither side of a versus party wins every tie.
+    let ties = 0;
+    function claimant(e){
+      const ex = e.x + e.w/2, ey = e.y + e.h/2;
+      let best = [], bd = Infinity;
+      for (const p of hunting){
+        if (!rectsOverlap(p, e)) continue;
+        const d = Math.hypot(p.x + p.w/2 - ex, p.y + p.h/2 - ey);
+        if (d < bd){ bd = d; best = [p]; }
+        else if (d === bd) best.push(p);
+      }
+      return best.length > 1 ? best[ties++ % best.length] : best[0] || null;
+    }
+
+    // A pool ran dry: everyone on it is out. Returns true when that ends the run.
+    function knockOut(pool){
+      for (const p of pool.players) p.out = true;
+      hunting = chasers.filter(p => !p.out);
+      if (!hunting.length){
+        alive = false;
+        emit('death', { score, elapsed, winner: versusWinner() });
+        return true;
+      }
+      for (const p of pool.players) emit('out', { player: p.index });
+      return false;
+    }
+
+    // Versus only, once the run is over: index of the higher score, -1 on a tie.
+    function versusWinner(){
+      if (!partyDef.versus || alive) return null;
+      const [a, b] = chasers;
+      return a.score === b.score ? -1 : a.score > b.score ? 0 : 1;
+    }
+
+    // ---------------------------
+    // MODULE 5: Helpers
+    // ---------------------------
+    function clamp(v,min,max){return Math.max(min,Math.min(max,v));}
+    function rectsOverlap(a,b){
+      return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+    }
+    // px/py: where a player or target stood before the last tick, so a renderer can draw
+    // between ticks. Jumps (seating, blinks, resize) settle both, so nothing streaks across.
+    function settle(e){ e.px = e.x; e.py = e.y; }
+
+    // ---------------------------
+    // MODULE 5.1: Obstacles
+    // ---------------------------
+    // Takes effect on the next restart(), like setDifficulty().
+    function setLayout(l){ resolveLayout(l); layout = l; }
+
+    function buildObstacles(){
+      const def = resolveLayout(layout);
+      obstacles.length = 0;
+      for (const [x, y, w, h] of def.obstacles){
+        obstacles.push({
+          x: Math.round(x * arena.width), y: Math.round(y * arena.height),
+          w: Math.round(w * arena.width), h: Math.round(h * arena.height),
+        });
+      }
+      const start = def.start || DEFAULT_START;
+      return { x: Math.round(start[0] * arena.width), y: Math.round(start[1] * arena.height) };
+    }
+
+    function hitsObstacle(r, pad){
+      pad = pad || 0;
+      for (const o of obstacles){
+        if (r.x < o.x + o.w + pad && r.x + r.w > o.x - pad && r.y < o.y + o.h + pad && r.y + r.h > o.y - pad) return o;
+      }
+      return null;
+    }
+
+    // Move one axis at a time and stop flush against whatever was hit. Speeds stay
+    // well under the thinnest obstacle per tick, so there's no tunnelling to handle.
+    function moveAndCollide(e, dx, dy){
+      let hitX = false, hitY = false;
+      e.x += dx;
+      if (dx && obstacles.length) for (const o of obstacles){
+        if (rectsOverlap(e, o)){ e.x = dx > 0 ? o.x - e.w : o.x + o.w; hitX = true; }
+      }
+      e.y += dy;
+      if (dy && obstacles.length) for (const o of obstacles){
+        if (rectsOverlap(e, o)){ e.y = dy > 0 ? o.y - e.h : o.y + o.h; hitY = true; }
+      }
+      return { hitX, hitY };
+    }
+
+    // Push something that ended up inside an obstacle (magnet, blink, resize…) out
+    // along the shallowest axis, then back inside the arena.
+    function resolveOverlap(e){
+      for (let pass = 0; pass < 4; pass++){
+        const o = hitsObstacle(e);
+        if (!o) break;
+        const left = e.x + e.w - o.x, right = o.x + o.w - e.x, up = e.y + e.h - o.y, down = o.y + o.h - e.y;
+        const m = Math.min(left, right, up, down);
+        if (m === left) e.x -= left; else if (m === right) e.x += right;
+        else if (m === up) e.y -= up; else e.y += down;
+      }
+      e.x = clamp(e.x, 0, Math.max(0, arena.width  - e.w));
+      e.y = clamp(e.y, 0, Math.max(0, arena.height - e.h));
+    }
+
+    // Does the segment (x0,y0)→(x1,y1) pass through any obstacle? (slab test)
+    function blocked(x0, y0, x1, y1){
+      const dx = x1 - x0, dy = y1 - y0;
+      for (const o of obstacles){
+        let t0 = 0, t1 = 1;
+        const clip = (p, q) => {
+          if (p === 0) return q >= 0;
+          const r = q / p;
+          if (p < 0){ if (r > t1) return false; if (r > t0) t0 = r; }
+          else      { if (r < t0) return false; if (r < t1) t1 = r; }
+          return true;
+        };
+        if (clip(-dx, x0 - o.x) && clip(dx, o.x + o.w - x0) && clip(-dy, y0 - o.y) && clip(dy, o.y + o.h - y0)) return true;
+      }
+      return false;
+    }
+
+    // Closest obstacle face to a rect's centre: distance to it and its outward normal.
+    function nearestObstacle(e){
+      const cx = e.x + e.w/2, cy = e.y + e.h/2;
+      let best = null;
+      for (const o of obstacles){
+        const qx = clamp(cx, o.x, o.x + o.w), qy = clamp(cy, o.y, o.y + o.h);
+        const dx = cx - qx, dy = cy - qy, l = Math.hypot(dx, dy) || 1;
+        const nx = dx / l, ny = dy / l;
+        // gap between the rect's own edge and the face, not its centre
+        const d = Math.max(0, Math.hypot(dx, dy) - (Math.abs(nx)*e.w + Math.abs(ny)*e.h)/2);
+        if (!best || d < best.d) best = { o, d, nx, ny, qx, qy };
+      }
+      return best;
+    }
+
+    // ---------------------------
+    // MODULE 5.2: Spatial grid
+    // ---------------------------
+    // Uniform grid of target centres, rebuilt once per update() so the neighbour
+    // queries (separation 7.3, dispersion 7.11, catch checks 8) only visit nearby
+    // cells instead of every target. Cells are linked lists in typed arrays, so a
+    // rebuild allocates nothing once sized. Targets keep moving during the tick:
+    // queries pad their radius by GRID_SLACK, and a target caught mid-tick is
+    // dropped with gridRemove() (each target remembers its slot in _gi).
+    const GRID_SLACK = 16; // px; more than any target moves in one tick
+    const _GRID = { cell: 1, cols: 0, rows: 0, heads: new Int32Array(0), next: new Int32Array(0), items: [] };
+
+    function gridCell(x, y){
+      const g = _GRID;
+      const c = clamp(Math.floor(x / g.cell), 0, g.cols - 1), r = clamp(Math.floor(y / g.cell), 0, g.rows - 1);
+      return r * g.cols + c;
+    }
+
+    function gridBuild(){
+      const g = _GRID;
+      g.cell = Math.max(32, AI_CFG.SEP_RADIUS / 2, AI_PROFILE.DISPERSION_MIN_SPACING / 2);
+      g.cols = Math.max(1, Math.ceil(arena.width  / g.cell));
+      g.rows = Math.max(1, Math.ceil(arena.height / g.cell));
+      if (g.heads.length < g.cols * g.rows) g.heads = new Int32Array(g.cols * g.rows);
+      if (g.next.length < targets.length) g.next = new Int32Array(Math.max(64, targets.length * 2));
+      g.heads.fill(-1, 0, g.cols * g.rows);
+      g.items.length = 0;
+      for (let i = 0; i < targets.length; i++){
+        const t = targets[i], c = gridCell(t.x + t.w/2, t.y + t.h/2);
+        g.items.push(t);
+        t._gi = i;
+        g.next[i] = g.heads[c];
+        g.heads[c] = i;
+      }
+    }
+
+    // fn(o) for every indexed target whose centre is within `radius` + GRID_SLACK of
+    // (x, y). A superset: callers still check the actual distance.
+    function gridQuery(x, y, radius, fn){
+      const g = _GRID, r = radius + GRID_SLACK, r2 = r * r;
+      const c0 = clamp(Math.floor((x - r) / g.cell), 0, g.cols - 1), c1 = clamp(Math.floor((x + r) / g.cell), 0, g.cols - 1);
+      const r0 = clamp(Math.floor((y - r) / g.cell), 0, g.rows - 1), r1 = clamp(Math.floor((y + r) / g.cell), 0, g.rows - 1);
+      for (let row = r0; row <= r1; row++){
+        for (let col = c0; col <= c1; col++){
+          for (let i = g.heads[row * g.cols + col]; i >= 0; i = g.next[i]){
+            const o = g.items[i];
+            if (!o) continue;
+            const dx = o.x + o.w/2 - x, dy = o.y + o.h/2 - y;
+            if (dx*dx + dy*dy <= r2) fn(o);
+          }
+        }
+      }
+    }
+
+    function gridRemove(t){
+      if (_GRID.items[t._gi] === t) _GRID.items[t._gi] = null;
+    }
+
+    // ---------------------------
+    // MODULE 6: Spawning & Cap (wave script)
+    // ---------------------------
+    function archetypeOf(t){ return ARCHETYPES[t.kind] || ARCHETYPES[DEFAULT_ARCHETYPE]; }
+
+    function targetSize(kind){ return Math.round(CFG.TARGET_SIZE * ARCHETYPES[kind].size); }
+
+    function makeTarget(kind){
+      const a = ARCHETYPES[kind];
+      const w=targetSize(kind), h=w;
+      return {
+        id: ++targetIds,              // unique within a run (network clients match targets by it)
+        kind,
+        x: rng() * (arena.width  - w),
+        y: rng() * (arena.height - h),
+        w, h,
+        vx:0, vy:0,
+        armor: (a.touches || 1) - 1,  // extra touches left before it counts as caught
+        invuln: 0,                    // s after losing armor during which touches don't count
+        born: elapsed,                // run time it spawned at (s)
+      };
+    }
+
+    function spawnAvoidingPlayer(kind){
+      kind = kind || rollArchetype();
+      const w=targetSize(kind), h=w;
+      for(let i=0;i<20;i++){
+        const t = makeTarget(kind);
+        if (!hunting.some(p => rectsOverlap(p, t)) && !hitsObstacle(t, 4)) return t;
+      }
+      // fallback: bottom-right corner, nudged out of anything in the way
+      const t = Object.assign(makeTarget(kind), { x: arena.width-w-10, y: arena.height-h-10 });
+      resolveOverlap(t);
+      return t;
+    }
+
+    // Targets the wave on the board spawns with (the classic 1 + elapsed/TIME_STEP_SEC
+    // curve for timeCap scripts), never more than the script's maxCap.
+    function targetCap(){
+      const n = currentWave().count + (scriptDef.timeCap ? Math.floor(elapsed / CFG.TIME_STEP_SEC) : 0);
+      return scriptDef.maxCap ? Math.min(n, scriptDef.maxCap) : n;
+    }
+
+    // ---------------------------
+    // MODULE 6.1: Pickups
+    // ---------------------------
+    // Spawn on a timer, expire after PICKUP_LIFETIME, apply on touch. Effects are
+    // plain countdowns in `effects`, so pausing the sim pauses them too.
+    function rollPickupTimer(){
+      pickupTimer = CFG.PICKUP_SPAWN_MIN + rng() * (CFG.PICKUP_SPAWN_MAX - CFG.PICKUP_SPAWN_MIN);
+    }
+
+    function rollPickupKind(){
+      const kinds = Object.keys(PICKUP_KINDS);
+      let total = 0;
+      for (const k of kinds) total += PICKUP_KINDS[k].weight;
+      let r = rng() * total;
+      for (const k of kinds){ r -= PICKUP_KINDS[k].weight; if (r < 0) return k; }
+      return kinds[kinds.length - 1];
+    }
+
+    function spawnPickup(){
+      const s = CFG.PICKUP_SIZE;
+      const kind = rollPickupKind();
+      for (let i=0;i<20;i++){
+        const x = 20 + rng() * (arena.width  - s - 40);
+        const y = 20 + rng() * (arena.height - s - 40);
+        if (nearestChaser(x + s/2, y + s/2).d >= CFG.PICKUP_SPAWN_CLEARANCE &&
+            !hitsObstacle({ x, y, w: s, h: s }, 4)){
+          return { kind, x, y, w: s, h: s, ttl: CFG.PICKUP_LIFETIME };
+        }
+      }
+      return null; // board too crowded around the player; try again next timer
+    }
+
+    // by: the player who grabbed it (heal goes to their pool)
+    function applyPickup(kind, by){
+      switch(kind){
+        case 'boost':  effects.boost  = CFG.BOOST_TIME; break;
+        case 'magnet': effects.magnet = CFG.MAGNET_TIME; break;
+        case 'freeze': effects.freeze = CFG.FREEZE_TIME; break;
+        case 'heal':
+          by.pool.hp = clamp(by.pool.hp + CFG.HEAL_AMOUNT, 0, CFG.HEALTH_MAX);
+          effects.heal = 1;
+          break;
+      }
+    }
+
+    function pickupsTick(dt){
+      for (const k in effects) effects[k] = Math.max(0, effects[k] - dt);
+      for (const c of chasers) c.speed = CFG.PLAYER_SPEED * (effects.boost > 0 ? CFG.BOOST_MULT : 1);
+
+      for (let i = pickups.length - 1; i >= 0; i--){
+        const p = pickups[i];
+        p.ttl -= dt;
+        const by = claimant(p);
+        if (by){ applyPickup(p.kind, by); pickups.splice(i, 1); emit('pickup', { kind: p.kind, player: by.index }); }
+        else if (p.ttl <= 0) pickups.splice(i, 1);
+      }
+
+      pickupTimer -= dt;
+      if (pickupTimer <= 0){
+        rollPickupTimer();
+        if (pickups.length < CFG.PICKUP_MAX){
+          const p = spawnPickup();
+          if (p) pickups.push(p);
+        }
+      }
+    }
+
+    // ---------------------------
+    // MODULE 6.2: Archetypes
+    // ---------------------------
+    // A wave's mix replaces the archetype weights (and the minCap gate) outright.
+    function rollArchetype(mix){
+      const cap = targetCap();
+      const weight = mix ? (k => mix[k] || 0) : (k => ARCHETYPES[k].weight);
+      const kinds = Object.keys(mix || ARCHETYPES).filter(k => weight(k) > 0 && (mix || cap >= ARCHETYPES[k].minCap));
+      let total = 0;
+      for (const k of kinds) total += weight(k);
+      let r = rng() * total;
+      for (const k of kinds){ r -= weight(k); if (r < 0) return k; }
+      return kinds[kinds.length - 1] || DEFAULT_ARCHETYPE;
+    }
+
+    // Player `by` touched target i. Returns false if the run ended (decoy took the last HP).
+    function touchTarget(i, by){
+      const t = targets[i], a = archetypeOf(t);
+      if (t.invuln > 0) return true;
+
+      if (t.armor > 0){
+        // lose a plate, get shoved away and ignore touches for a moment
+        t.armor--;
+        t.invuln = 0.6;
+        const dx = (t.x + t.w/2) - (by.x + by.w/2), dy = (t.y + t.h/2) - (by.y + by.h/2);
+        const d = Math.hypot(dx, dy) || 1;
+        const v = CFG.TARGET_MAX_SPEED * a.speed * 1.5;
+        t.vx = dx/d * v; t.vy = dy/d * v;
+        emit('hit', { target: t, armor: t.armor, x: t.x + t.w/2, y: t.y + t.h/2 });
+        return true;
+      }
+
+      targets.splice(i, 1);
+      gridRemove(t);
+      if (a.hpCost){
+        const pool = by.pool, before = pool.hp;
+        if (modeDef.health !== false) pool.hp = clamp(pool.hp - a.hpCost, 0, CFG.HEALTH_MAX);
+        breakCombo(by);
+        emit('decoy', { target: t, hp: pool.hp, player: by.index, x: t.x + t.w/2, y: t.y + t.h/2 });
+        if (pool.hp < before) emit('damage', { player: by.index, amount: before - pool.hp, hp: pool.hp, cause: 'decoy' });
+        return pool.hp > 0 || !knockOut(pool);
+      }
+
+      const got = scoreCatch(t, by);
+      emit('catch', { target: t, kind: t.kind, points: got.points, mult: got.mult, juke: got.juke, lowHp: got.lowHp,
+                      player: by.index, x: t.x + t.w/2, y: t.y + t.h/2 });
+      if (a.split){
+        const shards = [];
+        for (let k = 0; k < a.split.count; k++){
+          const s = makeTarget(a.split.into);
+          const ang = rng() * Math.PI * 2, v = CFG.TARGET_MAX_SPEED * ARCHETYPES[s.kind].speed;
+          s.x = clamp(t.x + t.w/2 - s.w/2 + Math.cos(ang) * t.w, 0, arena.width  - s.w);
+          s.y = clamp(t.y + t.h/2 - s.h/2 + Math.sin(ang) * t.h, 0, arena.height - s.h);
+          s.vx = Math.cos(ang) * v; s.vy = Math.sin(ang) * v;
+          resolveOverlap(s);
+          s.invuln = 0.3; // don't vanish in the same touch that made them
+          shards.push(s);
+          addTarget(s);
+        }
+        emit('split', { target: t, shards });
+      }
+      return true;
+    }
+
+    // Magnet: drag targets in range toward the nearest player, stronger the closer they are.
+    // Decoys are left alone (the magnet is a power-up, not a trap).
+    function magnetPull(t, dt){
+      if (archetypeOf(t).hpCost) return;
+      const p = nearestChaser(t.x + t.w/2, t.y + t.h/2).p;
+      const pcx = p.x + p.w/2, pcy = p.y + p.h/2;
+      const dx = pcx - (t.x + t.w/2), dy = pcy - (t.y + t.h/2);
+      const d = Math.hypot(dx, dy);
+      if (d <= 0 || d >= CFG.MAGNET_RADIUS) return;
+      const k = CFG.MAGNET_PULL * (1 - d / CFG.MAGNET_RADIUS) * dt;
+      t.x = clamp(t.x + dx/d * k, 0, arena.width  - t.w);
+      t.y = clamp(t.y + dy/d * k, 0, arena.height - t.h);
+      resolveOverlap(t);
+    }
+
+    // ---------------------------
+    // MODULE 6.3: Waves
+    // ---------------------------
+    // Takes effect on the next restart(), like setLayout().
+    function setScript(s){ resolveScript(s); script = s; }
+
+    // 1-based wave number → index into scriptDef.waves; -1 once a repeat: 'none' script has run out.
+    function waveIndex(n){
+      const len = scriptDef.waves.length;
+      if (n <= len) return n - 1;
+      if (scriptDef.repeat === 'loop') return (n - 1) % len;
+      return scriptDef.repeat === 'none' ? -1 : len - 1;
+    }
+
+    function currentWave(){
+      const i = waveIndex(Math.max(1, wave.number));
+      return scriptDef.waves[i < 0 ? scriptDef.waves.length - 1 : i];
+    }
+
+    // Targets that still have to be caught (decoys never do).
+    function liveCount(){
+      let n = 0;
+      for (const t of targets) if (!archetypeOf(t).hpCost) n++;
+      return n;
+    }
+
+    function addTarget(t){
+      targets.push(t);
+      if (!archetypeOf(t).hpCost) wave.size++;
+      emit('spawn', { target: t, kind: t.kind, x: t.x + t.w/2, y: t.y + t.h/2 });
+    }
+
+    // Swaps the previous wave's CFG / AI_CFG / AI_PROFILE overrides for this one's.
+    // Skipped when neither has any, so plain scripts never touch the live config.
+    let waveCfgFrom = null;
+    function applyWaveConfig(w){
+      if (w === waveCfgFrom) return;
+      waveCfgFrom = w;
+      const had = Object.keys(waveCfg).some(g => Object.keys(waveCfg[g]).length);
+      const has = Object.keys(waveCfg).some(g => w[g] && Object.keys(w[g]).length);
+      if (!had && !has) return;
+      for (const g of Object.keys(waveCfg)){
+        for (const k of Object.keys(waveCfg[g])) delete waveCfg[g][k];
+        Object.assign(waveCfg[g], w[g]);
+      }
+      setDifficulty(difficulty);
+      applyConfig();
+    }
+
+    // Centre point (px) for the k-th of n targets of a wave; null = anywhere away
+    // from the player(s). `offset` (0..1) rotates the evenly spaced patterns.
+    function spawnPoint(pattern, k, n, offset){
+      const W = arena.width, H = arena.height, m = 30;
+      const { x: pcx, y: pcy } = chaserCentre();
+      if (Array.isArray(pattern)){
+        const p = pattern[k % pattern.length];
+        return { x: p[0] * W, y: p[1] * H };
+      }
+      switch (pattern){
+        case 'edges': { // evenly around the border
+          const sides = [W - 2*m, H - 2*m, W - 2*m, H - 2*m];
+          let u = ((offset + k / n) % 1) * (sides[0] + sides[1]) * 2;
+          if (u < sides[0]) return { x: m + u, y: m };                u -= sides[0];
+          if (u < sides[1]) return { x: W - m, y: m + u };            u -= sides[1];
+          if (u < sides[2]) return { x: W - m - u, y: H - m };        u -= sides[2];
+          return { x: m, y: H - m - u };
+        }
+        case 'corners': { // farthest from the player first
+          const cs = [[m, m], [W - m, m], [W - m, H - m], [m, H - m]]
+            .sort((a, b) => Math.hypot(b[0] - pcx, b[1] - pcy) - Math.hypot(a[0] - pcx, a[1] - pcy));
+          return { x: cs[k % 4][0], y: cs[k % 4][1] };
+        }
+        case 'ring': { // evenly around the player, a third of the arena away
+          const r = Math.min(W, H) * 0.35, a = (offset + k / n) * Math.PI * 2;
+          return { x: clamp(pcx + Math.cos(a) * r, m, W - m), y: clamp(pcy + Math.sin(a) * r, m, H - m) };
+        }
+        case 'far': { // best of a few random points
+          let best = null, bd = -1;
+          for (let i = 0; i < 8; i++){
+            const x = m + rng() * (W - 2*m), y = m + rng() * (H - 2*m), d = Math.hypot(x - pcx, y - pcy);
+            if (d > bd){ bd = d; best = { x, y }; }
+          }
+          return best;
+        }
+        default: return null;
+      }
+    }
+
+    function spawnForWave(w, k, n, offset){
+      const kind = rollArchetype(w.mix);
+      const p = spawnPoint(w.spawn || 'random', k, n, offset);
+      if (!p) return spawnAvoidingPlayer(kind);
+      const t = makeTarget(kind);
+      t.x = clamp(p.x - t.w/2, 0, arena.width  - t.w);
+      t.y = clamp(p.y - t.h/2, 0, arena.height - t.h);
+      resolveOverlap(t);
+      return hunting.some(p => rectsOverlap(p, t)) ? spawnAvoidingPlayer(kind) : t;
+    }
+
+    // Puts the next wave on the board. Survivors of a timed-out wave stay and count
+    // toward its size; maxCap limits the total. The caller emits 'wave'.
+    function startWave(){
+      wave.number++;
+      wave.time = 0;
+      const w = currentWave();
+      applyWaveConfig(w);
+      wave.size = liveCount();
+      let n = targetCap();
+      if (scriptDef.maxCap) n = Math.min(n, scriptDef.maxCap - targets.length);
+      const offset = (w.spawn === 'edges' || w.spawn === 'ring') ? rng() : 0;
+      for (let k = 0; k < n; k++) addTarget(spawnForWave(w, k, n, offset));
+    }
+
+    function waveInfo(){
+      const w = currentWave(), more = waveIndex(wave.number + 1) >= 0;
+      return {
+        number: wave.number,
+        total: scriptDef.repeat === 'none' ? scriptDef.waves.length : null,
+        time: wave.time,
+        size: wave.size,
+        left: liveCount(),
+        timeLeft: w.timeLimit && more ? Math.max(0, w.timeLimit - wave.time) : null,
+      };
+    }
+
+
+    // ---------------------------
+    // MODULE 6.4: Scoring
+    // ---------------------------
+    // A catch is worth its archetype's points plus risk bonuses (mid-juke, low HP), all
+    // times the catcher's combo multiplier. Catches less than COMBO_WINDOW s apart chain,
+    // each link adding COMBO_MULT_STEP; a decoy breaks the chain. A wave cleared under
+    // par pays a clear-speed bonus to whoever made the last catch. `breakdown` says
+    // where the run's points came from (`combo` is the multiplier's share).
+    const breakdown = { base: 0, combo: 0, juke: 0, lowHp: 0, clear: 0 };
+    let bestChain = 0;
+    let lastCatcher = null;  // gets the clear bonus
+
+    function breakCombo(p){ Object.assign(p.combo, { chain: 0, mult: 1, time: 0 }); }
+
+    function award(by, points){ score += points; by.score += points; }
+
+    // Extends `by`'s chain and pays out. → { points, mult, juke, lowHp } (bonus points)
+    function scoreCatch(t, by){
+      const c = by.combo;
+      c.chain++;
+      c.mult = Math.min(CFG.COMBO_MULT_MAX, 1 + CFG.COMBO_MULT_STEP * (c.chain - 1));
+      c.time = CFG.COMBO_WINDOW;
+      bestChain = Math.max(bestChain, c.chain);
+      lastCatcher = by;
+
+      const base = archetypeOf(t).score;
+      const juke = t._ai && t._ai.jukeTime > 0 ? CFG.JUKE_CATCH_BONUS : 0;
+      const lowHp = by.pool.hp < CFG.HEALTH_MAX * CFG.HEALTH_LOW_PCT ? CFG.LOW_HP_BONUS : 0;
+      const points = Math.round((base + juke + lowHp) * c.mult);
+      breakdown.base += base; breakdown.juke += juke; breakdown.lowHp += lowHp;
+      breakdown.combo += points - base - juke - lowHp;
+      award(by, points);
+      return { points, mult: c.mult, juke, lowHp };
+    }
+
+    function scoringTick(dt){
+      for (const p of chasers){
+        const c = p.combo;
+        if (c.time > 0 && (c.time = Math.max(0, c.time - dt)) === 0) breakCombo(p);
+      }
+    }
+
+    // Called as the wave on the board is cleared. → bonus paid (0 past par)
+    function clearBonus(){
+      const par = CFG.CLEAR_PAR_SEC * wave.size;
+      if (!lastCatcher || wave.time >= par) return 0;
+      const bonus = Math.ceil(CFG.CLEAR_BONUS * wave.size * (1 - wave.time / par));
+      breakdown.clear += bonus;
+      award(lastCatcher, bonus);
+      return bonus;
+    }
+
+    function resetScoring(){
+      score = 0;
+      for (const k in breakdown) breakdown[k] = 0;
+      bestChain = 0;
+      lastCatcher = null;
+    }
+
+
+    // MODULE 7.2: AI_STATE — per-target lazy init + helpers
+    function aiInit(t){
+      if (t._ai) return;
+      t._ai = {
+        wanderTimer: rng()*AI_CFG.WANDER_T,
+        wanderPhase: rng()*Math.PI*2,
+        lastSteerX: 0, lastSteerY: 0,
+
+        // Juke
+        jukeTime: 0,
+        jukeCool: 0,
+        jukeDirX: 0, jukeDirY: 0,
+        jukes: 0,            // started this life (run stats)
+
+        // Patrol
+        patrolTime: 0,
+        patrolCool: 0,
+        patrolDirX: 0, patrolDirY: 0,
+        patrols: 0,
+
+        // Corner pop (7.16)
+        popTime: 0,
+        popCool: 0,
+        popDirX: 0, popDirY: 0,
+        pinned: false,       // in a corner with the player close (the pop's test) last tick…
+        corners: 0,          // …and how many times it got there (run stats)
+
+        // Squad (7.17): role 'bait' | 'flank' | null, forced corner exit
+        role: null,
+        flankDirX: 0, flankDirY: 0,
+        cornerIdle: 0,
+        exitTime: 0,
+        exitDirX: 0, exitDirY: 0,
+      };
+    }
+
+    // Where player p will be in AI_CFG.LEAD s; (ox, oy) is where it is now.
+    function aiPredictOne(p) {
+      const di = readInput(p.index);
+      const dx = di.dx, dy = di.dy;
+      const px = (p.x + p.w/2) + dx * p.speed * AI_CFG.LEAD;
+      const py = (p.y + p.h/2) + dy * p.speed * AI_CFG.LEAD;
+      const hv = Math.hypot(dx,dy); // player heading magnitude (0..1)
+      return {px, py, hx:dx, hy:dy, hv, ox: p.x + p.w/2, oy: p.y + p.h/2};
+    }
+
+    // The threat target t reacts to. With two players in, it's a field: each pushes t
+    // away along its own line, weighted 1/distance², and the threat point sits on the
+    // summed push at the nearer player's distance, so the nearer one dominates but the
+    // other still bends the escape route. Heading and (ox, oy) are the nearer player's.
+    function aiPredictPlayer(t) {
+      if (hunting.length < 2) return aiPredictOne(hunting[0] || player);
+      const cx = t.x + t.w/2, cy = t.y + t.h/2;
+      let fx = 0, fy = 0, near = null, nd = Infinity;
+      for (const p of hunting){
+        const q = aiPredictOne(p);
+        const dx = cx - q.px, dy = cy - q.py, d = Math.hypot(dx, dy) || 1;
+        fx += dx / (d*d); fy += dy / (d*d);
+        if (d < nd){ nd = d; near = q; }
+      }
+      const fl = Math.hypot(fx, fy) || 1;
+      near.px = cx - fx/fl * nd; near.py = cy - fy/fl * nd;
+      return near;
+    }
+
+    function aiNearEdges(t){
+      const L = t.x < AI_CFG.CORNER_NEAR_EDGE;
+      const R = t.x > arena.width - t.w - AI_CFG.CORNER_NEAR_EDGE;
+      const T = t.y < AI_CFG.CORNER_NEAR_EDGE;
+      const B = t.y > arena.height - t.h - AI_CFG.CORNER_NEAR_EDGE;
+      return {L,R,T,B, inCorner: (L||R)&&(T||B)};
+    }
+
+
+    // MODULE 7.3: AI_STEER_BASE — flee/orbit + separation + walls
+    function aiSteerBase(t, pred){
+      const {px, py} = pred;
+      const cx = t.x + t.w/2, cy = t.y + t.h/2;
+      const toX = px - cx, toY = py - cy;
+      const d   = Math.hypot(toX, toY) || 1;
+
+      const awayX = -toX/d, awayY = -toY/d;
+      const tangX = -awayY,  tangY =  awayX;
+
+      const near = Math.min(1, Math.max(0, (AI_CFG.ORBIT_DIST - d)/AI_CFG.ORBIT_DIST));
+      let sx = awayX * (0.75 + 0.25*near) + tangX * (AI_CFG.ORBIT_FORCE * near);
+      let sy = awayY * (0.75 + 0.25*near) + tangY * (AI_CFG.ORBIT_FORCE * near);
+
+      // Separation (neighbours from the grid, 5.2)
+      let sepX=0, sepY=0;
+      gridQuery(cx, cy, AI_CFG.SEP_RADIUS, o => {
+        if (o===t) return;
+        const ox = o.x + o.w/2, oy = o.y + o.h/2;
+        const dx = cx - ox, dy = cy - oy, dist = Math.hypot(dx,dy);
+        if (dist>0 && dist<AI_CFG.SEP_RADIUS){
+          const s = (AI_CFG.SEP_RADIUS - dist)/AI_CFG.SEP_RADIUS;
+          sepX += (dx/dist)*s; sepY += (dy/dist)*s;
+        }
+      });
+      if (sepX||sepY){
+        const sl = Math.hypot(sepX,sepY)||1;
+        sepX = (sepX/sl)*AI_CFG.SEP_FORCE;
+        sepY = (sepY/sl)*AI_CFG.SEP_FORCE;
+        sx += sepX; sy += sepY;
+      }
+
+      // Wall repel + slide
+      const m = AI_CFG.WALL_REPEL_MARGIN;
+      if (t.x < m)                                   sx += (cx > px ? 0.4 : 0.2);
+      if (t.x > arena.width - t.w - m)               sx += (cx < px ? -0.4 : -0.2);
+      if (t.y < m)                                   sy += (cy > py ? 0.4 : 0.2);
+      if (t.y > arena.height - t.h - m)              sy += (cy < py ? -0.4 : -0.2);
+      const edge = aiNearEdges(t);
+      if (edge.L || edge.R) sy += (cy > py ? 1 : -1) * AI_CFG.SLIDE_FORCE;
+      if (edge.T || edge.B) sx += (cx > px ? 1 : -1) * AI_CFG.SLIDE_FORCE;
+
+      // Obstacle faces count as walls: repel off them and slide along them, toward
+      // whichever end takes the cube further from the player (no getting pinned).
+      let obsX = 0, obsY = 0;
+      const om = AI_CFG.OBSTACLE_REPEL_MARGIN;
+      for (const o of obstacles){
+        const qx = clamp(cx, o.x, o.x + o.w), qy = clamp(cy, o.y, o.y + o.h);
+        const ox = cx - qx, oy = cy - qy, od = Math.hypot(ox, oy);
+        if (od <= 0) continue;
+        const nx = ox/od, ny = oy/od, tx = -ny, ty = nx;
+        const gap = od - (Math.abs(nx)*t.w + Math.abs(ny)*t.h)/2;
+        if (gap >= om) continue;
+        const k = (om - Math.max(0, gap)) / om;
+        const side = (tx*(cx - px) + ty*(cy - py)) >= 0 ? 1 : -1;
+        obsX += (nx * AI_CFG.OBSTACLE_REPEL + tx * side * AI_CFG.OBSTACLE_SLIDE) * k;
+        obsY += (ny * AI_CFG.OBSTACLE_REPEL + ty * side * AI_CFG.OBSTACLE_SLIDE) * k;
+      }
+      sx += obsX; sy += obsY;
+
+      return {sx, sy, d, cx, cy, sepX, sepY, obsX, obsY};
+    }
+
+
+    // MODULE 7.4: AI_JUKE — timed lateral bursts when player bears down
+    function aiApplyJuke(t, base, pred, dt){
+      const s = t._ai;
+      // cooldown timers
+      s.jukeCool = Math.max(0, s.jukeCool - dt);
+      s.jukeTime = Math.max(0, s.jukeTime - dt);
+
+      const {px, py, hx, hy, hv} = pred;
+      const {cx, cy, d} = base;
+
+      // If already juking, apply ongoing push
+      if (s.jukeTime > 0){
+        base.sx += s.jukeDirX * AI_CFG.JUKE_PUSH;
+        base.sy += s.jukeDirY * AI_CFG.JUKE_PUSH;
+        return base;
+      }
+
+      // Consider starting a juke if close and player heading largely toward target
+      // (and nobody else just did — the squad gate staggers them, 7.17)
+      if (d < AI_CFG.JUKE_CLOSE_DIST * archetypeOf(t).wary && s.jukeCool === 0 && hv > 0.3 && _SQUAD.jukeGate === 0){
+        const toTX = cx - pred.ox;
+        const toTY = cy - pred.oy;
+        const toTL = Math.hypot(toTX,toTY)||1;
+        const nhx = hx/(Math.hypot(hx,hy)||1), nhy = hy/(Math.hypot(hx,hy)||1);
+        const dot = ( (toTX/toTL)*nhx + (toTY/toTL)*nhy ); // cos(theta)
+
+        if (dot > AI_CFG.JUKE_TRIGGER_ANGLE){
+          // Choose lateral dir perpendicular to away vector
+          const awayX = (cx - px) / (Math.hypot(cx-px, cy-py)||1);
+          const awayY = (cy - py) / (Math.hypot(cx-px, cy-py)||1);
+          // Two options: left/right
+          const lx = -awayY, ly =  awayX;
+          const rx =  awayY, ry = -awayX;
+
+          // Pick the one that increases distance from predicted player point
+          const sL = (cx + lx*40 - px)**2 + (cy + ly*40 - py)**2;
+          const sR = (cx + rx*40 - px)**2 + (cy + ry*40 - py)**2;
+          if (sL > sR){ s.jukeDirX = lx; s.jukeDirY = ly; }
+          else        { s.jukeDirX = rx; s.jukeDirY = ry; }
+
+          s.jukeTime = AI_CFG.JUKE_DURATION;
+          s.jukes++;
+          s.jukeCool = AI_CFG.JUKE_COOLDOWN + rng()*0.4;
+          _SQUAD.jukeGate = AI_PROFILE.JUKE_STAGGER_MIN + rng()*(AI_PROFILE.JUKE_STAGGER_MAX - AI_PROFILE.JUKE_STAGGER_MIN);
+        }
+      }
+      return base;
+    }
+
+
+    // MODULE 7.5: AI_PATROL — proactive anti-corner if player not near
+    function aiApplyPatrol(t, base, pred, dt){
+      const s = t._ai;
+      s.patrolCool = Math.max(0, s.patrolCool - dt);
+      s.patrolTime = Math.max(0, s.patrolTime - dt);
+
+      const {cx, cy, d} = base;
+      const edge = aiNearEdges(t);
+
+      // If already patrolling, keep nudging off edges
+      if (s.patrolTime > 0){
+        base.sx += s.patrolDirX * AI_CFG.PATROL_PUSH;
+        base.sy += s.patrolDirY * AI_CFG.PATROL_PUSH;
+        return base;
+      }
+
+      // Only start patrol if player is NOT close and we are hugging a wall/corner
+      const playerFar = d > AI_CFG.ORBIT_DIST * 0.9;
+      const ob = obstacles.length ? nearestObstacle(t) : null;
+      const onObstacle = !!ob && ob.d < AI_CFG.CORNER_NEAR_EDGE;
+      const onEdge = edge.inCorner || edge.L || edge.R || edge.T || edge.B || onObstacle;
+
+      if (playerFar && onEdge && s.patrolCool === 0){
+        // Choose a “safer band” inside the arena
+        const targetX = Math.min(
+          arena.width - AI_CFG.SAFE_BAND,
+          Math.max(AI_CFG.SAFE_BAND, cx)
+        );
+        const targetY = Math.min(
+          arena.height - AI_CFG.SAFE_BAND,
+          Math.max(AI_CFG.SAFE_BAND, cy)
+        );
+
+        // Bias away from the closer wall
+        let dirX = Math.sign(targetX - cx);
+        let dirY = Math.sign(targetY - cy);
+        if (onObstacle){ dirX += ob.nx; dirY += ob.ny; } // and off the obstacle face
+
+        // Small tangential component so they don’t drift straight into you
+        const tangX = -(pred.py - cy); // rotate by 90°
+        const tangY =  (pred.px - cx);
+        const tL = Math.hypot(tangX, tangY) || 1;
+        dirX = 0.75*dirX + 0.25*(tangX/tL);
+        dirY = 0.75*dirY + 0.25*(tangY/tL);
+        const n = Math.hypot(dirX,dirY)||1;
+
+        s.patrolDirX = dirX/n;
+        s.patrolDirY = dirY/n;
+        s.patrolTime = AI_CFG.PATROL_TIME;
+        s.patrols++;
+        s.patrolCool = AI_CFG.PATROL_COOLDOWN + rng()*0.5;
+      }
+
+      return base;
+    }
+
+
+    // MODULE 7.6: AI_INTEGRATE — smoothing, velocity, clamps
+    function aiIntegrate(t, base, dt){
+      const s = t._ai;
+
+      // Wander & jitter
+      s.wanderTimer -= dt;
+      if (s.wanderTimer <= 0){
+        s.wanderTimer = AI_CFG.WANDER_T + rng()*0.6;
+        s.wanderPhase += (rng()-0.5)*1.1;
+      }
+      const wanderMag = (base.d > AI_CFG.ORBIT_DIST ? AI_CFG.WANDER_MAG_FAR : AI_CFG.WANDER_MAG_NEAR);
+      base.sx += Math.cos(s.wanderPhase)*wanderMag + (rng()-0.5)*AI_CFG.JITTER;
+      base.sy += Math.sin(s.wanderPhase)*wanderMag + (rng()-0.5)*AI_CFG.JITTER;
+
+      // Smooth steering
+      const sl = Math.hypot(base.sx, base.sy)||1;
+      let ax = base.sx/sl, ay = base.sy/sl;
+      ax = ax*(1-AI_CFG.SMOOTH) + s.lastSteerX*AI_CFG.SMOOTH;
+      ay = ay*(1-AI_CFG.SMOOTH) + s.lastSteerY*AI_CFG.SMOOTH;
+      s.lastSteerX = ax; s.lastSteerY = ay;
+
+      // Panic speed bump near player
+      const arch = archetypeOf(t);
+      const panic = base.d < 150 * arch.wary ? AI_CFG.PANIC_SPEED_UP : 1.0;
+
+      // Integrate vel
+      t.vx += ax * CFG.TARGET_MAX_ACCEL * arch.accel * dt;
+      t.vy += ay * CFG.TARGET_MAX_ACCEL * arch.accel * dt;
+
+      // Clamp speed
+      const maxV = CFG.TARGET_MAX_SPEED * arch.speed * panic;
+      const vL = Math.hypot(t.vx, t.vy)||1;
+      if (vL > maxV){ t.vx = (t.vx/vL)*maxV; t.vy = (t.vy/vL)*maxV; }
+
+      // Move (obstacles stop it dead on that axis and bounce it like the walls below)
+      const hit = moveAndCollide(t, t.vx * dt, t.vy * dt);
+      if (hit.hitX) t.vx = -t.vx*0.7;
+      if (hit.hitY) t.vy = -t.vy*0.7;
+
+      // Bounds with soft bounce
+      if (t.x < 0){ t.x = 0; t.vx = Math.abs(t.vx)*0.7; }
+      if (t.y < 0){ t.y = 0; t.vy = Math.abs(t.vy)*0.7; }
+      if (t.x > arena.width - t.w){ t.x = arena.width - t.w; t.vx = -Math.abs(t.vx)*0.7; }
+      if (t.y > arena.height - t.h){ t.y = arena.height - t.h; t.vy = -Math.abs(t.vy)*0.7; }
+    }
+
+
+    // ========================
+    // MODULE 7.7: UPDATE
+    // ========================
+    // The per-target pipeline: base steering, then each optional layer the archetype runs,
+    // then any extra layers (7.18), then integration. Order matters — later layers see
+    // (and may override) what earlier ones asked for.
+    function updateTargetAI(t, dt){
+      aiInit(t);           // 7.2
+      aiAssignSectors();   // 7.9 (no-op after first)
+
+      // keep the heatmap rolling
+      heatmapTick(dt);     // 7.10
+
+      const pred = aiPredictPlayer(t);          // 7.2
+      const arch = archetypeOf(t);              // 6.2: which optional layers this kind runs
+      const uses = layer => arch.layers.includes(layer);
+      if (arch.blink) aiBlink(t, arch.blink, pred, dt);  // 7.14
+      let base  = aiSteerBase(t, pred);         // 7.3
+      aiCountCorner(t, base);                   // 7.16 (bookkeeping only)
+      const tr  = debugTrace ? aiTraceBegin(t, base) : null;  // 7.13
+
+      // Player distance bands for “when to waste time”
+      const playerFar = base.d > AI_CFG.ORBIT_DIST * 0.9;
+
+      // New layers
+      if (uses('heatmap')){ base = aiHeatmapBias(t, base); if (tr) aiTrace(tr, 'heatmap', base); }              // 7.10
+      if (uses('dispersion')){ base = aiApplyDispersion(t, base); if (tr) aiTrace(tr, 'dispersion', base); }     // 7.11
+      if (uses('sector')){ base = aiSectorBias(t, base, playerFar, dt); if (tr) aiTrace(tr, 'sector', base); }   // 7.9
+      if (uses('cover')){ base = aiSeekCover(t, base, pred); if (tr) aiTrace(tr, 'cover', base); }               // 7.15
+      if (uses('squad')){ base = aiSquadBias(t, base); if (tr) aiTrace(tr, 'squad', base); }                     // 7.17
+      if (uses('pickup')){ base = aiPickupAvoid(t, base); if (tr) aiTrace(tr, 'pickup', base); }                 // 7.12
+
+      // Existing behaviors
+      if (uses('juke')){ base = aiApplyJuke(t, base, pred, dt); if (tr) aiTrace(tr, 'juke', base); }            // 7.4
+      if (uses('cornerPop')){ base = aiApplyCornerPop(t, base, pred, dt); if (tr) aiTrace(tr, 'cornerPop', base); } // 7.16
+      if (uses('patrol')){ base = aiApplyPatrol(t, base, pred, dt); if (tr) aiTrace(tr, 'patrol', base); }      // 7.5
+      if (extraLayers.length) base = aiExtraLayers(t, base, pred, dt, tr);                                     // 7.18
+      aiIntegrate(t, base, dt);                         // 7.6
+    }
+
+
+    // =======================
+    // MODULE 7.9: SECTORS
+    // =======================
+    // Each enemy gets a "home sector" target that slowly rotates and sits on a safe ring
+    // inside the arena. When you're far, they drift toward this point to avoid clumping.
+
+    // Anchors rotate with sim time (elapsed), not the wall clock, so runs stay reproducible.
+    const _SECT = { assigned: false };
+
+    function aiAssignSectors(){
+      if (_SECT.assigned) return;
+      _SECT.assigned = true;
+      for (let i = 0; i < targets.length; i++){
+        const t = targets[i];
+        if (!t._ai) aiInit(t);
+        t._ai.sectorIndex = i;  // simple index-based partition (stable across session)
+      }
+    }
+
+    function aiSectorPointFor(t, timeSec){
+      const idx = t._ai?.sectorIndex ?? 0;
+      const N = Math.max(1, targets.length);
+      // ring radius based on arena
+      const arenaW = arena.width, arenaH = arena.height;
+      const ring = Math.min(arenaW, arenaH) * AI_PROFILE.SECTOR_RING_RATIO;
+
+      // center
+      const cx = arenaW * 0.5, cy = arenaH * 0.5;
+
+      // rotating slot angle
+      const baseAngle = (idx / N) * Math.PI * 2;
+      const rot = baseAngle + timeSec * AI_PROFILE.SECTOR_ROT_SPEED;
+
+      return { x: cx + Math.cos(rot)*ring, y: cy + Math.sin(rot)*ring };
+    }
+
+    function aiSectorBias(t, base, playerFar, dt){
+      // Only bias toward sector when player is far; keep it subtle
+      if (!playerFar) return base;
+      const p = aiSectorPointFor(t, elapsed);
+      const toX = p.x - (t.x + t.w/2);
+      const toY = p.y - (t.y + t.h/2);
+      const L = Math.hypot(toX,toY) || 1;
+      const gain = AI_PROFILE.SECTOR_STICK;
+      base.sx += (toX/L) * gain;
+      base.sy += (toY/L) * gain;
+      return base;
+    }
+
+    // ========================
+    // MODULE 7.10: HEATMAP
+    // ========================
+    // Rolling grid of your recent positions. Enemies bias away from "hot" lanes
+    // so they don't ride the same edges/corners you just searched.
+
+    const _HEAT = {
+      grid: null, cols: 0, rows: 0,
+      lastW: 0, lastH: 0, lastCell: 0,
+    };
+
+    function heatmapInit(){
+      const cell = AI_PROFILE.HEATMAP_CELL|0;
+      if (!cell) return;
+      const cols = Math.ceil(arena.width / cell);
+      const rows = Math.ceil(arena.height / cell);
+      _HEAT.cols = cols; _HEAT.rows = rows;
+      _HEAT.grid = new Float32Array(cols * rows);
+      _HEAT.lastW = arena.width; _HEAT.lastH = arena.height; _HEAT.lastCell = cell;
+    }
+
+    function heatmapEnsure(){
+      if (!_HEAT.grid || _HEAT.lastW !== arena.width || _HEAT.lastH !== arena.height ||
+          _HEAT.lastCell !== (AI_PROFILE.HEATMAP_CELL|0)){
+        heatmapInit();
+      }
+    }
+
+    function heatmapIdx(x, y){
+      const cell = AI_PROFILE.HEATMAP_CELL|0;
+      const c = Math.min(_HEAT.cols-1, Math.max(0, Math.floor(x / cell)));
+      const r = Math.min(_HEAT.rows-1, Math.max(0, Math.floor(y / cell)));
+      return r * _HEAT.cols + c;
+    }
+
+    function heatmapTick(dt){
+      heatmapEnsure();
+      if (!_HEAT.grid) return;
+
+      // Decay
+      const g = _HEAT.grid;
+      const decay = AI_PROFILE.HEATMAP_DECAY;
+      for (let i=0;i<g.length;i++){ g[i] *= decay; }
+
+      // Stamp every player still in
+      for (const p of hunting){
+        const px = p.x + p.w/2, py = p.y + p.h/2;
+        const idx = heatmapIdx(px, py);
+        g[idx] += AI_PROFILE.HEATMAP_PLAYER_STAMP;
+      }
+    }
+
+    function heatmapSample(x, y){
+      heatmapEnsure();
+      if (!_HEAT.grid) return 0;
+      return _HEAT.grid[ heatmapIdx(x,y) ] || 0;
+    }
+
+    function aiHeatmapBias(t, base){
+      if (!_HEAT.grid) return base;
+
+      // Sample ahead and behind to approximate gradient
+      const cx = t.x + t.w/2, cy = t.y + t.h/2;
+      const s0 = heatmapSample(cx, cy);
+      const sX = heatmapSample(cx + 24, cy) - heatmapSample(cx - 24, cy);
+      const sY = heatmapSample(cy + 24, cx); // slight orthogonal smear
+      // Bias away from hotter direction (negative gradient)
+      base.sx += (-sX) * 0.02 * AI_PROFILE.HEATMAP_BIAS;
+      base.sy += (-sY) * 0.02 * AI_PROFILE.HEATMAP_BIAS;
+      return base;
+    }
+
+    // ===========================
+    // MODULE 7.11: DISPERSION
+    // ===========================
+    // Avoid clumping on same edge/corner. When multiple enemies are near the same
+    // edge, they "fan" into distinct lanes. Also encourages minimum spacing.
+    // Only neighbours within DISPERSION_MIN_SPACING take part (grid query, 5.2).
+
+    function aiApplyDispersion(t, base){
+      const cx = t.x + t.w/2, cy = t.y + t.h/2;
+      const ob = obstacles.length ? nearestObstacle(t) : null;
+      const nearObstacle = o => obstacles.length > 0 && nearestObstacle(o).d < 12;
+      const nearEdge =
+        (t.x < 12) || (t.y < 12) ||
+        (t.x > arena.width - t.w - 12) ||
+        (t.y > arena.height - t.h - 12) ||
+        (!!ob && ob.d < 12);
+
+      if (!nearEdge) return base;
+
+      // Compute a simple lane vector along the closest edge
+      let edgeVX = 0, edgeVY = 0;
+      const dLeft   = t.x;
+      const dRight  = arena.width - (t.x + t.w);
+      const dTop    = t.y;
+      const dBottom = arena.height - (t.y + t.h);
+      const minD = Math.min(dLeft, dRight, dTop, dBottom);
+
+      if (ob && ob.d < minD){
+        // Obstacle face is closest → lanes run along it
+        edgeVX = -ob.ny; edgeVY = ob.nx;
+      } else if (minD === dLeft || minD === dRight){
+        // On vertical edge → lanes go along Y
+        edgeVX = 0; edgeVY = 1;
+      } else {
+        // On horizontal edge → lanes go along X
+        edgeVX = 1; edgeVY = 0;
+      }
+
+      // Push away from neighbors along tangential direction & enforce spacing
+      let tangentPush = 0;
+      let spaceX = 0, spaceY = 0;
+
+      gridQuery(cx, cy, AI_PROFILE.DISPERSION_MIN_SPACING, o => {
+        if (o===t) return;
+        const ox = o.x + o.w/2, oy = o.y + o.h/2;
+        const dist = Math.hypot(cx-ox, cy-oy);
+        if (dist >= AI_PROFILE.DISPERSION_MIN_SPACING) return;
+        // radial spacing push
+        const dx = cx - ox, dy = cy - oy;
+        const L = dist||1;
+        spaceX += (dx/L) * ((AI_PROFILE.DISPERSION_MIN_SPACING - dist)/AI_PROFILE.DISPERSION_MIN_SPACING);
+        spaceY += (dy/L) * ((AI_PROFILE.DISPERSION_MIN_SPACING - dist)/AI_PROFILE.DISPERSION_MIN_SPACING);
+
+        // if both are near the same edge, fan out in opposite tangents
+        const oNearEdge = (o.x < 12) || (o.y < 12) ||
+          (o.x > arena.width - o.w - 12) ||
+          (o.y > arena.height - o.h - 12) ||
+          nearObstacle(o);
+
+        if (oNearEdge && nearEdge){
+          // signed distance along tangent
+          const along = ( (ox - cx) * edgeVX + (oy - cy) * edgeVY );
+          tangentPush += Math.sign(along || (rng()-0.5));
+        }
+      });
+
+      base.sx += (spaceX) * 1.0 + (edgeVX * tangentPush * AI_PROFILE.DISPERSION_EDGE_FAN);
+      base.sy += (spaceY) * 1.0 + (edgeVY * tangentPush * AI_PROFILE.DISPERSION_EDGE_FAN);
+
+      return base;
+    }
+
+    // ===========================
+    // MODULE 7.12: PICKUP_AWARENESS
+    // ===========================
+    // Cubes can't stop you reaching a pickup, but they can refuse to be there when
+    // you do: keep clear of live pickups, weighted by how bad that pickup is for them
+    // (a freeze or magnet grabbed next to a cube is a free catch).
+
+    function aiPickupAvoid(t, base){
+      if (!pickups.length) return base;
+      const cx = t.x + t.w/2, cy = t.y + t.h/2;
+      const R = AI_CFG.PICKUP_AVOID_RADIUS;
+      for (const p of pickups){
+        const dx = cx - (p.x + p.w/2), dy = cy - (p.y + p.h/2);
+        const d = Math.hypot(dx, dy);
+        if (d <= 0 || d >= R) continue;
+        const s = ((R - d) / R) * PICKUP_KINDS[p.kind].threat * AI_CFG.PICKUP_AVOID_FORCE;
+        base.sx += (dx/d) * s;
+        base.sy += (dy/d) * s;
+      }
+      return base;
+    }
+
+
+    // ===========================
+    // MODULE 7.17: SQUAD
+    // ===========================
+    // One coordinator per tick across all targets that run the 'squad' layer: staggers
+    // jukes (7.4 waits for the gate), hard-enforces the corner idle budget and hands
+    // out roles. The cube nearest the player is the bait and leads you away from the
+    // rest; the others flank, each pushed off the player→bait line toward its own
+    // side, so the group splits two ways.
+    const _SQUAD = { jukeGate: 0, roleTimer: 0, bait: null };
+
+    function aiSquadTick(dt){
+      _SQUAD.jukeGate = Math.max(0, _SQUAD.jukeGate - dt);
+      const { x: pcx, y: pcy } = chaserCentre();
+      const squad = targets.filter(t => archetypeOf(t).layers.includes('squad'));
+
+      // corner idle budget: only while every player is far (close up, 7.16 handles it)
+      for (const t of squad){
+        aiInit(t);
+        const s = t._ai;
+        s.exitTime = Math.max(0, s.exitTime - dt);
+        const cx = t.x + t.w/2, cy = t.y + t.h/2;
+        const c = aiCornerState(t);
+        if (!c.inCorner || nearestChaser(cx, cy).d <= AI_CFG.ORBIT_DIST * 0.9){ s.cornerIdle = 0; continue; }
+        s.cornerIdle += dt;
+        if (s.cornerIdle > AI_PROFILE.CORNER_IDLE_BUDGET && s.exitTime === 0){
+          // out past both blocking sides, toward the middle
+          const mx = arena.width/2 - cx, my = arena.height/2 - cy, ml = Math.hypot(mx, my) || 1;
+          const ex = c.ox + mx/ml, ey = c.oy + my/ml, el = Math.hypot(ex, ey) || 1;
+          s.exitDirX = ex/el; s.exitDirY = ey/el;
+          s.exitTime = AI_CFG.PATROL_TIME;
+          s.cornerIdle = 0;
+        }
+      }
+
+      _SQUAD.roleTimer -= dt;
+      if (_SQUAD.roleTimer <= 0 || (_SQUAD.bait && !targets.includes(_SQUAD.bait))){
+        _SQUAD.roleTimer = AI_CFG.SQUAD_ROLE_PERIOD;
+        aiAssignRoles(squad, pcx, pcy);
+      }
+    }
+
+    function aiAssignRoles(squad, pcx, pcy){
+      _SQUAD.bait = null;
+      for (const t of squad) t._ai.role = null;
+      if (squad.length < 2) return;
+      let bd = Infinity;
+      for (const t of squad){
+        const d = Math.hypot(t.x + t.w/2 - pcx, t.y + t.h/2 - pcy);
+        if (d < bd){ bd = d; _SQUAD.bait = t; }
+      }
+      const bait = _SQUAD.bait;
+      bait._ai.role = 'bait';
+      const bx = bait.x + bait.w/2 - pcx, by = bait.y + bait.h/2 - pcy, bl = Math.hypot(bx, by) || 1;
+      let alt = 1;
+      for (const t of squad){
+        if (t === bait) continue;
+        const rx = t.x + t.w/2 - pcx, ry = t.y + t.h/2 - pcy;
+        const cross = bx*ry - by*rx;
+        const side = Math.abs(cross) > 1e-6 ? Math.sign(cross) : (alt = -alt); // dead on the line: alternate
+        t._ai.role = 'flank';
+        t._ai.flankDirX = -by/bl * side;
+        t._ai.flankDirY =  bx/bl * side;
+      }
+    }
+
+    function aiSquadBias(t, base){
+      const s = t._ai;
+      if (s.exitTime > 0){
+        base.sx += s.exitDirX * AI_CFG.PATROL_PUSH;
+        base.sy += s.exitDirY * AI_CFG.PATROL_PUSH;
+      }
+      if (s.role === 'bait'){
+        let fx = 0, fy = 0, n = 0;
+        for (const o of targets) if (o !== t && o._ai && o._ai.role === 'flank'){ fx += o.x + o.w/2; fy += o.y + o.h/2; n++; }
+        if (n){
+          const dx = base.cx - fx/n, dy = base.cy - fy/n, l = Math.hypot(dx, dy) || 1;
+          base.sx += dx/l * AI_CFG.SQUAD_BAIT_PULL;
+          base.sy += dy/l * AI_CFG.SQUAD_BAIT_PULL;
+        }
+      } else if (s.role === 'flank'){
+        base.sx += s.flankDirX * AI_CFG.SQUAD_FLANK_FORCE;
+        base.sy += s.flankDirY * AI_CFG.SQUAD_FLANK_FORCE;
+      }
+      return base;
+    }
+
+    // ===========================
+    // MODULE 7.16: CORNER_POP
+    // ===========================
+    // Pinned in a corner with the player closing in → short burst out along one wall
+    // or diagonally, whichever lands furthest from the player. Corners include
+    // obstacle faces (an L-shape, or a wall meeting a pillar).
+    function aiCornerState(t){
+      const e = aiNearEdges(t);
+      let ox = e.L ? 1 : e.R ? -1 : 0, oy = e.T ? 1 : e.B ? -1 : 0; // open direction per blocked axis
+      const cx = t.x + t.w/2, cy = t.y + t.h/2;
+      for (const o of obstacles){
+        const qx = clamp(cx, o.x, o.x + o.w), qy = clamp(cy, o.y, o.y + o.h);
+        const dx = cx - qx, dy = cy - qy, l = Math.hypot(dx, dy);
+        if (l <= 0 || l - (Math.abs(dx)*t.w + Math.abs(dy)*t.h)/(2*l) >= AI_CFG.CORNER_NEAR_EDGE) continue;
+        if (Math.abs(dx) >= Math.abs(dy)){ if (!ox) ox = Math.sign(dx); }
+        else if (!oy) oy = Math.sign(dy);
+      }
+      return { ox, oy, inCorner: ox !== 0 && oy !== 0 };
+    }
+
+    // Counts how often a cube gets pinned: in a corner with the player inside
+    // CORNER_POP_DIST, the same test the pop uses, once each time it gets there.
+    // Runs for every kind (whether it can pop or not), steers nothing, draws no rng.
+    function aiCountCorner(t, base){
+      const s = t._ai;
+      const pinned = base.d < AI_CFG.CORNER_POP_DIST && aiCornerState(t).inCorner;
+      if (pinned && !s.pinned) s.corners++;
+      s.pinned = pinned;
+    }
+
+    function aiApplyCornerPop(t, base, pred, dt){
+      const s = t._ai;
+      s.popCool = Math.max(0, s.popCool - dt);
+      s.popTime = Math.max(0, s.popTime - dt);
+
+      if (s.popTime > 0){
+        base.sx += s.popDirX * AI_CFG.CORNER_POP_PUSH;
+        base.sy += s.popDirY * AI_CFG.CORNER_POP_PUSH;
+        return base;
+      }
+      if (s.popCool > 0 || base.d >= AI_CFG.CORNER_POP_DIST) return base;
+      const c = aiCornerState(t);
+      if (!c.inCorner) return base;
+
+      // never straight back into the corner
+      const {cx, cy} = base;
+      let best = null, bestScore = -Infinity;
+      for (const [x, y] of [[c.ox, c.oy], [c.ox, -c.oy], [-c.ox, c.oy]]){
+        const score = (cx + x*40 - pred.px)**2 + (cy + y*40 - pred.py)**2;
+        if (score > bestScore){ bestScore = score; best = [x, y]; }
+      }
+      s.popDirX = best[0] * Math.SQRT1_2;
+      s.popDirY = best[1] * Math.SQRT1_2;
+      s.popTime = AI_CFG.CORNER_POP_TIME;
+      s.popCool = AI_CFG.CORNER_POP_COOL + rng()*0.5;
+      return base;
+    }
+
+    // ===========================
+    // MODULE 7.15: COVER
+    // ===========================
+    // While the player has a clear line to the cube, drift toward the far side of the
+    // nearest obstacle (the spot straight behind it as seen from the player). Once the
+    // obstacle breaks line of sight the layer goes quiet and flee/orbit takes over.
+    function aiSeekCover(t, base, pred){
+      if (!obstacles.length) return base;
+      const cx = t.x + t.w/2, cy = t.y + t.h/2;
+      if (blocked(pred.px, pred.py, cx, cy)) return base;
+
+      let best = null, bd = AI_CFG.COVER_RANGE;
+      for (const o of obstacles){
+        const d = Math.hypot(o.x + o.w/2 - cx, o.y + o.h/2 - cy);
+        if (d < bd){ bd = d; best = o; }
+      }
+      if (!best) return base;
+
+      const ox = best.x + best.w/2, oy = best.y + best.h/2;
+      const ax = ox - pred.px, ay = oy - pred.py, al = Math.hypot(ax, ay) || 1;
+      const reach = Math.hypot(best.w, best.h)/2 + Math.max(t.w, t.h);
+      const hx = clamp(ox + ax/al * reach, 0, arena.width), hy = clamp(oy + ay/al * reach, 0, arena.height);
+      const toX = hx - cx, toY = hy - cy, L = Math.hypot(toX, toY) || 1;
+      const gain = AI_CFG.COVER_FORCE * Math.min(1, L / 60); // ease off on arrival
+      base.sx += (toX/L) * gain;
+      base.sy += (toY/L) * gain;
+      return base;
+    }
+
+    // ===========================
+    // MODULE 7.14: BLINK
+    // ===========================
+    // Blinkers don't outrun you, they leave: once you're within `trigger` px they
+    // teleport up to `range` px away from you (±45° off the straight line), then wait
+    // `cooldown` s before they can do it again.
+    function aiBlink(t, blink, pred, dt){
+      const s = t._ai;
+      s.blinkCool = Math.max(0, (s.blinkCool || 0) - dt);
+      const cx = t.x + t.w/2, cy = t.y + t.h/2;
+      const dx = cx - pred.px, dy = cy - pred.py, d = Math.hypot(dx, dy);
+      if (s.blinkCool > 0 || d > blink.trigger) return;
+      const ang = Math.atan2(dy, dx) + (rng() - 0.5) * (Math.PI / 2);
+      const fromX = t.x, fromY = t.y;
+      t.x = clamp(cx + Math.cos(ang) * blink.range - t.w/2, 0, arena.width  - t.w);
+      t.y = clamp(cy + Math.sin(ang) * blink.range - t.h/2, 0, arena.height - t.h);
+      resolveOverlap(t);
+      settle(t);
+      t.vx *= 0.3; t.vy *= 0.3;
+      s.blinkCool = blink.cooldown;
+      emit('blink', { target: t, fromX, fromY });
+    }
+
+    // ===========================
+    // MODULE 7.13: DEBUG_TRACE
+    // ===========================
+    // With sim.debug on, every target keeps t._ai.trace: the steering vector each
+    // layer added this tick (before normalisation/smoothing in 7.6). Read-only with
+    // respect to the sim — it consumes no rng, so traced runs replay identically.
+    let debugTrace = false;
+
+    function aiTraceBegin(t, base){
+      const tr = t._ai.trace = { _x: base.sx, _y: base.sy };
+      tr.base = { x: base.sx - base.sepX - base.obsX, y: base.sy - base.sepY - base.obsY };  // flee/orbit + walls
+      tr.separation = { x: base.sepX, y: base.sepY };
+      tr.obstacle = { x: base.obsX, y: base.obsY };
+      return tr;
+    }
+
+    function aiTrace(tr, layer, base){
+      tr[layer] = { x: base.sx - tr._x, y: base.sy - tr._y };
+      tr._x = base.sx; tr._y = base.sy;
+    }
+
+    // Snapshot for overlays: the heat grid (live array, don't write to it) and the
+    // current sector anchor of every target.
+    function debugInfo(){
+      return {
+        heat: { grid: _HEAT.grid, cols: _HEAT.cols, rows: _HEAT.rows, cell: AI_PROFILE.HEATMAP_CELL|0 },
+        ring: Math.min(arena.width, arena.height) * AI_PROFILE.SECTOR_RING_RATIO,
+        anchors: targets.map(t => aiSectorPointFor(t, elapsed)),
+      };
+    }
+
+
+    // ===========================
+    // MODULE 7.18: EXTRA_LAYERS
+    // ===========================
+    // Steering layers from outside the sim, run after every built-in one in the order
+    // they were added:
+    //   addAiLayer({ name, steer(t, base, info), kinds })  → function that removes it again
+    //   steer    adds to base.sx / base.sy (the steering so far) and returns base; info is
+    //            { pred, dt, rng, sim } — pred.px/py is the predicted player centre, rng the
+    //            run's seeded RNG (never Math.random, or replays drift), sim read-only
+    //   kinds    archetype ids the layer runs for (default: all)
+    // Layers live on this sim, not in replays: whoever plays a recording back has to add
+    // the same ones to get the same run. The debug trace records each under its name.
+    const extraLayers = [];
+    let api = null; // the exported sim (MODULE 11), handed to layers as info.sim
+
+    function addAiLayer(layer){
+      if (!layer || typeof layer.name !== 'string' || !layer.name) throw new Error('AI layer needs a name');
+      if (typeof layer.steer !== 'function') throw new Error(`AI layer "${layer.name}" needs a steer function`);
+      if (AI_LAYERS.includes(layer.name) || extraLayers.some(l => l.name === layer.name)){
+        throw new Error(`AI layer "${layer.name}" already exists`);
+      }
+      if (layer.kinds && !layer.kinds.every(k => ARCHETYPES[k])) throw new Error(`AI layer "${layer.name}": unknown kind`);
+      const entry = { name: layer.name, steer: layer.steer, kinds: layer.kinds ? layer.kinds.slice() : null };
+      extraLayers.push(entry);
+      return () => { const i = extraLayers.indexOf(entry); if (i >= 0) extraLayers.splice(i, 1); };
+    }
+
+    function aiExtraLayers(t, base, pred, dt, tr){
+      for (const l of extraLayers){
+        if (l.kinds && !l.kinds.includes(t.kind)) continue;
+        base = l.steer(t, base, { pred, dt, rng, sim: api }) || base;
+        if (tr) aiTrace(tr, l.name, base);
+      }
+      return base;
+    }
+
+
+    // MODULE 8: Update (drain, catch-all regen, waves)
+    function restart(newSeed){
+      seed = (newSeed !== undefined ? newSeed
+            : opts.seed !== undefined ? opts.seed
+            : randomSeed()) >>> 0;
+      rng = makeRng(seed);
+
+      // wipe everything a previous run could leak into this one
+      scriptDef = resolveScript(script);
+      complete = false;
+      wave.number = wave.time = wave.size = 0;
+      waveCfgFrom = null;
+      applyWaveConfig(scriptDef.waves[0]); // before anything reads CFG
+      partyDef = resolveParty(party);
+      seatPlayers(buildObstacles());
+      _SECT.assigned = false;
+      _HEAT.grid = null;
+      Object.assign(_SQUAD, { jukeGate: 0, roleTimer: 0, bait: null });
+      pickups.length = 0;
+      for (const k in effects) effects[k] = 0;
+      rollPickupTimer();
+
+      resetScoring();
+      alive = true;
+      elapsed = 0;
+      peakCap = targetCap();
+      targets.length = 0;
+      targetIds = 0;
+      ties = 0;
+      emit('restart', { seed }); // before the first wave, so its spawns come after it
+      startWave();
+      emit('wave', { wave: wave.number, size: wave.size });
+    }
+
+    function update(dt){
+      if (!alive) return; // the caller decides when to restart()
+      step(dt);
+      if (alive) emit('tick', { dt, elapsed }); // a step that ended the run already said so (death / complete)
+    }
+
+    function step(dt){
+      chasers.forEach(settle);
+      targets.forEach(settle);
+      elapsed += dt;
+      wave.time += dt;
+      if (modeDef.timeLimit && elapsed >= modeDef.timeLimit - 1e-9){
+        elapsed = modeDef.timeLimit; // not 89.99999…
+        complete = true; alive = false;
+        emit('complete', { score, elapsed, winner: versusWinner() });
+        return;
+      }
+      const cap = targetCap();
+      if (cap > peakCap){ peakCap = cap; emit('capIncrease', { cap }); }
+
+      // health drain: each pool once per tick, while someone on it is still in (not at all
+      // in modes without health)
+      const lowLine = CFG.HEALTH_MAX * CFG.HEALTH_LOW_PCT;
+      for (const pool of pools){
+        if (modeDef.health === false || pool.players.every(p => p.out)) continue;
+        const wasLow = pool.hp < lowLine;
+        pool.hp -= CFG.HEALTH_DECAY_PER_SEC * dt;
+        pool.hp = clamp(pool.hp, 0, CFG.HEALTH_MAX);
+        if (pool.hp <= 0){ if (knockOut(pool)) return; continue; }
+        if (!wasLow && pool.hp < lowLine) emit('lowHealth', { hp: pool.hp, player: pool.players[0].index });
+      }
+
+      // player movement (a player who's out stays where they dropped)
+      for (const p of hunting){
+        const dir = readInput(p.index);
+        moveAndCollide(p, dir.dx * p.speed * dt, dir.dy * p.speed * dt);
+        p.x = clamp(p.x, 0, arena.width  - p.w);
+        p.y = clamp(p.y, 0, arena.height - p.h);
+      }
+
+      // power-ups: timers, spawn/expire, collect
+      pickupsTick(dt);
+      scoringTick(dt);                             // 6.4: combo windows run out
+
+      // update targets + collect (freeze suspends the AI entirely)
+      // (splitter shards are appended at the end, so this backwards walk skips them this tick)
+      gridBuild();                                 // 5.2
+      if (effects.freeze <= 0) aiSquadTick(dt);    // 7.17, once for the whole squad
+      const catchable = new Set();                 // only targets near a player can touch one this tick
+      for (const p of hunting) gridQuery(p.x + p.w/2, p.y + p.h/2, p.w + CFG.TARGET_SIZE * 2, o => catchable.add(o));
+      for (let i = targets.length - 1; i >= 0; i--){
+        const t = targets[i];
+        t.invuln = Math.max(0, t.invuln - dt);
+        if (effects.freeze > 0){ t.vx = 0; t.vy = 0; }
+        else updateTargetAI(t, dt);
+        if (effects.magnet > 0) magnetPull(t, dt);
+        if (!catchable.has(t)) continue;
+        const by = claimant(t);
+        if (by && !touchTarget(i, by)) return;
+      }
+
+      // ✅ Only when ALL current cubes are cleared (decoys don't count and are swept away):
+      const w = currentWave(), more = waveIndex(wave.number + 1) >= 0;
+      if (!liveCount()){
+        targets.length = 0;
+        // regen health (pools whose players are out stay empty); modes without health heal nothing
+        const refill = modeDef.health === false ? 0 : w.refill !== undefined ? w.refill : CFG.HEALTH_REFILL_ON_CLEAR;
+        for (const pool of pools) if (pool.hp > 0) pool.hp = clamp(pool.hp + refill, 0, CFG.HEALTH_MAX);
+        const bonus = clearBonus();
+        emit('waveClear', { hp: player.pool.hp, wave: wave.number, time: wave.time, bonus, refill });
+        if (!more){ complete = true; alive = false; emit('complete', { score, elapsed, winner: versusWinner() }); return; }
+        startWave();
+        emit('wave', { wave: wave.number, size: wave.size });
+      } else if (w.timeLimit && more && wave.time >= w.timeLimit){
+        // out of time: no refill, and the next wave lands on top of what's left
+        emit('waveTimeout', { wave: wave.number, left: liveCount() });
+        startWave();
+        emit('wave', { wave: wave.number, size: wave.size });
+      }
+
+      // ⛔️ No unconditional "ensureCap()" here — that was causing mid-wave respawns.
+    }
+
+    // MODULE 8.1: Live config — bring state derived from CFG/AI_PROFILE in line after
+    // configure()/resetConfig(). Sizes apply to what's already on the board; the
+    // heatmap is dropped and rebuilt at the current cell size on the next tick
+    // (old cells don't map onto a new grid); sector slots are handed out again.
+    function applyConfig(){
+      for (const p of chasers){
+        p.w = p.h = CFG.PLAYER_SIZE;
+        p.x = clamp(p.x, 0, Math.max(0, arena.width  - p.w));
+        p.y = clamp(p.y, 0, Math.max(0, arena.height - p.h));
+        resolveOverlap(p);
+      }
+      for (const t of targets){
+        t.w = t.h = targetSize(t.kind);
+        resolveOverlap(t);
+      }
+      for (const p of pickups) p.w = p.h = CFG.PICKUP_SIZE;
+      for (const pool of pools) pool.hp = Math.min(pool.hp, CFG.HEALTH_MAX);
+      _HEAT.grid = null;
+      _SECT.assigned = false;
+    }
+
+    // ---------------------------
+    // MODULE 8.2: Resize
+    // ---------------------------
+    // The arena is in logical units, not screen pixels: the shell picks a size that
+    // matches the window's shape and scales the drawing, so sizes, speeds and AI
+    // distances mean the same at any window size. Mid-run, every entity keeps its
+    // relative spot (centres scale with the arena, then get pushed clear of the
+    // rebuilt obstacles), and the heatmap is resampled onto a grid for the new
+    // size. The sector ring is derived from the arena each tick and follows along.
+    // Throws on a size that isn't a finite number (the arena is left as it was).
+    function resize(width, height){
+      if (!Number.isFinite(width) || !Number.isFinite(height)) throw new Error('Arena size must be a finite width and height');
+      width = Math.max(1, Math.round(width)); height = Math.max(1, Math.round(height));
+      if (width === arena.width && height === arena.height) return;
+      const sx = width / arena.width, sy = height / arena.height;
+      const old = _HEAT.grid ? { grid: _HEAT.grid, cols: _HEAT.cols, rows: _HEAT.rows, cell: _HEAT.lastCell } : null;
+      arena.width = width; arena.height = height;
+      buildObstacles();
+      const remap = e => {
+        e.x = (e.x + e.w/2) * sx - e.w/2;
+        e.y = (e.y + e.h/2) * sy - e.h/2;
+        resolveOverlap(e);
+        settle(e);
+      };
+      chasers.forEach(remap);
+      targets.forEach(remap);
+      pickups.forEach(remap);
+      if (old){
+        heatmapInit();
+        const cell = _HEAT.lastCell;
+        for (let r = 0; r < _HEAT.rows; r++){
+          for (let c = 0; c < _HEAT.cols; c++){
+            const oc = Math.min(old.cols - 1, Math.floor((c + 0.5) * cell / sx / old.cell));
+            const or = Math.min(old.rows - 1, Math.floor((r + 0.5) * cell / sy / old.cell));
+            _HEAT.grid[r * _HEAT.cols + c] = old.grid[or * old.cols + oc];
+          }
+        }
+      }
+      emit('resize', { width, height });
+    }
+
+    restart();
+
+    // ---------------------------
+    // MODULE 11: Exports (per sim)
+    // ---------------------------
+    api = {
+      arena, player, targets, pickups, effects, obstacles, input, input2,
+      get players(){ return chasers; },
+      get party(){ return party; },
+      setParty,
+      get mode(){ return mode; },
+      setMode,
+      // s left on a mode's clock (time attack), null without one
+      get timeLeft(){ return modeDef.timeLimit ? Math.max(0, modeDef.timeLimit - elapsed) : null; },
+      get winner(){ return versusWinner(); },
+      CFG, AI_CFG, AI_PROFILE, CONFIG_MIN,
+      get score(){ return score; },
+      get breakdown(){ return Object.assign({}, breakdown); },
+      get bestChain(){ return bestChain; },
+      get hp(){ return player.pool.hp; },   // P1's pool (the only one unless health is 'own')
+      get alive(){ return alive; },
+      get elapsed(){ return elapsed; },
+      get peakCap(){ return peakCap; },
+      get seed(){ return seed; },
+      get difficulty(){ return difficulty; },
+      get layout(){ return layout; },
+      setLayout,
+      get script(){ return script; },
+      setScript,
+      get wave(){ return waveInfo(); },
+      get complete(){ return complete; },
+      setDifficulty, configure, resetConfig, defaults,
+      get tuned(){ return tunedCopy(); },
+      get isTuned(){ return Object.keys(tuned).some(g => Object.keys(tuned[g]).length > 0); },
+      readInput, targetCap, restart, update, resize,
+      on, off,
+      get debug(){ return debugTrace; },
+      set debug(v){ debugTrace = !!v; },
+      debugInfo,
+      addAiLayer,
+      get aiLayers(){ return extraLayers.map(l => l.name); },
+    };
+    return api;
+  }
+
+  // ---------------------------
+  // MODULE 10: Stress / benchmark
+  // ---------------------------
+  // A one-wave script that puts n targets on the board at once (the shell's ?stress=n).
+  function stressScript(n){
+    n = Math.max(1, n|0);
+    return { name: `Stress ×${n}`, waves: [{ count: n }] };
+  }
+
+  // Headless timing run: n targets, a player circling the arena, no health drain.
+  // Returns ms per sim tick (mean, p95, worst) after `warmup` untimed ticks.
+  // What's left at 500 is real neighbour work (dozens of cubes inside SEP_RADIUS
+  // each), not lookups; see the README's stress section for measured numbers.
+  //   CubeSim.benchmark({ targets: 500 })  →  { targets: 500, ticks: 600, msPerTick, p95, worst, left, score }
+  function benchmark(opts){
+    opts = opts || {};
+    const n = opts.targets || 500, ticks = opts.ticks || 600;
+    const warmup = opts.warmup !== undefined ? opts.warmup : 60;
+    const now = typeof performance !== 'undefined' && performance.now ? () => performance.now() : () => Date.now();
+    let t = 0;
+    const input = { has: () => false, axis: () => ({ dx: Math.cos(t * 0.9), dy: Math.sin(t * 0.9) }) };
+    const sim = createSim({
+      width: opts.width, height: opts.height, input,
+      seed: opts.seed !== undefined ? opts.seed : 1,
+      difficulty: opts.difficulty, layout: opts.layout,
+      script: stressScript(n),
+      CFG: { HEALTH_DECAY_PER_SEC: 0 },
+    });
+    const times = [];
+    for (let i = 0; i < warmup + ticks && sim.alive; i++){
+      const start = now();
+      sim.update(TICK_DT);
+      t += TICK_DT;
+      if (i >= warmup) times.push(now() - start);
+    }
+    const sorted = times.slice().sort((a, b) => a - b);
+    const mean = times.reduce((s, x) => s + x, 0) / (times.length || 1);
+    return {
+      targets: n, ticks: times.length,
+      msPerTick: +mean.toFixed(3),
+      p95: +(sorted[Math.floor(sorted.length * 0.95)] || 0).toFixed(3),
+      worst: +(sorted[sorted.length - 1] || 0).toFixed(3),
+      left: sim.targets.length, score: sim.score,
+    };
+  }
+
+  return {
+    DEFAULT_CFG, DEFAULT_AI_CFG, DEFAULT_AI_PROFILE, CONFIG_MIN,
+    DIFFICULTIES, DEFAULT_DIFFICULTY, LAYOUTS, DEFAULT_LAYOUT, WAVE_SCRIPTS, DEFAULT_SCRIPT, PARTIES, DEFAULT_PARTY,
+    MODES, DEFAULT_MODE, dailyChallenge,
+    PICKUP_KINDS, ARCHETYPES, AI_LAYERS,
+    TICK_DT, makeRng, randomSeed,
+    createSim, stressScript, benchmark,
+  };
+});
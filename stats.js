@@ -0,0 +1,253 @@
+// MODULE INDEX (stats.js)
+// Per-run telemetry: time-to-catch for every cube, how often each one juked,
+// patrolled and got cornered, distance travelled and time at low HP per player,
+// where the catches happened, and a once-a-second timeline. Collected from a sim's
+// events plus one sample() per tick, so the same numbers come out of a live run and
+// of its replay — which is how AI_PROFILE changes get compared: same replays, before
+// and after.
+// MODULE 1: Format
+// MODULE 2: Collector (begin / sample / finish)
+// MODULE 3: Summaries (time-to-catch percentiles, per-kind table)
+// MODULE 4: Export (JSON, CSV), parse + replay helper
+// MODULE 5: Exports
+//
+// Node:    const CubeStats = require('./stats.js');
+//          CubeStats.fromReplay(fs.readFileSync('cube-replay-123.json', 'utf8'))
+// Browser: <script src="./stats.js"></script> after sim.js and replay.js → window.CubeStats
+
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./sim.js'), require('./replay.js'));
+  else root.CubeStats = factory(root.CubeSim, root.CubeReplay);
+})(this, function(CubeSim, CubeReplay){
+
+  // ---------------------------
+  // MODULE 1: Format
+  // ---------------------------
+  // {
+  //   format: 'cube-stats', v: 2,
+  //   seed, mode, difficulty, layout, script, party,   // ids (custom layouts/scripts by name)
+  //   tuned: { CFG, AI_CFG, AI_PROFILE },              // live tuning at the end of the run (sim.tuned)
+  //   AI_PROFILE: { ... },                             // the profile the run was played against
+  //   score, elapsed, complete, waves, peakCap, bestChain, breakdown,
+  //   players: [{ index, score, distance, lowHpTime }],   // distance in arena units, lowHpTime in s
+  //   targets: [{ id, kind, born, caught, by, jukes, patrols, corners }],   // caught: s into the run, or null
+  //                                                    // if it was still loose at the end; by: player index;
+  //                                                    // corners: times pinned in a corner (sim 7.16)
+  //   ttc: { count, mean, p50, p90, max },              // time-to-catch (s), decoys left out
+  //   kinds: { kind: { spawned, caught, meanTtc, jukes, patrols, corners } },
+  //   heatmap: { cols, rows, cells: [count, ...] },     // catches by position, row-major over the arena
+  //   timeline: [[t, score, hp, targets], ...]         // every TIMELINE_SEC; hp = the lowest pool still in play
+  // }
+  const FORMAT = 'cube-stats';
+  const VERSION = 2;
+  const READS = [1, 2]; // v1 files predate corners; parse() reads them as 0
+  const HEAT_COLS = 16, HEAT_ROWS = 12;
+  const TIMELINE_SEC = 1;
+  const CSV_COLUMNS = ['seed', 'mode', 'difficulty', 'id', 'kind', 'born', 'caught', 'ttc', 'by', 'jukes', 'patrols', 'corners'];
+
+  const idOf = v => (typeof v === 'string' ? v : (v && v.name) || 'custom');
+  const r3 = v => Math.round(v * 1000) / 1000;
+
+  // ---------------------------
+  // MODULE 2: Collector
+  // ---------------------------
+  // begin(sim) right after sim.restart(), sample(dt) after every sim.update(dt),
+  // finish() once the run is over → the stats object (MODULE 1). Listeners only read.
+  function createStats(){
+    let sim = null, offs = [];
+    let players = [], last = [];     // per player: totals, and where the last sample found them
+    let targets = new Map();         // id → row; filled as cubes are caught, topped up at finish()
+    let catchesAt = [];              // [fx, fy] in fractions of the arena
+    let timeline = [], nextSample = 0;
+
+    function row(t, caught, by){
+      const s = t._ai;
+      return { id: t.id, kind: t.kind, born: r3(t.born), caught, by,
+               jukes: s ? s.jukes : 0, patrols: s ? s.patrols : 0, corners: s ? s.corners : 0 };
+    }
+
+    function onCatch(e, decoy){
+      const t = e.target;
+      targets.set(t.id, row(t, r3(sim.elapsed), e.player));
+      if (!decoy) catchesAt.push([e.x / sim.arena.width, e.y / sim.arena.height]);
+    }
+
+    function lowestHp(){
+      const live = sim.players.filter(p => !p.out);
+      return live.length ? Math.min(...live.map(p => p.pool.hp)) : 0;
+    }
+
+    function begin(s){
+      if (sim) offs.forEach(off => off());
+      sim = s;
+      players = sim.players.map(p => ({ index: p.index, score: 0, distance: 0, lowHpTime: 0 }));
+      last = sim.players.map(p => ({ x: p.x, y: p.y }));
+      targets = new Map();
+      catchesAt = [];
+      timeline = [];
+      nextSample = 0;
+      offs = [
+        sim.on('catch', e => onCatch(e, false)),
+        sim.on('decoy', e => onCatch(e, true)),
+        // a resize moves everybody; that isn't distance travelled
+        sim.on('resize', () => { last = sim.players.map(p => ({ x: p.x, y: p.y })); }),
+      ];
+    }
+
+    function sample(dt){
+      if (!sim) return;
+      const lowLine = sim.CFG.HEALTH_MAX * sim.CFG.HEALTH_LOW_PCT;
+      const health = CubeSim.MODES[sim.mode].health !== false;
+      sim.players.forEach((p, i) => {
+        const st = players[i];
+        st.distance += Math.hypot(p.x - last[i].x, p.y - last[i].y);
+        last[i].x = p.x; last[i].y = p.y;
+        if (health && !p.out && p.pool.hp < lowLine) st.lowHpTime += dt;
+      });
+      while (sim.elapsed >= nextSample){
+        timeline.push([r3(nextSample), sim.score, Math.round(lowestHp() * 10) / 10, sim.targets.length]);
+        nextSample += TIMELINE_SEC;
+      }
+    }
+
+    function finish(){
+      if (!sim) return null;
+      offs.forEach(off => off());
+      offs = [];
+      for (const t of sim.targets) if (!targets.has(t.id)) targets.set(t.id, row(t, null, null));
+      const rows = [...targets.values()].sort((a, b) => a.id - b.id);
+      sim.players.forEach((p, i) => {
+        players[i].score = p.score;
+        players[i].distance = Math.round(players[i].distance);
+        players[i].lowHpTime = r3(players[i].lowHpTime);
+      });
+      const cells = new Array(HEAT_COLS * HEAT_ROWS).fill(0);
+      for (const [fx, fy] of catchesAt){
+        const c = Math.min(HEAT_COLS - 1, Math.max(0, Math.floor(fx * HEAT_COLS)));
+        const r = Math.min(HEAT_ROWS - 1, Math.max(0, Math.floor(fy * HEAT_ROWS)));
+        cells[r * HEAT_COLS + c]++;
+      }
+      const out = {
+        format: FORMAT, v: VERSION,
+        seed: sim.seed, mode: sim.mode, difficulty: sim.difficulty,
+        layout: idOf(sim.layout), script: idOf(sim.script), party: sim.party,
+        tuned: sim.tuned, AI_PROFILE: Object.assign({}, sim.AI_PROFILE),
+        score: sim.score, elapsed: r3(sim.elapsed), complete: sim.complete,
+        waves: sim.wave.number, peakCap: sim.peakCap, bestChain: sim.bestChain,
+        breakdown: Object.assign({}, sim.breakdown),
+        players,
+        targets: rows,
+        ttc: summarize(rows),
+        kinds: byKind(rows),
+        heatmap: { cols: HEAT_COLS, rows: HEAT_ROWS, cells },
+        timeline,
+      };
+      sim = null;
+      return out;
+    }
+
+    return { begin, sample, finish };
+  }
+
+  // ---------------------------
+  // MODULE 3: Summaries
+  // ---------------------------
+  const isDecoy = r => !!(CubeSim.ARCHETYPES[r.kind] && CubeSim.ARCHETYPES[r.kind].hpCost);
+  const ttcOf = r => r.caught - r.born;
+
+  function percentile(sorted, q){
+    if (!sorted.length) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  }
+
+  // { count, mean, p50, p90, max } of any list of numbers (nulls when it's empty).
+  function spread(values){
+    const t = values.slice().sort((a, b) => a - b);
+    const mean = t.length ? t.reduce((s, x) => s + x, 0) / t.length : null;
+    return {
+      count: t.length,
+      mean: mean === null ? null : r3(mean),
+      p50: t.length ? r3(percentile(t, 0.5)) : null,
+      p90: t.length ? r3(percentile(t, 0.9)) : null,
+      max: t.length ? r3(t[t.length - 1]) : null,
+    };
+  }
+
+  // Time-to-catch over the real catches (a decoy "caught" is a mistake, not a catch).
+  function summarize(rows){
+    return spread(rows.filter(r => r.caught !== null && !isDecoy(r)).map(ttcOf));
+  }
+
+  function byKind(rows){
+    const kinds = {};
+    for (const r of rows){
+      const k = kinds[r.kind] || (kinds[r.kind] = { spawned: 0, caught: 0, meanTtc: null, jukes: 0, patrols: 0, corners: 0, _ttc: 0 });
+      k.spawned++;
+      k.jukes += r.jukes; k.patrols += r.patrols; k.corners += r.corners;
+      if (r.caught !== null){ k.caught++; k._ttc += ttcOf(r); }
+    }
+    for (const k of Object.values(kinds)){
+      k.meanTtc = k.caught ? r3(k._ttc / k.caught) : null;
+      delete k._ttc;
+    }
+    return kinds;
+  }
+
+  // ---------------------------
+  // MODULE 4: Export, parse + replay helper
+  // ---------------------------
+  function toJSON(stats){ return JSON.stringify(stats, null, 2); }
+
+  // One row per cube, with the run's seed/mode/difficulty in front so CSVs from several
+  // runs (or several AI_PROFILE settings) concatenate into one table.
+  function toCSV(stats){
+    const cell = v => {
+      const s = v === null || v === undefined ? '' : String(v);
+      return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const r of stats.targets){
+      const ttc = r.caught === null ? null : r3(ttcOf(r));
+      lines.push([stats.seed, stats.mode, stats.difficulty, r.id, r.kind, r.born, r.caught, ttc, r.by, r.jukes, r.patrols, r.corners]
+        .map(cell).join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  // Reads an exported stats file (object or JSON text) back, upgraded to VERSION.
+  function parse(text){
+    let data;
+    try { data = typeof text === 'string' ? JSON.parse(text) : text; }
+    catch (e){ throw new Error('Stats file is not valid JSON'); }
+    if (!data || data.format !== FORMAT) throw new Error('Not a cube-stats file');
+    if (!READS.includes(data.v)) throw new Error(`Unsupported stats version ${data.v}`);
+    if (!Array.isArray(data.targets) || !data.kinds || typeof data.kinds !== 'object'){
+      throw new Error('Stats file has no targets');
+    }
+    if (data.v < 2){
+      for (const r of data.targets) if (r.corners === undefined) r.corners = 0;
+      for (const k of Object.values(data.kinds)) if (k.corners === undefined) k.corners = 0;
+      data.v = VERSION;
+    }
+    return data;
+  }
+
+  // Replays a recording (object or JSON text) to the end and returns its stats.
+  // opts are handed to createPlayer (e.g. { AI_PROFILE: {...} } to try a change;
+  // the run then diverges from the recording wherever the cubes behave differently).
+  function fromReplay(replay, opts){
+    const player = CubeReplay.createPlayer(replay, opts);
+    const stats = createStats();
+    stats.begin(player.sim);
+    while (player.step()) stats.sample(player.replay.dt);
+    return stats.finish();
+  }
+
+  // ---------------------------
+  // MODULE 5: Exports
+  // ---------------------------
+  return {
+    FORMAT, VERSION, HEAT_COLS, HEAT_ROWS, CSV_COLUMNS,
+    createStats, spread, summarize, byKind, toJSON, toCSV, parse, fromReplay,
+  };
+});
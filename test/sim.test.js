@@ -0,0 +1,457 @@
+// MODULE INDEX (test/sim.test.js)
+// Rules of the headless sim (and the modules built on it), checked from Node with nothing but assert:
+//   node test/sim.test.js        (exit code 0 = all passed)
+// MODULE 1: Runner (test(name, fn), summary)
+// MODULE 2: Helpers (scripted input, stepping, catching)
+// MODULE 3: Determinism
+// MODULE 4: Health (drain, refill on clear, death)
+// MODULE 5: Waves (progression, time cap)
+// MODULE 6: Config (configure() checks, CONFIG_MIN)
+// MODULE 7: Replays (record → playback, parse() checks)
+// MODULE 8: Parties (who gets a target two players touch at once)
+// MODULE 9: Leaderboard (ranking, merge, import checks)
+// MODULE 10: Stats (export → parse, older versions)
+
+const assert = require('assert');
+const CubeSim = require('../sim.js');
+const CubeReplay = require('../replay.js');
+const CubeLeaderboard = require('../leaderboard.js');
+const CubeStats = require('../stats.js');
+
+// ---------------------------
+// MODULE 1: Runner
+// ---------------------------
+const tests = [];
+function test(name, fn){ tests.push({ name, fn }); }
+
+function run(){
+  let failed = 0;
+  for (const t of tests){
+    try { t.fn(); console.log(`ok   ${t.name}`); }
+    catch (err){ failed++; console.log(`FAIL ${t.name}\n     ${err.stack.split('\n').slice(0, 3).join('\n     ')}`); }
+  }
+  console.log(`\n${tests.length - failed}/${tests.length} passed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+// ---------------------------
+// MODULE 2: Helpers
+// ---------------------------
+const DT = CubeSim.TICK_DT;
+
+// Runs toward the first target's centre: a has(name) source like the keyboard's,
+// re-aimed once per tick by steer().
+function chaser(){
+  const keys = new Set();
+  let sim = null;
+  return {
+    has: k => keys.has(k),
+    follow(s){ sim = s; },
+    steer(){
+      keys.clear();
+      const t = sim.targets[0], p = sim.player;
+      if (!t) return;
+      if (t.x + t.w/2 < p.x + p.w/2 - 2) keys.add('left');
+      if (t.x + t.w/2 > p.x + p.w/2 + 2) keys.add('right');
+      if (t.y + t.h/2 < p.y + p.h/2 - 2) keys.add('up');
+      if (t.y + t.h/2 > p.y + p.h/2 + 2) keys.add('down');
+    },
+  };
+}
+
+function play(seed, sec, opts){
+  const input = chaser();
+  const sim = CubeSim.createSim(Object.assign({ seed, input }, opts));
+  input.follow(sim);
+  sim.restart();
+  for (let i = 0; i < sec / DT && sim.alive; i++){ input.steer(); sim.update(DT); }
+  return sim;
+}
+
+// Drops a player straight onto a target, so the next update() catches it.
+function grab(sim, t, p){
+  p = p || sim.player;
+  p.x = t.x + (t.w - p.w) / 2;
+  p.y = t.y + (t.h - p.h) / 2;
+}
+
+function ticks(sim, sec){ for (let i = 0; i < Math.round(sec / DT); i++) sim.update(DT); }
+
+// ---------------------------
+// MODULE 3: Determinism
+// ---------------------------
+test('same seed + same input → same run', () => {
+  const a = play(42, 40), b = play(42, 40);
+  assert.strictEqual(a.seed, 42);
+  assert.strictEqual(a.score, b.score);
+  assert.strictEqual(a.elapsed, b.elapsed);
+  assert.strictEqual(a.hp, b.hp);
+  assert.deepStrictEqual(a.targets.map(t => [t.kind, t.x, t.y]), b.targets.map(t => [t.kind, t.x, t.y]));
+  assert.ok(a.score > 0, 'the chaser should catch something in 40 s');
+});
+
+test('a different seed → a different run', () => {
+  const a = play(1, 20), b = play(2, 20);
+  assert.notDeepStrictEqual(a.targets.map(t => [t.x, t.y]), b.targets.map(t => [t.x, t.y]));
+});
+
+test('restart(seed) replays the same first spawn', () => {
+  const sim = CubeSim.createSim();
+  sim.restart(7);
+  const first = sim.targets.map(t => [t.x, t.y]);
+  ticks(sim, 3);
+  sim.restart(7);
+  assert.deepStrictEqual(sim.targets.map(t => [t.x, t.y]), first);
+});
+
+// ---------------------------
+// MODULE 4: Health
+// ---------------------------
+test('health drains at HEALTH_DECAY_PER_SEC', () => {
+  const sim = CubeSim.createSim({ seed: 3 });
+  sim.restart();
+  ticks(sim, 2);
+  assert.ok(Math.abs(sim.hp - (sim.CFG.HEALTH_MAX - 2 * sim.CFG.HEALTH_DECAY_PER_SEC)) < 1e-6, `hp ${sim.hp}`);
+});
+
+test('clearing a wave refills health', () => {
+  const sim = CubeSim.createSim({ seed: 3 });
+  const clears = [];
+  sim.on('waveClear', e => clears.push(e));
+  sim.restart();
+  ticks(sim, 5);
+  const before = sim.hp;
+  assert.ok(before < sim.CFG.HEALTH_MAX);
+  grab(sim, sim.targets[0]);
+  sim.update(DT);
+  assert.strictEqual(clears.length, 1);
+  assert.strictEqual(sim.hp, sim.CFG.HEALTH_MAX);
+});
+
+test('running out of health ends the run with a death event', () => {
+  const sim = CubeSim.createSim({ seed: 3 });
+  let death = null;
+  sim.on('death', e => { death = e; });
+  sim.restart();
+  const limit = sim.CFG.HEALTH_MAX / sim.CFG.HEALTH_DECAY_PER_SEC;
+  ticks(sim, limit - 0.5);
+  assert.ok(sim.alive);
+  ticks(sim, 1);
+  assert.ok(!sim.alive);
+  assert.strictEqual(sim.hp, 0);
+  assert.ok(death && death.score === 0);
+});
+
+test('a wave clear only reports a refill when the mode has health', () => {
+  for (const [mode, healed] of [['classic', true], ['zen', false], ['timeattack', false]]){
+    const sim = CubeSim.createSim({ seed: 3, mode });
+    let clear = null;
+    sim.on('waveClear', e => { clear = e; });
+    sim.restart();
+    grab(sim, sim.targets[0]);
+    sim.update(DT);
+    assert.ok(clear, mode);
+    assert.strictEqual(clear.refill > 0, healed, mode);
+  }
+});
+
+test('no tick after the step that ends the run', () => {
+  const sim = CubeSim.createSim({ seed: 3 });
+  const seen = [];
+  sim.on('tick', () => seen.push('tick'));
+  sim.on('death', () => seen.push('death'));
+  sim.restart();
+  ticks(sim, sim.CFG.HEALTH_MAX / sim.CFG.HEALTH_DECAY_PER_SEC + 1);
+  assert.strictEqual(seen[seen.length - 1], 'death');
+  assert.strictEqual(seen.filter(e => e === 'death').length, 1);
+});
+
+test('modes without health never drain', () => {
+  const sim = CubeSim.createSim({ seed: 3, mode: 'zen' });
+  sim.restart();
+  ticks(sim, 30);
+  assert.ok(sim.alive);
+  assert.strictEqual(sim.hp, sim.CFG.HEALTH_MAX);
+});
+
+// ---------------------------
+// MODULE 5: Waves
+// ---------------------------
+test('each clear starts the next wave', () => {
+  const sim = CubeSim.createSim({ seed: 5 });
+  const waves = [];
+  sim.on('wave', e => waves.push(e.wave));
+  sim.restart();
+  for (let n = 1; n <= 3; n++){
+    assert.strictEqual(sim.wave.number, n);
+    for (const t of sim.targets.slice()){ grab(sim, t); sim.update(DT); }
+  }
+  assert.deepStrictEqual(waves, [1, 2, 3, 4]);
+});
+
+test('endless waves grow by one target every TIME_STEP_SEC', () => {
+  const sim = CubeSim.createSim({ seed: 5, mode: 'zen' });
+  sim.restart();
+  assert.strictEqual(sim.targetCap(), 1);
+  ticks(sim, sim.CFG.TIME_STEP_SEC + 0.1);
+  assert.strictEqual(sim.targetCap(), 2);
+  for (const t of sim.targets.slice()){ grab(sim, t); sim.update(DT); }
+  assert.strictEqual(sim.targets.length, 2);
+});
+
+test('a repeat: "none" script completes after its last wave', () => {
+  const sim = CubeSim.createSim({ seed: 5, script: { repeat: 'none', waves: [{ count: 1 }, { count: 2 }] } });
+  let done = null, caught = 0;
+  sim.on('complete', e => { done = e; });
+  sim.on('catch', () => caught++);
+  sim.restart();
+  while (sim.alive && sim.targets.length){ grab(sim, sim.targets[0]); sim.update(DT); }
+  assert.ok(done, 'complete should fire');
+  assert.ok(sim.complete && !sim.alive);
+  assert.strictEqual(caught, 3);
+});
+
+// ---------------------------
+// MODULE 6: Config
+// ---------------------------
+test('configure() rejects a bad patch and changes nothing', () => {
+  const sim = CubeSim.createSim({ seed: 1 });
+  assert.throws(() => sim.configure({ CFG: { TARGET_MAX_SPEED: 300, NOPE: 1 } }), /Unknown CFG key "NOPE"/);
+  assert.throws(() => sim.configure({ CFG: { TARGET_MAX_SPEED: 300, JITTER: 'x' } }), /must be a number/);
+  assert.throws(() => sim.configure({ AI_CFG: { JUKE_PUSH: NaN } }), /must be a number/);
+  assert.throws(() => sim.configure({ AI_CFG: { JUKE_PUSH: -1 } }), /must be ≥ 0/);
+  assert.strictEqual(sim.CFG.TARGET_MAX_SPEED, CubeSim.DEFAULT_CFG.TARGET_MAX_SPEED);
+  assert.ok(!sim.isTuned);
+});
+
+test('configure() keeps divisors above CONFIG_MIN', () => {
+  const sim = CubeSim.createSim({ seed: 1 });
+  for (const [group, keys] of Object.entries(CubeSim.CONFIG_MIN)){
+    for (const [k, min] of Object.entries(keys)){
+      assert.throws(() => sim.configure({ [group]: { [k]: 0 } }), new RegExp(`${group}\\.${k} must be ≥ ${min}`));
+    }
+  }
+  sim.configure({ CFG: { TIME_STEP_SEC: CubeSim.CONFIG_MIN.CFG.TIME_STEP_SEC } });
+  sim.restart();
+  ticks(sim, 3.5); // the cap grows every second but stays finite
+  assert.strictEqual(sim.targetCap(), 4);
+});
+
+test('every field at its floor keeps the run finite (obstacles included)', () => {
+  // Gauntlet packs cubes against the pillars; OBSTACLE_REPEL_MARGIN 0 used to make that 0/0.
+  const defs = { CFG: CubeSim.DEFAULT_CFG, AI_CFG: CubeSim.DEFAULT_AI_CFG, AI_PROFILE: CubeSim.DEFAULT_AI_PROFILE };
+  for (const [group, fields] of Object.entries(defs)){
+    for (const [k, v] of Object.entries(fields)){
+      if (typeof v !== 'number') continue;
+      const sim = CubeSim.createSim({ seed: 5, layout: 'pillars', mode: 'zen', script: 'gauntlet' });
+      sim.configure({ [group]: { [k]: CubeSim.CONFIG_MIN[group][k] || 0 } });
+      sim.restart();
+      ticks(sim, 3);
+      const all = sim.targets.concat(sim.players);
+      assert.ok(all.every(e => Number.isFinite(e.x) && Number.isFinite(e.y)), `${group}.${k} at its floor`);
+    }
+  }
+});
+
+test('wave overrides go through the same checks', () => {
+  assert.throws(() => CubeSim.createSim({ script: { waves: [{ count: 1, CFG: { TIME_STEP_SEC: 0 } }] } }),
+    /wave 1 CFG\.TIME_STEP_SEC must be ≥ 1/);
+  assert.throws(() => CubeSim.createSim({ script: { waves: [{ count: 1, AI_PROFILE: { HEATMAP_CELL: 0 } }] } }),
+    /HEATMAP_CELL must be ≥/);
+});
+
+test('a configured value equal to the default drops the override', () => {
+  const sim = CubeSim.createSim();
+  sim.configure({ CFG: { JITTER: 0.5 } });
+  assert.deepStrictEqual(sim.tuned.CFG, { JITTER: 0.5 });
+  sim.configure({ CFG: { JITTER: CubeSim.DEFAULT_CFG.JITTER } });
+  assert.ok(!sim.isTuned);
+});
+
+// ---------------------------
+// MODULE 7: Replays
+// ---------------------------
+function record(seed, sec, opts){
+  const input = chaser();
+  const sim = CubeSim.createSim(Object.assign({ seed, input }, opts));
+  input.follow(sim);
+  const rec = CubeReplay.createRecorder();
+  sim.restart();
+  rec.begin(sim);
+  for (let i = 0; i < sec / DT && sim.alive; i++){ input.steer(); rec.capture(input); sim.update(DT); }
+  return { sim, replay: JSON.parse(CubeReplay.serialize(rec.finish(sim))) };
+}
+
+test('a replay plays back to the recorded run', () => {
+  const { sim, replay } = record(9, 30, { difficulty: 'hard', layout: 'pillars' });
+  sim.configure({ CFG: { JITTER: 0.1 } }); // after the recording: must not leak into the playback
+  const player = CubeReplay.createPlayer(replay);
+  player.seek(replay.ticks);
+  assert.ok(player.done);
+  assert.strictEqual(player.sim.score, replay.result.score);
+  assert.strictEqual(+player.sim.elapsed.toFixed(3), replay.result.elapsed);
+  assert.ok(replay.result.score > 0);
+});
+
+test('mid-run tuning and resizes are replayed too', () => {
+  const input = chaser();
+  const sim = CubeSim.createSim({ seed: 4, input });
+  input.follow(sim);
+  const rec = CubeReplay.createRecorder();
+  sim.restart();
+  rec.begin(sim);
+  for (let i = 0; i < 1200 && sim.alive; i++){
+    if (i === 300) sim.configure({ CFG: { TARGET_MAX_SPEED: 150 } });
+    if (i === 600) sim.resize(800, 480);
+    input.steer(); rec.capture(input); sim.update(DT);
+  }
+  const replay = rec.finish(sim);
+  const player = CubeReplay.createPlayer(CubeReplay.serialize(replay));
+  player.seek(replay.ticks);
+  assert.strictEqual(player.sim.score, sim.score);
+  assert.deepStrictEqual(player.sim.targets.map(t => [t.x, t.y]), sim.targets.map(t => [t.x, t.y]));
+});
+
+test('parse() rejects a replay without dt or arena size', () => {
+  const { replay } = record(2, 2);
+  assert.doesNotThrow(() => CubeReplay.parse(replay));
+  const without = k => { const r = Object.assign({}, replay); delete r[k]; return r; };
+  assert.throws(() => CubeReplay.parse(without('dt')), /tick length/);
+  assert.throws(() => CubeReplay.parse(Object.assign({}, replay, { dt: 1/30 })), /tick length/);
+  assert.throws(() => CubeReplay.parse(without('width')), /arena size/);
+  assert.throws(() => CubeReplay.parse(Object.assign({}, replay, { height: 0 })), /arena size/);
+  assert.throws(() => CubeReplay.parse(Object.assign({}, replay, { ticks: replay.ticks + 1 })), /tick count/);
+});
+
+test('parse() rejects tuning the game itself would refuse', () => {
+  const { replay } = record(2, 2);
+  const good = { CFG: { TARGET_MAX_SPEED: 150 } };
+  assert.doesNotThrow(() => CubeReplay.parse(Object.assign({}, replay, { config: good, tune: [[10, good]] })));
+  for (const bad of [{ CFG: { PLAYER_SIZE: 1 } }, { CFG: { TIME_STEP_SEC: null } }, { AI_CFG: { NOPE: 1 } }]){
+    assert.throws(() => CubeReplay.parse(Object.assign({}, replay, { tune: [[10, good], [20, bad]] })), /tuning log is corrupt/);
+    assert.throws(() => CubeReplay.parse(Object.assign({}, replay, { config: bad })), /config is corrupt/);
+  }
+});
+
+test('resize() refuses a size that is not a number', () => {
+  const sim = CubeSim.createSim();
+  sim.restart(1);
+  assert.throws(() => sim.resize(undefined, undefined), /finite/);
+  assert.throws(() => sim.resize(NaN, 480), /finite/);
+  assert.deepStrictEqual(sim.arena, { width: 640, height: 480 });
+  assert.ok(sim.targets.every(t => Number.isFinite(t.x) && Number.isFinite(t.y)));
+});
+
+// ---------------------------
+// MODULE 8: Parties
+// ---------------------------
+// A versus run whose waves are a single plain cube, so every catch is one contested touch.
+function versus(){
+  const sim = CubeSim.createSim({ seed: 8, party: 'versus', script: { waves: [{ count: 1, mix: { cube: 1 } }] } });
+  const wins = [];
+  sim.on('catch', e => wins.push(e.player));
+  sim.restart();
+  return { sim, wins };
+}
+
+test('a target both players touch goes to the nearer one', () => {
+  const { sim, wins } = versus();
+  const [p1, p2] = sim.players;
+  for (let i = 0; i < 4; i++){
+    const t = sim.targets[0];
+    grab(sim, t, p1); grab(sim, t, p2);
+    (i % 2 ? p1 : p2).x += 3; // the other one is dead centre
+    sim.update(DT);
+  }
+  assert.deepStrictEqual(wins, [0, 1, 0, 1]);
+});
+
+test('a dead heat alternates between the players', () => {
+  const { sim, wins } = versus();
+  for (let i = 0; i < 6; i++){
+    const t = sim.targets[0];
+    for (const p of sim.players) grab(sim, t, p);
+    sim.update(DT);
+  }
+  assert.strictEqual(wins.length, 6);
+  assert.strictEqual(wins.filter(i => i === 0).length, 3);
+  sim.restart(); // and the count starts over with the run
+  for (const p of sim.players) grab(sim, sim.targets[0], p);
+  sim.update(DT);
+  assert.strictEqual(wins[6], wins[0]);
+});
+
+// ---------------------------
+// MODULE 9: Leaderboard
+// ---------------------------
+// A getItem/setItem store in memory, like localStorage.
+function memoryStore(){
+  const data = {};
+  return { getItem: k => (k in data ? data[k] : null), setItem: (k, v) => { data[k] = String(v); } };
+}
+const entry = (name, score, time, day) => ({ name, score, time, peakCap: 1, date: `2026-01-${day}T00:00:00.000Z` });
+
+test('boards rank by score, then survival time, then age, and keep the top SIZE', () => {
+  const board = CubeLeaderboard.createLeaderboard({ storage: null });
+  const id = CubeLeaderboard.boardId('classic', 'normal');
+  board.submit(id, entry('b', 10, 30, 10));
+  board.submit(id, entry('a', 10, 40, 11));
+  board.submit(id, entry('c', 10, 30, 12));
+  assert.deepStrictEqual(board.top(id).map(e => e.name), ['a', 'b', 'c']);
+  for (let i = 0; i < CubeLeaderboard.SIZE; i++) board.submit(id, entry(`x${i}`, 20 + i, 10, 13));
+  assert.strictEqual(board.top(id).length, CubeLeaderboard.SIZE);
+  assert.ok(!board.qualifies(id, 5, 100));
+  assert.strictEqual(board.submit(id, entry('late', 1, 1, 14)), -1);
+});
+
+test('merging two exports keeps the best of both without duplicates', () => {
+  const a = CubeLeaderboard.createLeaderboard({ storage: memoryStore() });
+  const b = CubeLeaderboard.createLeaderboard({ storage: memoryStore() });
+  const id = CubeLeaderboard.boardId('classic', 'hard', 'pillars');
+  a.submit(id, entry('ann', 12, 50, 1));
+  a.submit(id, entry('bob', 8, 40, 2));
+  b.submit(id, entry('cat', 10, 45, 3));
+  b.importJSON(a.exportJSON());
+  assert.deepStrictEqual(b.top(id).map(e => e.name), ['ann', 'cat', 'bob']);
+  assert.strictEqual(b.importJSON(a.exportJSON()), 0); // the same file again adds nothing
+  assert.strictEqual(b.top(id).length, 3);
+  a.importJSON(b.exportJSON());
+  assert.deepStrictEqual(a.top(id), b.top(id));
+});
+
+test('import skips broken entries and rejects files that are not boards', () => {
+  const board = CubeLeaderboard.createLeaderboard({ storage: null });
+  const file = { format: CubeLeaderboard.FORMAT, v: CubeLeaderboard.VERSION,
+                 boards: { 'classic/normal': [entry('ok', 3, 9, 5), { name: 'bad', score: 'x' }], junk: 'nope' } };
+  assert.strictEqual(board.importJSON(JSON.stringify(file)), 1);
+  assert.deepStrictEqual(board.boardIds, ['classic/normal']);
+  assert.throws(() => board.importJSON('{'), /not valid JSON/);
+  assert.throws(() => board.importJSON({ format: 'cube-replay' }), /Not a cube-leaderboard file/);
+});
+
+test('boards persist through the store', () => {
+  const store = memoryStore();
+  CubeLeaderboard.createLeaderboard({ storage: store }).submit('zen/normal', entry('z', 4, 20, 6));
+  assert.deepStrictEqual(CubeLeaderboard.createLeaderboard({ storage: store }).top('zen/normal').map(e => e.name), ['z']);
+});
+
+// ---------------------------
+// MODULE 10: Stats
+// ---------------------------
+test('exported stats parse back, and v1 files read corners as 0', () => {
+  const { replay } = record(4, 5);
+  const stats = CubeStats.fromReplay(replay);
+  assert.deepStrictEqual(CubeStats.parse(CubeStats.toJSON(stats)), stats);
+  const v1 = JSON.parse(CubeStats.toJSON(stats));
+  v1.v = 1;
+  for (const r of v1.targets) delete r.corners;
+  for (const k of Object.values(v1.kinds)) delete k.corners;
+  const read = CubeStats.parse(v1);
+  assert.strictEqual(read.v, CubeStats.VERSION);
+  assert.ok(read.targets.length && read.targets.every(r => r.corners === 0));
+  assert.ok(Object.values(read.kinds).every(k => k.corners === 0));
+  assert.throws(() => CubeStats.parse(Object.assign({}, stats, { v: 99 })), /Unsupported stats version/);
+  assert.throws(() => CubeStats.parse({ format: 'cube-replay' }), /Not a cube-stats file/);
+});
+
+run();
@@ -0,0 +1,224 @@
+// MODULE INDEX (tuning.js)
+// Live tuning panel for a sim's CFG / AI_CFG / AI_PROFILE: one slider + number box
+// per numeric field, applied mid-run through sim.configure(), with the default
+// (difficulty preset) shown next to it. Named presets persist in localStorage and
+// export/import as JSON.
+// MODULE 1: Preset format (parse / serialize)
+// MODULE 2: Preset store (named presets, persisted)
+// MODULE 3: Panel (DOM rows, live apply, preset controls)
+// MODULE 4: Exports
+//
+// Node:    const CubeTuning = require('./tuning.js');   // presets only, no panel
+// Browser: <script src="./tuning.js"></script> after sim.js → window.CubeTuning
+
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.CubeTuning = factory();
+})(this, function(){
+
+  // ---------------------------
+  // MODULE 1: Preset format
+  // ---------------------------
+  // { format: 'cube-tuning', v: 1, name, CFG: {...}, AI_CFG: {...}, AI_PROFILE: {...} }
+  // Only fields that differ from the defaults are stored (what sim.tuned returns).
+  const FORMAT = 'cube-tuning';
+  const VERSION = 1;
+  const STORAGE_KEY = 'cubeCollector.tuning';
+  const GROUPS = ['CFG', 'AI_CFG', 'AI_PROFILE'];
+
+  function serialize(name, tuned){
+    const out = { format: FORMAT, v: VERSION, name: String(name || 'preset') };
+    for (const g of GROUPS) out[g] = Object.assign({}, tuned[g]);
+    return JSON.stringify(out, null, 2);
+  }
+
+  // Returns { name, config } where config can go straight into sim.configure().
+  function parse(text){
+    let data;
+    try { data = typeof text === 'string' ? JSON.parse(text) : text; }
+    catch (e){ throw new Error('Tuning preset is not valid JSON'); }
+    if (!data || data.format !== FORMAT) throw new Error('Not a cube-tuning file');
+    if (data.v !== VERSION) throw new Error(`Unsupported tuning version ${data.v}`);
+    const config = {};
+    for (const g of GROUPS){
+      if (data[g] === undefined) continue;
+      if (!data[g] || typeof data[g] !== 'object') throw new Error(`Tuning preset ${g} is not an object`);
+      config[g] = Object.assign({}, data[g]);
+    }
+    return { name: String(data.name || 'preset'), config };
+  }
+
+  // ---------------------------
+  // MODULE 2: Preset store
+  // ---------------------------
+  function createStore(storage){
+    let presets = {};
+    try {
+      const raw = storage && storage.getItem(STORAGE_KEY);
+      if (raw) presets = JSON.parse(raw) || {};
+    } catch (e){ presets = {}; }
+
+    function save(){
+      try { if (storage) storage.setItem(STORAGE_KEY, JSON.stringify(presets)); }
+      catch (e){ /* not fatal */ }
+    }
+
+    return {
+      names(){ return Object.keys(presets).sort(); },
+      get(name){ return presets[name] ? parse(presets[name]).config : null; },
+      put(name, tuned){ presets[name] = JSON.parse(serialize(name, tuned)); save(); },
+      remove(name){ delete presets[name]; save(); },
+    };
+  }
+
+  // ---------------------------
+  // MODULE 3: Panel
+  // ---------------------------
+  // Slider range: the field's minimum (sim.CONFIG_MIN, else 0) … 3× the default (min + 1
+  // for zero defaults); the number box stops at the same minimum. Integer defaults ≥ 10
+  // step by 1, everything else by ~1% of the range.
+  function sliderRange(def, min){
+    min = min || 0;
+    const max = def > min ? def * 3 : min + 1;
+    const step = (Number.isInteger(def) && def >= 10) ? 1 : Math.pow(10, Math.floor(Math.log10(max)) - 2);
+    return { min, max, step };
+  }
+
+  function fmt(v){ return Number.isInteger(v) ? String(v) : String(+v.toFixed(4)); }
+
+  // opts.sim      sim to tune (live)
+  // opts.root     element to build the panel into
+  // opts.storage  getItem/setItem store for named presets (default: localStorage)
+  // opts.download(filename, text)  optional; export falls back to a Blob link
+  function createPanel(opts){
+    const sim = opts.sim, rootEl = opts.root, doc = rootEl.ownerDocument || document;
+    const store = createStore(opts.storage !== undefined ? opts.storage
+      : (typeof localStorage !== 'undefined' ? localStorage : null));
+    const rows = [];  // { group, key, range, number, def, row }
+
+    function el(tag, attrs, text){
+      const e = doc.createElement(tag);
+      for (const k in attrs || {}) e.setAttribute(k, attrs[k]);
+      if (text !== undefined) e.textContent = text;
+      return e;
+    }
+
+    // Typing in the panel must not steer the player or trigger menu keys.
+    const stop = e => e.stopPropagation();
+    rootEl.addEventListener('keydown', stop);
+    rootEl.addEventListener('keyup', stop);
+
+    // preset controls
+    const bar = el('div', { class: 'tuning-bar' });
+    const select = el('select', { title: 'Saved presets' });
+    const nameBox = el('input', { type: 'text', placeholder: 'preset name', size: '12' });
+    const btn = (label, fn) => { const b = el('button', { type: 'button' }, label); b.addEventListener('click', fn); bar.appendChild(b); return b; };
+    const status = el('span', { class: 'hint' });
+    bar.appendChild(select);
+    btn('Load', () => { const c = store.get(select.value); if (c) apply(c, `Loaded "${select.value}"`); });
+    btn('Delete', () => { if (select.value){ store.remove(select.value); syncPresets(); say('Deleted'); } });
+    bar.appendChild(nameBox);
+    btn('Save', () => {
+      const name = nameBox.value.trim() || select.value || 'preset';
+      store.put(name, sim.tuned); syncPresets(name); say(`Saved "${name}"`);
+    });
+    btn('Export', () => {
+      const name = nameBox.value.trim() || 'preset';
+      const text = serialize(name, sim.tuned), file = `cube-tuning-${name}.json`;
+      if (opts.download) opts.download(file, text);
+      else {
+        const a = el('a');
+        a.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        a.download = file; a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 0);
+      }
+    });
+    const importLabel = el('label', { class: 'btn' }, 'Import');
+    const importInput = el('input', { type: 'file', accept: '.json,application/json', hidden: '' });
+    importLabel.appendChild(importInput);
+    bar.appendChild(importLabel);
+    importInput.addEventListener('change', () => {
+      const file = importInput.files && importInput.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        try { const p = parse(text); nameBox.value = p.name; apply(p.config, `Imported "${p.name}"`); }
+        catch (err){ say(err.message); }
+      });
+      importInput.value = '';
+    });
+    btn('Reset all', () => { sim.resetConfig(); refresh(); say('Back to defaults'); });
+    bar.appendChild(status);
+    rootEl.appendChild(bar);
+
+    function say(text){ status.textContent = text; }
+
+    function syncPresets(selected){
+      select.replaceChildren();
+      for (const n of store.names()) select.appendChild(el('option', { value: n }, n));
+      if (selected) select.value = selected;
+    }
+
+    function apply(config, message){
+      try { sim.resetConfig(); sim.configure(config); say(message); }
+      catch (err){ say(err.message); }
+      refresh();
+    }
+
+    // one <fieldset> per group, one row per numeric field
+    const defs = sim.defaults();
+    for (const group of GROUPS){
+      const fs = el('fieldset');
+      fs.appendChild(el('legend', null, group));
+      for (const key of Object.keys(defs[group])){
+        if (typeof defs[group][key] !== 'number') continue;
+        const row = el('div', { class: 'tuning-row' });
+        const r = sliderRange(defs[group][key], sim.CONFIG_MIN[group][key]);
+        const range = el('input', { type: 'range', min: r.min, max: r.max, step: r.step });
+        const number = el('input', { type: 'number', min: r.min, step: r.step });
+        const def = el('span', { class: 'tuning-def' });
+        row.append(el('label', { title: `${group}.${key}` }, key), range, number, def);
+        fs.appendChild(row);
+        const entry = { group, key, range, number, def, row };
+        rows.push(entry);
+
+        const set = v => {
+          if (!Number.isFinite(v)) return;
+          try { sim.configure({ [group]: { [key]: v } }); say(''); }
+          catch (err){ say(err.message); }
+          syncRow(entry, sim.defaults());
+        };
+        range.addEventListener('input', () => set(Number(range.value)));
+        number.addEventListener('change', () => set(Number(number.value)));
+        def.addEventListener('click', () => set(sim.defaults()[group][key])); // click the default to restore it
+      }
+      rootEl.appendChild(fs);
+    }
+
+    function syncRow(entry, d){
+      const v = sim[entry.group][entry.key], dv = d[entry.group][entry.key];
+      entry.range.value = String(v);
+      if (doc.activeElement !== entry.number) entry.number.value = fmt(v);
+      entry.def.textContent = `default ${fmt(dv)}`;
+      entry.row.classList.toggle('changed', v !== dv);
+    }
+
+    // Re-read every value and default (after a preset load, reset or difficulty change).
+    function refresh(){
+      const d = sim.defaults();
+      for (const entry of rows) syncRow(entry, d);
+    }
+
+    syncPresets();
+    refresh();
+
+    return { refresh, el: rootEl };
+  }
+
+  // ---------------------------
+  // MODULE 4: Exports
+  // ---------------------------
+  return {
+    FORMAT, VERSION, STORAGE_KEY, GROUPS,
+    serialize, parse, createStore, createPanel,
+  };
+});